@@ -0,0 +1,112 @@
+// Service worker - keeps the app loading without a connection.
+// - App shell: index.html and the built /assets/ files it references are precached on
+//   install. Page loads go to the network first and fall back to the cached shell.
+// - Hashed build assets (/assets/*) are immutable, so they're served cache-first.
+// - Lesson assets (images, fonts, stylesheets - including cross-origin ones) are served
+//   from cache while a fresh copy is fetched in the background.
+// API data is not handled here: api.js caches it in IndexedDB (src/sync/offlineCache.js).
+// Video streams are left to the browser.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `nvlp-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `nvlp-assets-${CACHE_VERSION}`;
+const LESSON_CACHE = `nvlp-lessons-${CACHE_VERSION}`;
+
+// Oldest lesson assets are evicted past this many entries
+const MAX_LESSON_ENTRIES = 200;
+
+const SHELL_URLS = ['/', '/index.html', '/vite.svg'];
+
+// Scripts and styles the built index.html points at (their names change every build)
+const findShellAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_URLS);
+
+    const html = await (await shell.match('/index.html')).text();
+    const assets = await caches.open(ASSET_CACHE);
+    await assets.addAll(findShellAssets(html));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, ASSET_CACHE, LESSON_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('nvlp-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Page loads: latest index.html when online, the cached shell otherwise
+const handleNavigation = async (request) => {
+  const shell = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await shell.put('/index.html', response.clone());
+    return response;
+  } catch (error) {
+    const cached = await shell.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+const staleWhileRevalidate = async (event, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request).then(async (response) => {
+    // Opaque (no-cors) responses can't be checked, but are still usable offline
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(event.request, response.clone());
+      await trimCache(cacheName, MAX_LESSON_ENTRIES);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (sameOrigin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (['image', 'font', 'style'].includes(request.destination)) {
+    event.respondWith(staleWhileRevalidate(event, LESSON_CACHE));
+  }
+});
@@ -1,13 +1,25 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import toast, { Toaster } from 'react-hot-toast';
 import StudentDashboard from './components/StudentDashboard';
 import LessonPlayer from './components/LessonPlayer';
 import CalmRoom from './components/CalmRoom';
+import ReviewSession from './components/ReviewSession';
 import Onboarding from './components/Onboarding';
+import SignupForm from './components/SignupForm';
+import VerifyEmail from './components/VerifyEmail';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import ProtectedRoute, { GuestRoute } from './components/ProtectedRoute';
+import AuthLayout, { AuthField, AuthLink, AuthSubmitButton } from './components/AuthLayout';
 import { SensoryProvider, useSensory } from './context/SensoryContext';
-import api from './api';
+import { TAB_MESSAGES, subscribeToTabs } from './sync/tabSync';
+import api, { SESSION_EXPIRED_EVENT } from './api';
+import { EMAIL_PATTERN } from './utils/auth';
+
+// One toast however many requests notice the expired session
+const SESSION_EXPIRED_TOAST_ID = 'session-expired';
 
 // Helper function to detect if backend returned API URLs instead of real data
 // and provide mock data fallback for testing
@@ -40,41 +52,17 @@ const useMockDataIfNeeded = (data, type) => {
         },
       };
     }
-    
-    if (type === 'courses') {
-      return [
-        {
-          id: 1,
-          title: 'Introduction to Python',
-          description: 'Master Python fundamentals with hands-on projects',
-          progress: 45,
-          status: 'In Progress',
-        },
-        {
-          id: 2,
-          title: 'Web Development Basics',
-          description: 'Learn HTML, CSS, and JavaScript essentials',
-          progress: 78,
-          status: 'In Progress',
-        },
-        {
-          id: 3,
-          title: 'Data Structures & Algorithms',
-          description: 'Build problem-solving skills with core CS concepts',
-          progress: 12,
-          status: 'In Progress',
-        },
-      ];
-    }
   }
   
   return data;
 };
 
 // Login Form Component with React Hook Form
+// GuestRoute takes over once onLoginSuccess marks the student as authenticated,
+// sending them on to the page they originally asked for.
 const LoginForm = ({ onLoginSuccess }) => {
   const [isLoading, setIsLoading] = useState(false);
-  const navigate = useNavigate();
+  const location = useLocation();
   // Dark mode is now applied at the document level via SensoryContext
 
   const {
@@ -97,28 +85,19 @@ const LoginForm = ({ onLoginSuccess }) => {
       await api.login(data.email, data.password);
       
       // Fetch user data after successful login
-      const [userProfileRaw, coursesDataRaw] = await Promise.all([
+      // A failed catalog fetch shouldn't block login - the dashboard shows an empty state
+      const [userProfileRaw, coursesData] = await Promise.all([
         api.getUserProfile(),
-        api.getCourses(),
+        api.getCourses().catch(err => {
+          console.warn('Failed to fetch courses:', err);
+          return [];
+        }),
       ]);
 
-      console.log('📥 Raw data from backend:', { userProfileRaw, coursesDataRaw });
+      console.log('📥 Raw data from backend:', { userProfileRaw, coursesData });
 
       // Use mock data fallback if backend returns URLs instead of real data
       const userProfile = useMockDataIfNeeded(userProfileRaw, 'profile');
-      let coursesData = useMockDataIfNeeded(coursesDataRaw, 'courses');
-      
-      // Handle paginated response from Django REST Framework
-      if (coursesData && !Array.isArray(coursesData) && coursesData.results) {
-        console.log('📦 Detected paginated response in login, extracting results array');
-        coursesData = coursesData.results;
-      }
-      
-      // If courses array is empty after all processing, use mock data
-      if (!coursesData || (Array.isArray(coursesData) && coursesData.length === 0)) {
-        console.warn('⚠️ Courses array is empty in login, using mock data');
-        coursesData = useMockDataIfNeeded(null, 'courses');
-      }
 
       console.log('✅ Final data after mock check:', { userProfile, coursesData, coursesIsArray: Array.isArray(coursesData), coursesCount: coursesData?.length });
       onLoginSuccess(userProfile, coursesData);
@@ -131,6 +110,8 @@ const LoginForm = ({ onLoginSuccess }) => {
       
       if (err.status === 401) {
         errorMessage = 'Invalid email or password.';
+      } else if (err.status === 403) {
+        errorMessage = 'Please verify your email before logging in. Check your inbox for the link.';
       } else if (err.status === 400) {
         // Check for specific field errors
         if (err.data?.email) {
@@ -158,91 +139,60 @@ const LoginForm = ({ onLoginSuccess }) => {
   };
 
   return (
-    <div className="min-h-screen bg-slate-100 dark:bg-gray-950 flex items-center justify-center p-6 transition-colors duration-300">
-        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 w-full max-w-md transition-colors duration-300">
-          <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100 mb-2 text-center transition-colors duration-300">
-            NVLP
-          </h1>
-          <p className="text-gray-600 dark:text-gray-300 text-center mb-8 transition-colors duration-300">
-            Neurodivergent Virtual Learning Platform
-          </p>
-          
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-            {/* Email Field */}
-            <div>
-              <label 
-                htmlFor="email" 
-                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 transition-colors duration-300"
-              >
-                Email or Username
-              </label>
-              <input
-                type="text"
-                id="email"
-                {...register('email', {
-                  required: 'Email or username is required',
-                  validate: (value) => {
-                    // Allow plain usernames (no @) or valid emails
-                    if (!value.includes('@')) return true;
-                    return /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i.test(value) || 'Invalid email address';
-                  },
-                })}
-                className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-colors duration-300 dark:bg-gray-700 dark:text-gray-100 ${
-                  errors.email 
-                    ? 'border-red-500 dark:border-red-400' 
-                    : 'border-gray-300 dark:border-gray-600'
-                }`}
-                placeholder="Email or username"
-              />
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600 dark:text-red-400">
-                  {errors.email.message}
-                </p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label 
-                htmlFor="password" 
-                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 transition-colors duration-300"
-              >
-                Password
-              </label>
-              <input
-                type="password"
-                id="password"
-                {...register('password', {
-                  required: 'Password is required',
-                  minLength: {
-                    value: 8,
-                    message: 'Password must be at least 8 characters',
-                  },
-                })}
-                className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-colors duration-300 dark:bg-gray-700 dark:text-gray-100 ${
-                  errors.password 
-                    ? 'border-red-500 dark:border-red-400' 
-                    : 'border-gray-300 dark:border-gray-600'
-                }`}
-                placeholder="Enter your password"
-              />
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600 dark:text-red-400">
-                  {errors.password.message}
-                </p>
-              )}
-            </div>
-
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="w-full bg-blue-600 dark:bg-blue-700 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? 'Logging in...' : 'Login'}
-            </button>
-          </form>
-        </div>
-      </div>
+    <AuthLayout
+      footer={
+        <>
+          <p><AuthLink to="/forgot-password" state={location.state}>Forgot your password?</AuthLink></p>
+          <p>New here? <AuthLink to="/signup" state={location.state}>Create an account</AuthLink></p>
+        </>
+      }
+    >
+      {location.state?.from && (
+        <p role="status" className="mb-4 p-3 rounded-lg bg-blue-50 dark:bg-blue-900/30 text-sm text-blue-800 dark:text-blue-200">
+          Please log in to continue.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        {/* Email Field */}
+        <AuthField
+          id="email"
+          label="Email or Username"
+          autoComplete="username"
+          placeholder="Email or username"
+          error={errors.email}
+          registration={register('email', {
+            required: 'Email or username is required',
+            validate: (value) => {
+              // Allow plain usernames (no @) or valid emails
+              if (!value.includes('@')) return true;
+              return EMAIL_PATTERN.test(value) || 'Invalid email address';
+            },
+          })}
+        />
+
+        {/* Password Field */}
+        <AuthField
+          id="password"
+          label="Password"
+          type="password"
+          autoComplete="current-password"
+          placeholder="Enter your password"
+          error={errors.password}
+          registration={register('password', {
+            required: 'Password is required',
+            minLength: {
+              value: 8,
+              message: 'Password must be at least 8 characters',
+            },
+          })}
+        />
+
+        <AuthSubmitButton isLoading={isLoading} loadingLabel="Logging in...">
+          Login
+        </AuthSubmitButton>
+      </form>
+    </AuthLayout>
   );
 };
 
@@ -288,7 +238,8 @@ function App() {
         setIsLoadingUser(false);
         setIsLoadingCourses(false);
         setIsAuthenticated(false);
-        api.logout();
+        // Slow, not logged out: keep the tokens, offline cache and unsynced changes
+        // (api.logout would also log out the other tabs)
         toast.error('Failed to load. Please login again.', {
           position: 'top-center',
           duration: 4000,
@@ -310,7 +261,7 @@ function App() {
             }),
             api.getCourses().catch(err => {
               console.warn('Failed to fetch courses:', err);
-              return null; // Return null on error, will use mock data
+              return null; // Return null on error, dashboard shows the empty catalog state
             }),
           ]).then(results => [
             results[0].status === 'fulfilled' ? results[0].value : null,
@@ -320,23 +271,21 @@ function App() {
           if (!isMounted) return;
           console.log('📥 Data received:', { userProfileRaw, coursesDataRaw });
 
+          // The refresh token was rejected while loading - don't fall back to mock data
+          if (!api.isAuthenticated()) {
+            setIsAuthenticated(false);
+            toast.error('Session expired. Please login again.', {
+              id: SESSION_EXPIRED_TOAST_ID,
+              position: 'top-center',
+              duration: 4000,
+            });
+            return;
+          }
+
           // Use mock data fallback if backend returns URLs instead of real data
           const userProfile = useMockDataIfNeeded(userProfileRaw, 'profile');
-          let coursesData = useMockDataIfNeeded(coursesDataRaw, 'courses');
-          
-          // Handle paginated response from Django REST Framework
-          if (coursesData && !Array.isArray(coursesData) && coursesData.results) {
-            console.log('📦 Detected paginated response, extracting results array');
-            coursesData = coursesData.results;
-          }
-          
-          // If courses array is empty after all processing, use mock data
-          if (!coursesData || (Array.isArray(coursesData) && coursesData.length === 0)) {
-            if (import.meta.env.DEV) {
-              console.warn('⚠️ Courses array is empty, using mock data');
-            }
-            coursesData = useMockDataIfNeeded(null, 'courses');
-          }
+          // api.getCourses already unwraps pagination; demo courses are opt-in via VITE_USE_DEMO_DATA
+          const coursesData = Array.isArray(coursesDataRaw) ? coursesDataRaw : [];
           
           console.log('📦 After mock check:', { 
             userProfile, 
@@ -354,7 +303,9 @@ function App() {
           if (!isMounted) return;
           console.error('❌ Failed to fetch data:', err);
           
-          // Handle errors - show error and require login
+          // Handle errors - show error and require login. Like handleSessionExpired this
+          // keeps the offline cache and unsynced changes; an invalid refresh token has
+          // already been cleared by api.js
           setError(err.message);
           setIsAuthenticated(false);
           
@@ -363,9 +314,6 @@ function App() {
             position: 'top-center',
             duration: 4000,
           });
-          
-          // Clear invalid tokens
-          api.logout();
         } finally {
           if (!isMounted) return;
           // Clear the safety timeout since we completed (successfully or with error)
@@ -437,6 +385,55 @@ function App() {
     });
   }, []); // No dependencies - logout logic is self-contained
 
+  // Refresh token rejected (see api.js) - back to the login screen, which returns the
+  // student to the same page afterwards. Unlike handleLogout this keeps the offline
+  // cache and unsynced changes, since it's usually the same student logging back in.
+  const handleSessionExpired = useCallback(() => {
+    setIsAuthenticated(false);
+    setUser(null);
+    setCourses([]);
+    toast.error('Session expired. Please login again.', {
+      id: SESSION_EXPIRED_TOAST_ID,
+      position: 'top-center',
+      duration: 4000,
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, [isAuthenticated, handleSessionExpired]);
+
+  // Logout or session expiry in another tab - the shared tokens are already gone
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    return subscribeToTabs(TAB_MESSAGES.sessionEnded, ({ reason }) => {
+      if (reason === 'expired') {
+        handleSessionExpired();
+        return;
+      }
+      setIsAuthenticated(false);
+      setUser(null);
+      setCourses([]);
+      toast('You logged out in another tab.', { position: 'top-center', icon: '👋' });
+    });
+  }, [isAuthenticated, handleSessionExpired]);
+
+  // Companion picked in another tab (the browser reports localStorage changes across tabs)
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'nvlp_companion') return;
+      try {
+        setSelectedCompanion(JSON.parse(event.newValue) || null);
+      } catch {
+        setSelectedCompanion(null);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
   // Show minimal loading screen during initialization
   if (isInitializing) {
     return (
@@ -446,35 +443,57 @@ function App() {
     );
   }
 
-  // Login screen
-  if (!isAuthenticated) {
-    return (
-      <SensoryProvider user={null} onAuthFailure={handleLogout}>
-        <Toaster />
-        <LoginForm onLoginSuccess={handleLoginSuccess} />
-      </SensoryProvider>
-    );
-  }
-
-  // Dashboard screen (authenticated) - pass handleLogout for centralized auth failure
+  // Auth screens are open to everyone; the rest of the app sits behind ProtectedRoute,
+  // which sends logged-out students to /login and back again afterwards.
+  // Pass handleLogout for centralized auth failure
   return (
-    <SensoryProvider user={user} onAuthFailure={handleLogout}>
-      {showOnboarding ? (
-        <Onboarding onComplete={handleOnboardingComplete} />
-      ) : (
-        <AppContent
-          user={user}
-          courses={courses}
-          isLoadingUser={isLoadingUser}
-          isLoadingCourses={isLoadingCourses}
-          onLogout={handleLogout}
-          selectedCompanion={selectedCompanion}
-          onCompanionChange={(c) => {
-            localStorage.setItem('nvlp_companion', JSON.stringify(c));
-            setSelectedCompanion(c);
-          }}
+    <SensoryProvider user={user} onAuthFailure={handleSessionExpired}>
+      <Toaster />
+      <Routes>
+        <Route
+          path="/login"
+          element={
+            <GuestRoute isAuthenticated={isAuthenticated}>
+              <LoginForm onLoginSuccess={handleLoginSuccess} />
+            </GuestRoute>
+          }
         />
-      )}
+        <Route
+          path="/signup"
+          element={<GuestRoute isAuthenticated={isAuthenticated}><SignupForm /></GuestRoute>}
+        />
+        <Route
+          path="/forgot-password"
+          element={<GuestRoute isAuthenticated={isAuthenticated}><ForgotPassword /></GuestRoute>}
+        />
+        {/* Links from emails - usable whether or not someone is logged in on this device */}
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+
+        <Route
+          path="*"
+          element={
+            <ProtectedRoute isAuthenticated={isAuthenticated}>
+              {showOnboarding ? (
+                <Onboarding onComplete={handleOnboardingComplete} />
+              ) : (
+                <AppContent
+                  user={user}
+                  courses={courses}
+                  isLoadingUser={isLoadingUser}
+                  isLoadingCourses={isLoadingCourses}
+                  onLogout={handleLogout}
+                  selectedCompanion={selectedCompanion}
+                  onCompanionChange={(c) => {
+                    localStorage.setItem('nvlp_companion', JSON.stringify(c));
+                    setSelectedCompanion(c);
+                  }}
+                />
+              )}
+            </ProtectedRoute>
+          }
+        />
+      </Routes>
     </SensoryProvider>
   );
 }
@@ -485,7 +504,6 @@ const AppContent = ({ user, courses, isLoadingUser, isLoadingCourses, onLogout,
   
   return (
     <>
-      <Toaster />
       <Routes>
         {/* Dashboard Route */}
         <Route 
@@ -503,10 +521,22 @@ const AppContent = ({ user, courses, isLoadingUser, isLoadingCourses, onLogout,
           } 
         />
         
-        {/* Lesson Player Route - only accessible when authenticated */}
+        {/* Lesson Player Routes */}
+        <Route 
+          path="/course/:courseId/lesson/:lessonId" 
+          element={<LessonPlayer onLogout={onLogout} user={user} />} 
+        />
+        
+        {/* Legacy course link - LessonPlayer redirects to the first lesson */}
         <Route 
           path="/lesson/:courseId" 
-          element={<LessonPlayer onLogout={onLogout} />} 
+          element={<LessonPlayer onLogout={onLogout} user={user} />} 
+        />
+        
+        {/* Spaced-repetition review of quiz questions across lessons */}
+        <Route 
+          path="/review" 
+          element={<ReviewSession key={user?.id} user={user} />} 
         />
         
         {/* Calm Room / Sensory Room Route */}
@@ -1,4 +1,48 @@
 import axios from 'axios';
+import { DEMO_COURSES } from './fixtures/courses';
+import { DEMO_LESSONS } from './fixtures/lessons';
+import { filterCourses, normalizeCourse } from './utils/catalog';
+import { parseLesson, parseLessonSummary } from './utils/lessonSchema';
+import { parseCaptions } from './utils/captions';
+import {
+  createLocalNoteId,
+  isLocalNoteId,
+  readNotesCache,
+  removeCachedNote,
+  upsertCachedNote,
+  visibleNotes,
+  writeNotesCache,
+} from './utils/notesCache';
+import { parseProgressPosition } from './utils/playbackPosition';
+import {
+  attemptRatio,
+  createLocalAttemptId,
+  getBestAttempt,
+  readAttemptsCache,
+  sortAttempts,
+  upsertCachedAttempt,
+  writeAttemptsCache,
+} from './utils/quizAttempts';
+import {
+  clearOfflineCache,
+  readOfflineCache,
+  updateOfflineCache,
+  withOfflineCache,
+  writeOfflineCache,
+} from './sync/offlineCache';
+import {
+  clearMutationQueue,
+  configureMutationQueue,
+  createLocalId,
+  discardQueuedMutations,
+  getMutationQueueStatus,
+  isLocalId,
+  queueMutation,
+  replayMutations,
+} from './sync/mutationQueue';
+import { clearProgressQueue } from './sync/progressQueue';
+import { TAB_MESSAGES, broadcastToTabs, subscribeToTabs } from './sync/tabSync';
+import { isTokenExpiring } from './utils/jwt';
 
 // Central API service for handling all backend requests with Axios
 // Use environment variable for API base URL, fallback to localhost for development
@@ -6,6 +50,18 @@ const BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000/api
 const TOKEN_KEY = 'access_token';
 const REFRESH_TOKEN_KEY = 'refresh_token';
 
+// Fired on window when the refresh token is rejected; App logs the student out
+export const SESSION_EXPIRED_EVENT = 'nvlp:session-expired';
+// Fired on window after a focus session is recorded (detail: the session)
+export const FOCUS_SESSION_RECORDED_EVENT = 'nvlp:focus-session-recorded';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+const REFRESH_URL = '/auth/token/refresh/';
+
+// Explicit demo mode: serve fixture data instead of the backend (never mixed with real records)
+const USE_DEMO_DATA = import.meta.env.VITE_USE_DEMO_DATA === 'true';
+
 // Create Axios instance with default configuration
 const axiosInstance = axios.create({
   baseURL: BASE_URL,
@@ -16,10 +72,105 @@ const axiosInstance = axios.create({
   timeout: 5000, // 5 second timeout (reduced for faster failure detection)
 });
 
-// Request interceptor: automatically attach Authorization header if token exists
+// Save the tokens from a login or refresh response. With refresh-token rotation the
+// backend also returns a new refresh token, which replaces the old (now spent) one.
+const storeTokens = (data) => {
+  if (data?.access) localStorage.setItem(TOKEN_KEY, data.access);
+  if (data?.refresh) localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh);
+};
+
+// Tokens are shared by every tab, so the other tabs are logged out too
+const expireSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+  broadcastToTabs(TAB_MESSAGES.sessionEnded, { reason: 'expired' });
+};
+
+// Refreshes are also serialized across tabs (Web Locks, where supported): with
+// rotation, two tabs spending the same refresh token would log each other out.
+const withRefreshLock = (task) => (
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request('nvlp-token-refresh', task)
+    : task()
+);
+
+// The in-flight refresh, shared by every request that needs a new access token
+let refreshPromise = null;
+
+/**
+ * Get a new access token, making at most one refresh request at a time: concurrent
+ * 401s and proactive refreshes all wait on the same promise, and a token another tab
+ * refreshed in the meantime is used as-is. Resolves with the new
+ * access token. If the backend rejects the refresh token the session is over - tokens
+ * are cleared, SESSION_EXPIRED_EVENT fires and this rejects with status 401.
+ * Network failures reject with status 0 and keep the tokens (we may just be offline).
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleToken = localStorage.getItem(TOKEN_KEY);
+
+    refreshPromise = withRefreshLock(async () => {
+      // Another tab refreshed while we waited for the lock
+      const currentToken = localStorage.getItem(TOKEN_KEY);
+      if (currentToken && currentToken !== staleToken && !isTokenExpiring(currentToken, REFRESH_MARGIN_MS)) {
+        return currentToken;
+      }
+
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) {
+        console.warn('⚠️ No refresh token available');
+        expireSession();
+        throw { message: 'Your session has expired. Please login again.', status: 401, data: null, sessionExpired: true };
+      }
+
+      try {
+        console.log('🔄 Attempting token refresh...');
+        // Plain axios so the refresh itself never goes through the 401 handling below
+        const response = await axios.post(`${BASE_URL}${REFRESH_URL}`, { refresh: refreshToken }, {
+          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+          timeout: 5000,
+        });
+        storeTokens(response.data);
+        console.log('✅ Token refreshed successfully');
+        return response.data.access;
+      } catch (error) {
+        if (!error.response) {
+          throw { message: 'Network error. Please check your connection.', status: 0, data: null };
+        }
+
+        // Without Web Locks another tab may have rotated the refresh token under us
+        const latestRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return localStorage.getItem(TOKEN_KEY);
+        }
+
+        // Token refresh failed - clear tokens and let App log out
+        console.error('❌ Token refresh failed:', error);
+        expireSession();
+        throw { message: 'Your session has expired. Please login again.', status: 401, data: error.response.data, sessionExpired: true };
+      }
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Request interceptor: attach the access token, refreshing it first if it's about to expire
 axiosInstance.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem(TOKEN_KEY);
+  async (config) => {
+    let token = localStorage.getItem(TOKEN_KEY);
+
+    if (token && isTokenExpiring(token, REFRESH_MARGIN_MS) && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      try {
+        token = await refreshAccessToken();
+      } catch (error) {
+        // Offline: send the request anyway and let it fail (or be served from cache) normally
+        if (error.status !== 0) throw error;
+      }
+    }
+
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -40,6 +191,11 @@ axiosInstance.interceptors.response.use(
     return response;
   },
   async (error) => {
+    // Already handled (a proactive refresh found the session expired)
+    if (error?.sessionExpired) {
+      return Promise.reject(error);
+    }
+
     const originalRequest = error.config;
 
     // Handle network errors (no response)
@@ -62,48 +218,22 @@ axiosInstance.interceptors.response.use(
       return Promise.reject(timeoutError);
     }
 
-    // Handle 401 Unauthorized
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // Handle 401 Unauthorized: refresh once (shared with any other failing requests) and retry
+    if (error.response?.status === 401 && !originalRequest._retry && localStorage.getItem(TOKEN_KEY)) {
       originalRequest._retry = true;
 
-      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
-      
-      if (refreshToken) {
-        try {
-          console.log('🔄 Attempting token refresh...');
-          // Attempt to refresh the access token with a timeout
-          const response = await axiosInstance.post('/auth/token/refresh/', {
-            refresh: refreshToken,
-          }, { timeout: 5000 });
-
-          const newAccessToken = response.data.access;
-          
-          // Store new access token
-          localStorage.setItem(TOKEN_KEY, newAccessToken);
-          console.log('✅ Token refreshed successfully');
-
-          // Update authorization header and retry original request
-          originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
-          return axiosInstance(originalRequest);
-        } catch (refreshError) {
-          // Token refresh failed - clear tokens and logout
-          console.error('❌ Token refresh failed:', refreshError);
-          localStorage.removeItem(TOKEN_KEY);
-          localStorage.removeItem(REFRESH_TOKEN_KEY);
-          
-          // Don't redirect here - let the app handle it
-          // This prevents the interceptor from hanging the UI
-          const authError = {
-            message: 'Authentication failed. Please login again.',
-            status: 401,
-            data: null,
-          };
-          return Promise.reject(authError);
-        }
-      } else {
-        // No refresh token available - clear access token
-        console.warn('⚠️ No refresh token available');
-        localStorage.removeItem(TOKEN_KEY);
+      try {
+        // Another request may have refreshed the token while this one was in flight
+        const currentToken = localStorage.getItem(TOKEN_KEY);
+        const newAccessToken = originalRequest.headers.Authorization === `Bearer ${currentToken}`
+          ? await refreshAccessToken()
+          : currentToken;
+
+        // Update authorization header and retry original request
+        originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
+        return axiosInstance(originalRequest);
+      } catch (refreshError) {
+        return Promise.reject(refreshError);
       }
     }
 
@@ -124,6 +254,136 @@ axiosInstance.interceptors.response.use(
   }
 );
 
+// Replay writes queued while offline (see sync/mutationQueue)
+configureMutationQueue(async (entry) => {
+  const response = await axiosInstance.request({ method: entry.method, url: entry.url, data: entry.data });
+  return response.data;
+});
+
+// Another tab logged out (and cleared the shared stores) - drop this tab's copy of the queue
+subscribeToTabs(TAB_MESSAGES.sessionEnded, ({ reason }) => {
+  if (reason === 'logout') {
+    clearMutationQueue();
+    clearProgressQueue();
+  }
+});
+
+/**
+ * Send a write, or queue it for replay when we're offline (network errors have status 0).
+ * Also queued: writes about records created offline (local ids) and anything sent while
+ * older changes are still waiting, so the backend sees them in order.
+ * applyOffline() brings the offline cache in line and returns the stand-in result.
+ */
+const sendOrQueue = async (mutation, applyOffline) => {
+  const isOffline = typeof navigator !== 'undefined' && !navigator.onLine;
+  const mustQueue = isOffline || mutation.url.includes('local-') || getMutationQueueStatus().pending > 0;
+
+  if (!mustQueue) {
+    try {
+      const response = await axiosInstance.request({ method: mutation.method, url: mutation.url, data: mutation.data });
+      return response.data;
+    } catch (error) {
+      if (error.status !== 0) throw error;
+      console.warn('⚠️ Offline - queueing change until the connection is back');
+    }
+  }
+
+  await queueMutation(mutation);
+  if (!isOffline) replayMutations();
+  return applyOffline();
+};
+
+// List endpoints return a plain array or a DRF page; apply fn to the list either way
+const mapList = (data, fn) => (Array.isArray(data) ? fn(data) : { ...data, results: fn(data?.results || []) });
+
+// Update one task in the cached task list, returning the updated copy (if it was cached)
+const updateCachedTask = async (taskId, update) => {
+  let updated;
+  await updateOfflineCache('tasks', data => mapList(data, tasks => tasks.map(task => {
+    if (String(task.id) !== String(taskId)) return task;
+    updated = update(task);
+    return updated;
+  })));
+  return updated;
+};
+
+// Fetch every page of a DRF list endpoint, following `next` links until exhausted.
+// Also accepts unpaginated endpoints that return a plain array.
+const fetchAllPages = async (url, params) => {
+  const items = [];
+  // Pages already fetched - a `next` link that points back to one of them ends the loop
+  const fetched = new Set();
+  let nextUrl = url;
+  let requestParams = params;
+
+  while (nextUrl && !fetched.has(nextUrl)) {
+    fetched.add(nextUrl);
+    const response = await axiosInstance.get(nextUrl, { params: requestParams });
+    const data = response.data;
+
+    if (Array.isArray(data)) {
+      // Unpaginated endpoint - everything arrived in one response
+      items.push(...data);
+      break;
+    }
+
+    items.push(...(data?.results || []));
+    // `next` already carries the query string, so don't re-send params
+    nextUrl = data?.next || null;
+    requestParams = undefined;
+  }
+
+  return items;
+};
+
+// Find a demo lesson by id across all fixture courses
+const findDemoLesson = (lessonId) => {
+  for (const lessons of Object.values(DEMO_LESSONS)) {
+    const match = lessons.find(lesson => String(lesson.id) === String(lessonId));
+    if (match) return match;
+  }
+  return null;
+};
+
+// The progress record for a course (null if the student hasn't started it)
+const findCourseProgress = async (courseId) => {
+  const list = await withOfflineCache('progress:all', () => fetchAllPages('/progress/'));
+  return list.find(record => String(record.course_detail?.id ?? record.course) === String(courseId)) || null;
+};
+
+// Download a caption file. Absolute URLs (e.g. a CDN) are fetched without our auth header.
+const fetchCaptionFile = async (url) => {
+  const isAbsolute = /^https?:\/\//i.test(url) && !url.startsWith(BASE_URL);
+  const response = isAbsolute
+    ? await axios.get(url, { responseType: 'text', timeout: 10000 })
+    : await axiosInstance.get(url, { responseType: 'text' });
+  return response.data;
+};
+
+// Build a lesson's transcript from a caption URL or inline WebVTT/SRT text, if it has one.
+// Caption problems don't block the lesson: they're reported through `transcriptError`.
+const resolveCaptions = async (rawLesson) => {
+  const captionsUrl = rawLesson?.captionsUrl ?? rawLesson?.captions_url;
+  const inlineCaptions = rawLesson?.captions ??
+    (typeof rawLesson?.transcript === 'string' ? rawLesson.transcript : null);
+
+  if (!captionsUrl && !inlineCaptions) return rawLesson;
+
+  try {
+    const captionText = inlineCaptions ?? await fetchCaptionFile(captionsUrl);
+    return { ...rawLesson, transcript: parseCaptions(captionText), transcriptError: null };
+  } catch (error) {
+    console.error('❌ Failed to load lesson captions:', error);
+    return {
+      ...rawLesson,
+      transcript: [],
+      transcriptError: error.code === 'INVALID_CAPTIONS'
+        ? error.message
+        : 'Captions could not be downloaded. Please try again later.',
+    };
+  }
+};
+
 // API Methods
 export const api = {
   // Authentication
@@ -131,25 +391,59 @@ export const api = {
     const response = await axiosInstance.post('/auth/login/', { email, password });
     
     // Store access and refresh tokens if login successful (Django Simple JWT)
-    if (response.data.access) {
-      localStorage.setItem(TOKEN_KEY, response.data.access);
-    }
-    if (response.data.refresh) {
-      localStorage.setItem(REFRESH_TOKEN_KEY, response.data.refresh);
-    }
+    storeTokens(response.data);
     
     return response.data;
   },
 
+  // Create an account. The backend emails a verification link before the first login.
+  // data shape: { username, email, password }
+  register: async (data) => {
+    const response = await axiosInstance.post('/auth/register/', data);
+    return response.data;
+  },
+
+  // Confirm an email address with the uid/token from the verification link
+  verifyEmail: async ({ uid, token }) => {
+    const response = await axiosInstance.post('/auth/verify-email/', { uid, token });
+    return response.data;
+  },
+
+  // Send a fresh verification link (e.g. the first one expired)
+  resendVerificationEmail: async (email) => {
+    const response = await axiosInstance.post('/auth/verify-email/resend/', { email });
+    return response.data;
+  },
+
+  // Email a password reset link. Succeeds whether or not the account exists.
+  requestPasswordReset: async (email) => {
+    const response = await axiosInstance.post('/auth/password-reset/', { email });
+    return response.data;
+  },
+
+  // Set a new password with the uid/token from the reset link
+  confirmPasswordReset: async ({ uid, token, password }) => {
+    const response = await axiosInstance.post('/auth/password-reset/confirm/', { uid, token, new_password: password });
+    return response.data;
+  },
+
+  // Also forgets the offline cache, unsynced offline changes and queued lesson progress -
+  // they belong to this account - and logs out the student's other tabs
   logout: () => {
     localStorage.removeItem(TOKEN_KEY);
     localStorage.removeItem(REFRESH_TOKEN_KEY);
+    clearOfflineCache();
+    clearMutationQueue();
+    clearProgressQueue();
+    broadcastToTabs(TAB_MESSAGES.sessionEnded, { reason: 'logout' });
   },
 
-  // User profile
+  // User profile (cached for offline starts)
   getUserProfile: async () => {
-    const response = await axiosInstance.get('/auth/profile/');
-    return response.data;
+    return withOfflineCache('profile', async () => {
+      const response = await axiosInstance.get('/auth/profile/');
+      return response.data;
+    });
   },
 
   // Update user profile (PATCH)
@@ -159,364 +453,298 @@ export const api = {
   },
 
   // Courses
-  getCourses: async () => {
-    // Always return mock courses for now (backend might only have course 1)
-    // This ensures all 3 courses show up on the dashboard
-    const mockCourses = [
-      {
-        id: 1,
-        title: 'Introduction to Python',
-        description: 'Learn Python programming fundamentals including variables, functions, and control flow.'
-      },
-      {
-        id: 2,
-        title: 'Web Development Basics',
-        description: 'Master the fundamentals of HTML, CSS, and JavaScript for web development.'
-      },
-      {
-        id: 3,
-        title: 'Data Structures & Algorithms',
-        description: 'Explore fundamental data structures and algorithms with Big O notation analysis.'
-      }
-    ];
-    
-    // Try to fetch from backend and merge with mock data
+  // Fetches the full catalog, following DRF pagination `next` links until exhausted.
+  // The unfiltered catalog is cached; offline, filters are applied to that copy.
+  // filters shape: { search?: string, tag?: string, difficulty?: string }
+  getCourses: async (filters = {}) => {
+    if (USE_DEMO_DATA) {
+      console.info('ℹ️ Demo data mode enabled (VITE_USE_DEMO_DATA) - serving fixture courses');
+      return filterCourses(DEMO_COURSES.map(normalizeCourse), filters);
+    }
+
+    const params = {};
+    if (filters.search) params.search = filters.search;
+    if (filters.tag) params.tags = filters.tag;
+    if (filters.difficulty) params.difficulty = filters.difficulty;
+
     try {
-      const response = await axiosInstance.get('/courses/');
-      const backendCourses = Array.isArray(response.data) ? response.data : (response.data?.results || []);
-      
-      // If backend has courses, merge them with mock data (backend courses take priority)
-      if (backendCourses.length > 0) {
-        // Create a map of backend courses by ID
-        const backendMap = new Map(backendCourses.map(c => [c.id, c]));
-        
-        // Merge: use backend course if exists, otherwise use mock
-        const merged = mockCourses.map(mock => {
-          const backend = backendMap.get(mock.id);
-          return backend ? { ...mock, ...backend } : mock;
-        });
-        
-        return merged;
-      }
+      const courses = await fetchAllPages('/courses/', params);
+      if (Object.keys(params).length === 0) writeOfflineCache('courses', courses);
+
+      // Filter client-side as well in case the backend ignores the query params
+      return filterCourses(courses.map(normalizeCourse), filters);
     } catch (error) {
-      console.warn('Failed to fetch courses from backend, using mock data:', error);
+      const cached = error.status === 0 ? await readOfflineCache('courses') : undefined;
+      if (!cached) throw error;
+      console.warn('⚠️ Offline - showing cached course catalog');
+      return filterCourses(cached.map(normalizeCourse), filters);
     }
-    
-    // Return mock courses if backend fails or is empty
-    return mockCourses;
   },
 
   // Get specific course details
   getCourse: async (courseId) => {
-    const response = await axiosInstance.get(`/courses/${courseId}/`);
-    return response.data;
+    return withOfflineCache(`course:${courseId}`, async () => {
+      const response = await axiosInstance.get(`/courses/${courseId}/`);
+      return response.data;
+    });
   },
 
-  // Lessons (mock endpoint - will use course content_metadata)
+  // Lessons
+  // Get the ordered lesson list (syllabus) for a course
+  getCourseLessons: async (courseId) => {
+    const lessons = USE_DEMO_DATA
+      ? (DEMO_LESSONS[String(courseId)] || [])
+      : await withOfflineCache(`lessons:${courseId}`, () => fetchAllPages(`/courses/${courseId}/lessons/`));
+
+    return lessons
+      .map(parseLessonSummary)
+      .sort((a, b) => a.order - b.order);
+  },
+
+  // Get a single lesson (video, transcript, markdown content, questions)
+  // The transcript may come as { time, text } cues, inline WebVTT/SRT text (`captions`)
+  // or a caption file URL (`captions_url`).
+  // Rejects with status 404 when the lesson doesn't exist and code 'INVALID_LESSON'
+  // when the payload fails validation. The parsed lesson (captions included) is cached offline.
   getLesson: async (lessonId) => {
-    // Extract course ID from lessonId (format: "lesson-{courseId}-1")
-    const courseId = lessonId.split('-')[1] || '1';
-    
-    // Different mock lessons for different courses
-    const lessons = {
-      '1': {
-        id: lessonId,
-        title: 'Introduction to Python',
-        videoUrl: 'https://www.youtube.com/watch?v=rfscVS0vtbw',
-        videoId: 'rfscVS0vtbw',
-        transcript: [
-          { time: 0, text: 'Welcome to this lesson on Python programming fundamentals.' },
-          { time: 5, text: 'Today we will explore variables, functions, and control flow in Python.' },
-          { time: 12, text: 'Let\'s start with variables. In Python, you can create variables simply by assigning values.' },
-          { time: 20, text: 'Python uses dynamic typing, so you don\'t need to declare variable types.' },
-          { time: 30, text: 'Functions in Python are defined using the def keyword.' },
-          { time: 38, text: 'Control flow in Python uses indentation instead of braces.' },
-          { time: 48, text: 'Practice is key to mastering Python. Try writing code every day!' },
-        ],
-        content: `
-# Introduction to Python
-
-## What are Variables?
-
-Variables in Python are dynamically typed. You can assign any value to a variable without declaring its type.
-
-### Key Concepts:
-- **Dynamic Typing**: No type declarations needed
-- **Assignment**: Use = to assign values
-- **Scope**: Variables are scoped to functions or modules
-
-## Functions
-
-Python functions are defined with the \`def\` keyword.
-
-### Benefits:
-- Code reusability
-- Better organization
-- Easier debugging
-
-## Practice Exercise
-
-Try creating a simple Python program that uses variables and functions to calculate the area of a rectangle.
-        `.trim(),
-        duration: 60,
-        questions: [
-          {
-            question: 'How do you create a variable in Python?',
-            options: [
-              'You must declare the type first (e.g., int x = 5)',
-              'Simply assign a value (e.g., x = 5)',
-              'Use the var keyword (e.g., var x = 5)',
-              'Variables are created automatically'
-            ],
-            correctAnswer: 1,
-            successMessage: 'Correct! Python uses dynamic typing - just assign a value!',
-            hint: 'In Python, you don\'t need to declare variable types. Just use the assignment operator =.'
-          },
-          {
-            question: 'What keyword is used to define a function in Python?',
-            options: [
-              'function',
-              'def',
-              'func',
-              'define'
-            ],
-            correctAnswer: 1,
-            successMessage: 'Great! The def keyword is used to define functions in Python.',
-            hint: 'Think about the keyword that comes before the function name in Python.'
-          },
-          {
-            question: 'How does Python indicate code blocks?',
-            options: [
-              'Using curly braces { }',
-              'Using square brackets [ ]',
-              'Using indentation',
-              'Using parentheses ( )'
-            ],
-            correctAnswer: 2,
-            successMessage: 'Exactly! Python uses indentation to define code blocks, which makes code more readable.',
-            hint: 'Python is known for its use of whitespace to structure code.'
-          }
-        ],
-      },
-      '2': {
-        id: lessonId,
-        title: 'Web Development Basics',
-        videoUrl: 'https://www.youtube.com/watch?v=kUMe1FH4CHE',
-        videoId: 'kUMe1FH4CHE',
-        transcript: [
-          { time: 0, text: 'Welcome to web development basics.' },
-          { time: 5, text: 'Today we\'ll learn about HTML, CSS, and JavaScript.' },
-          { time: 12, text: 'HTML provides the structure of a webpage.' },
-          { time: 20, text: 'CSS is used to style and layout web pages.' },
-          { time: 30, text: 'JavaScript adds interactivity to your websites.' },
-          { time: 38, text: 'Together, these three technologies form the foundation of web development.' },
-          { time: 48, text: 'Let\'s start building your first webpage!' },
-        ],
-        content: `
-# Web Development Basics
-
-## HTML - Structure
-
-HTML (HyperText Markup Language) provides the structure of your webpage.
-
-### Key Concepts:
-- **Tags**: HTML elements are created with tags
-- **Attributes**: Tags can have attributes
-- **Semantic HTML**: Use meaningful tags
-
-## CSS - Styling
-
-CSS (Cascading Style Sheets) controls the appearance of your webpage.
-
-### Benefits:
-- Separation of concerns
-- Consistent styling
-- Responsive design
-
-## JavaScript - Interactivity
-
-JavaScript makes your webpage interactive and dynamic.
-        `.trim(),
-        duration: 60,
-        questions: [
-          {
-            question: 'What does HTML stand for?',
-            options: [
-              'HyperText Markup Language',
-              'High Tech Modern Language',
-              'Home Tool Markup Language',
-              'Hyperlink Text Markup Language'
-            ],
-            correctAnswer: 0,
-            successMessage: 'Correct! HTML stands for HyperText Markup Language.',
-            hint: 'HTML is the standard markup language for creating web pages.'
-          },
-          {
-            question: 'What is the primary purpose of CSS?',
-            options: [
-              'To add interactivity to web pages',
-              'To structure web page content',
-              'To style and layout web pages',
-              'To store data on the server'
-            ],
-            correctAnswer: 2,
-            successMessage: 'Right! CSS is used to style and control the layout of web pages.',
-            hint: 'CSS controls how HTML elements are displayed on screen.'
-          }
-        ],
-      },
-      '3': {
-        id: lessonId,
-        title: 'Data Structures & Algorithms',
-        videoUrl: 'https://www.youtube.com/watch?v=RBSGKlAvoiM',
-        videoId: 'RBSGKlAvoiM',
-        transcript: [
-          { time: 0, text: 'Welcome to data structures and algorithms.' },
-          { time: 5, text: 'Today we\'ll explore fundamental data structures like arrays and linked lists.' },
-          { time: 12, text: 'Data structures are ways of organizing and storing data.' },
-          { time: 20, text: 'Algorithms are step-by-step procedures for solving problems.' },
-          { time: 30, text: 'Understanding time and space complexity is crucial.' },
-          { time: 38, text: 'We\'ll learn about Big O notation to analyze algorithm efficiency.' },
-          { time: 48, text: 'Let\'s dive into arrays and their operations!' },
-        ],
-        content: `
-# Data Structures & Algorithms
-
-## What are Data Structures?
-
-Data structures are ways of organizing and storing data in computer memory.
-
-### Key Concepts:
-- **Arrays**: Ordered collections of elements
-- **Linked Lists**: Dynamic data structures
-- **Trees**: Hierarchical data organization
-
-## Algorithms
-
-Algorithms are step-by-step procedures for solving problems.
-
-### Benefits:
-- Problem-solving skills
-- Efficient code
-- Better understanding of computer science
-
-## Big O Notation
-
-Big O notation describes the time and space complexity of algorithms.
-        `.trim(),
-        duration: 60,
-        questions: [
-          {
-            question: 'What is a data structure?',
-            options: [
-              'A programming language',
-              'A way of organizing and storing data',
-              'A type of algorithm',
-              'A computer hardware component'
-            ],
-            correctAnswer: 1,
-            successMessage: 'Correct! Data structures are ways of organizing and storing data in computer memory.',
-            hint: 'Data structures help organize information efficiently.'
-          },
-          {
-            question: 'What does Big O notation describe?',
-            options: [
-              'The size of data structures',
-              'The time and space complexity of algorithms',
-              'The number of variables in a program',
-              'The speed of a computer processor'
-            ],
-            correctAnswer: 1,
-            successMessage: 'Exactly! Big O notation describes how algorithm performance scales with input size.',
-            hint: 'Big O notation helps analyze algorithm efficiency.'
-          }
-        ],
-      },
-    };
-    
-    // Return lesson for course, or default to course 1
-    return lessons[courseId] || lessons['1'];
+    if (USE_DEMO_DATA) {
+      const demoLesson = findDemoLesson(lessonId);
+      if (!demoLesson) {
+        throw { message: 'Lesson not found', status: 404, data: null };
+      }
+      return parseLesson(await resolveCaptions(demoLesson));
+    }
+
+    return withOfflineCache(`lesson:${lessonId}`, async () => {
+      const response = await axiosInstance.get(`/lessons/${lessonId}/`);
+      return parseLesson(await resolveCaptions(response.data));
+    });
+  },
+
+  // Student Notes (personal, timestamped notes per user and lesson)
+  // Notes are cached in localStorage so they stay readable offline. Edits made while
+  // offline (network errors have status 0) are queued and pushed on the next load.
+  getLessonNotes: async (userId, lessonId) => {
+    try {
+      await api.syncLessonNotes(userId, lessonId);
+      const notes = await fetchAllPages(`/lessons/${lessonId}/notes/`);
+
+      // Keep anything that still couldn't be synced alongside the server copy
+      const stillPending = readNotesCache(userId, lessonId).filter(note => note.pending);
+      const merged = [
+        ...notes.filter(note => !stillPending.some(pending => pending.id === note.id)),
+        ...stillPending,
+      ];
+      writeNotesCache(userId, lessonId, merged);
+      return visibleNotes(merged);
+    } catch (error) {
+      if (error.status === 0) {
+        console.warn('⚠️ Offline - showing cached lesson notes');
+        return visibleNotes(readNotesCache(userId, lessonId));
+      }
+      throw error;
+    }
+  },
+
+  // Create or update a note
+  saveLessonNote: async (userId, lessonId, note) => {
+    // note shape: { id?: number | string, text: string, timestamp: number | null }
+    const payload = { text: note.text, timestamp: note.timestamp ?? null };
+    const isNew = !note.id || isLocalNoteId(note.id);
+
+    try {
+      const response = isNew
+        ? await axiosInstance.post(`/lessons/${lessonId}/notes/`, payload)
+        : await axiosInstance.patch(`/notes/${note.id}/`, payload);
+      upsertCachedNote(userId, lessonId, response.data, note.id);
+      return response.data;
+    } catch (error) {
+      if (error.status !== 0) throw error;
+
+      // Offline - keep the note locally and sync it later
+      const now = new Date().toISOString();
+      const localNote = {
+        ...note,
+        ...payload,
+        id: note.id || createLocalNoteId(),
+        created_at: note.created_at || now,
+        updated_at: now,
+        pending: true,
+      };
+      upsertCachedNote(userId, lessonId, localNote);
+      return localNote;
+    }
+  },
+
+  // Delete a note
+  deleteLessonNote: async (userId, lessonId, noteId) => {
+    // Never reached the backend - just drop it locally
+    if (isLocalNoteId(noteId)) {
+      removeCachedNote(userId, lessonId, noteId);
+      return;
+    }
+
+    try {
+      await axiosInstance.delete(`/notes/${noteId}/`);
+      removeCachedNote(userId, lessonId, noteId);
+    } catch (error) {
+      if (error.status === 404) {
+        // Already gone on the backend
+        removeCachedNote(userId, lessonId, noteId);
+        return;
+      }
+      if (error.status !== 0) throw error;
+
+      // Offline - queue the delete
+      const cached = readNotesCache(userId, lessonId).find(note => note.id === noteId);
+      upsertCachedNote(userId, lessonId, { ...cached, id: noteId, deleted: true, pending: true });
+    }
+  },
+
+  // Push notes created, edited or deleted while offline
+  syncLessonNotes: async (userId, lessonId) => {
+    const pending = readNotesCache(userId, lessonId).filter(note => note.pending);
+    for (const note of pending) {
+      if (note.deleted) {
+        await api.deleteLessonNote(userId, lessonId, note.id);
+      } else {
+        await api.saveLessonNote(userId, lessonId, note);
+      }
+    }
   },
 
   // Task Breaker (Executive Function Toolkit)
+  // Tasks are cached for offline use; changes made offline are queued and replayed
+  // on reconnect (see sync/mutationQueue), with the cached list updated to match.
   // Get all tasks for the authenticated user
   getTasks: async () => {
-    const response = await axiosInstance.get('/ef/tasks/');
-    return response.data;
+    return withOfflineCache('tasks', async () => {
+      const response = await axiosInstance.get('/ef/tasks/');
+      return response.data;
+    });
   },
 
   // Create a new task with steps
+  // Offline, resolves with a stand-in task (local ids, pending: true) until the queue syncs
   createTask: async (taskData) => {
     // taskData shape: { main_task_title: string, steps: [{ step_description: string, order: number }] }
-    const response = await axiosInstance.post('/ef/tasks/', taskData);
-    return response.data;
+    const localTask = {
+      ...taskData,
+      id: createLocalId('task'),
+      is_complete: false,
+      created_at: new Date().toISOString(),
+      steps: (taskData.steps || []).map(step => ({ ...step, id: createLocalId('step') })),
+      pending: true,
+    };
+    const localIds = { [localTask.id]: 'id' };
+    localTask.steps.forEach((step, index) => {
+      localIds[step.id] = `steps.${index}.id`;
+    });
+
+    return sendOrQueue({ method: 'post', url: '/ef/tasks/', data: taskData, localIds }, async () => {
+      await updateOfflineCache('tasks', data => mapList(data, tasks => [localTask, ...tasks]));
+      return localTask;
+    });
   },
 
   // Update an entire task (including steps)
   updateTask: async (taskId, taskData) => {
-    const response = await axiosInstance.put(`/ef/tasks/${taskId}/`, taskData);
-    return response.data;
+    return sendOrQueue({ method: 'put', url: `/ef/tasks/${taskId}/`, data: taskData }, async () => (
+      await updateCachedTask(taskId, task => ({ ...task, ...taskData, pending: true })) ?? { id: taskId, ...taskData }
+    ));
   },
 
   // Partially update a task (e.g., mark as complete)
   patchTask: async (taskId, partialData) => {
-    const response = await axiosInstance.patch(`/ef/tasks/${taskId}/`, partialData);
-    return response.data;
+    return sendOrQueue({ method: 'patch', url: `/ef/tasks/${taskId}/`, data: partialData }, async () => (
+      await updateCachedTask(taskId, task => ({ ...task, ...partialData, pending: true })) ?? { id: taskId, ...partialData }
+    ));
   },
 
   // Delete a task
   deleteTask: async (taskId) => {
-    const response = await axiosInstance.delete(`/ef/tasks/${taskId}/`);
-    return response.data;
+    const removeCached = () => updateOfflineCache('tasks', data => mapList(
+      data,
+      tasks => tasks.filter(task => String(task.id) !== String(taskId))
+    ));
+
+    // Never reached the backend - drop it and everything queued for it
+    if (isLocalId(taskId)) {
+      await discardQueuedMutations(taskId);
+      await removeCached();
+      return {};
+    }
+
+    return sendOrQueue({ method: 'delete', url: `/ef/tasks/${taskId}/` }, async () => {
+      await removeCached();
+      return {};
+    });
   },
 
   // Update a specific step's completion status (uses custom backend endpoint)
   updateTaskStep: async (taskId, stepId, isComplete) => {
-    const response = await axiosInstance.patch(`/ef/tasks/${taskId}/update_step/${stepId}/`, {
-      is_step_complete: isComplete
-    });
-    return response.data;
+    const data = { is_step_complete: isComplete };
+    return sendOrQueue({ method: 'patch', url: `/ef/tasks/${taskId}/update_step/${stepId}/`, data }, async () => (
+      await updateCachedTask(taskId, task => ({
+        ...task,
+        steps: (task.steps || []).map(step => (String(step.id) === String(stepId) ? { ...step, ...data } : step)),
+        pending: true,
+      })) ?? {}
+    ));
   },
 
   // Pomodoro Timer (Focus Engine)
   // Get all timers for the authenticated user
   getTimers: async () => {
-    const response = await axiosInstance.get('/ef/timer/');
-    return response.data;
+    return withOfflineCache('timers', async () => {
+      const response = await axiosInstance.get('/ef/timer/');
+      return response.data;
+    });
   },
 
-  // Get or create the user's default timer
+  // Get or create the user's default timer (the last copy is served offline)
   getOrCreateTimer: async () => {
-    try {
-      const response = await axiosInstance.get('/ef/timer/');
-      // Response interceptor already handles response.data, so we use response.data directly
-      const timersList = Array.isArray(response.data) ? response.data : (response.data?.results || []);
-      
-      if (timersList.length > 0) {
-        return timersList[0]; // Return first timer
+    return withOfflineCache('timer', async () => {
+      try {
+        const response = await axiosInstance.get('/ef/timer/');
+        // Response interceptor already handles response.data, so we use response.data directly
+        const timersList = Array.isArray(response.data) ? response.data : (response.data?.results || []);
+        
+        if (timersList.length > 0) {
+          return timersList[0]; // Return first timer
+        }
+        
+        // Create default timer if none exists
+        const newTimerResponse = await axiosInstance.post('/ef/timer/', {
+          work_duration: 25,
+          break_duration: 5,
+          long_break_duration: 15,
+          cycles_to_long_break: 4,
+          current_status: 'idle',
+          session_start_time: null,
+        });
+        // Response interceptor already handles response.data
+        return newTimerResponse.data;
+      } catch (error) {
+        console.error('Failed to get or create timer:', error);
+        throw error;
       }
-      
-      // Create default timer if none exists
-      const newTimerResponse = await axiosInstance.post('/ef/timer/', {
-        work_duration: 25,
-        break_duration: 5,
-        long_break_duration: 15,
-        cycles_to_long_break: 4,
-        current_status: 'idle',
-        session_start_time: null,
-      });
-      // Response interceptor already handles response.data
-      return newTimerResponse.data;
-    } catch (error) {
-      console.error('Failed to get or create timer:', error);
-      throw error;
-    }
+    });
   },
 
-  // Update timer settings
+  // Update timer settings, including alert_sound, notifications_enabled, vibration_enabled,
+  // two_minute_warning, routine and routine_settings (see utils/focusRoutines) - queued
+  // offline; repeated changes collapse into one request.
+  // Also stores the running session so it can be recovered: current_status, session_mode,
+  // session_phase, session_start_time, session_end_time, remaining_seconds (paused) and
+  // cycles_completed.
   updateTimer: async (timerId, data) => {
-    const response = await axiosInstance.patch(`/ef/timer/${timerId}/`, data);
-    return response.data;
+    return sendOrQueue({ method: 'patch', url: `/ef/timer/${timerId}/`, data }, async () => {
+      const cached = await updateOfflineCache('timer', timer => (
+        String(timer.id) === String(timerId) ? { ...timer, ...data } : timer
+      ));
+      return cached && String(cached.id) === String(timerId) ? cached : { id: timerId, ...data };
+    });
   },
 
   // Delete a timer
@@ -525,11 +753,36 @@ Big O notation describes the time and space complexity of algorithms.
     return response.data;
   },
 
+  // Focus session history - one record per work/break session, completed or interrupted:
+  // { mode, routine, outcome: 'completed' | 'interrupted', started_at, ended_at, planned_seconds,
+  //   focused_seconds, task, step, task_title, step_description,
+  //   completed_steps: [{ task, step, step_description, completed_at }] }
+  // Get the student's focus sessions, newest first (the last copy is served offline)
+  getFocusSessions: async () => {
+    return withOfflineCache('focus-sessions', async () => {
+      const response = await axiosInstance.get('/ef/focus-sessions/');
+      return response.data;
+    });
+  },
+
+  // Record a finished session (queued offline, and shown in the cached history until then)
+  recordFocusSession: async (session) => {
+    const localSession = { ...session, id: createLocalId('focus'), pending: true };
+    const recorded = await sendOrQueue({ method: 'post', url: '/ef/focus-sessions/', data: session }, async () => {
+      await updateOfflineCache('focus-sessions', data => mapList(data, sessions => [localSession, ...sessions]));
+      return localSession;
+    });
+    window.dispatchEvent(new CustomEvent(FOCUS_SESSION_RECORDED_EVENT, { detail: recorded }));
+    return recorded;
+  },
+
   // Progress Tracking (Insights)
   // Get all progress records for the authenticated user
   getProgress: async () => {
-    const response = await axiosInstance.get('/progress/');
-    return response.data;
+    return withOfflineCache('progress', async () => {
+      const response = await axiosInstance.get('/progress/');
+      return response.data;
+    });
   },
 
   // Create or update progress for a course
@@ -548,6 +801,129 @@ Big O notation describes the time and space complexity of algorithms.
     return response.data;
   },
 
+  // Update the course's progress record in place, creating it only if there isn't one yet.
+  // Pass progressId when it's already known to skip the lookup.
+  upsertProgress: async (courseId, data, progressId = null) => {
+    const id = progressId ?? (await findCourseProgress(courseId))?.id;
+    return id != null ? api.patchProgress(id, data) : api.updateProgress(courseId, data);
+  },
+
+  // patchProgress for a page that's unloading (see sync/progressQueue): a keepalive fetch
+  // outlives the page, but gives no usable response. Returns whether the request was made.
+  patchProgressKeepalive: (progressId, data) => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (typeof fetch === 'undefined' || !token) return false;
+
+    fetch(`${BASE_URL}/progress/${progressId}/`, {
+      method: 'PATCH',
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(data),
+    }).catch(() => {
+      // Still queued - the next visit sends it
+    });
+    return true;
+  },
+
+  // Remember where the student stopped watching (stored on the course progress record).
+  // A position of 0 clears the resume point, e.g. once the video is finished.
+  saveLessonPosition: async (courseId, lessonId, position) => {
+    return api.upsertProgress(courseId, {
+      last_lesson: lessonId,
+      last_position: Math.floor(position),
+      last_position_at: new Date().toISOString(),
+    });
+  },
+
+  // Course completion (0-100) saved on the server, 0 when the course hasn't been started
+  getCourseCompletion: async (courseId) => {
+    const record = await findCourseProgress(courseId);
+    return Number(record?.completion_rate) || 0;
+  },
+
+  // Saved resume point for a lesson: { position, updatedAt } or null
+  getLessonPosition: async (courseId, lessonId) => {
+    const saved = parseProgressPosition(await findCourseProgress(courseId));
+    return saved && saved.lessonId === String(lessonId) ? saved : null;
+  },
+
+  // Feed a lesson's best quiz score (0-100) into the course progress record,
+  // kept per lesson as quiz_scores: { [lessonId]: percentage }
+  saveBestQuizScore: async (courseId, lessonId, percentage) => {
+    const record = await findCourseProgress(courseId);
+    const quizScores = {
+      ...(record?.quiz_scores || {}),
+      [lessonId]: Math.max(Math.round(percentage), record?.quiz_scores?.[lessonId] ?? 0),
+    };
+    return record
+      ? api.patchProgress(record.id, { quiz_scores: quizScores })
+      : api.updateProgress(courseId, { quiz_scores: quizScores });
+  },
+
+  // Quiz Attempts
+  // Attempt history for a lesson (newest first); falls back to the local cache offline
+  getQuizAttempts: async (userId, lessonId) => {
+    try {
+      await api.syncQuizAttempts(userId, lessonId);
+      const attempts = await fetchAllPages(`/lessons/${lessonId}/quiz-attempts/`);
+
+      // Keep attempts that still couldn't be synced alongside the server copy
+      const stillPending = readAttemptsCache(userId, lessonId).filter(attempt => attempt.pending);
+      const merged = [...attempts, ...stillPending];
+      writeAttemptsCache(userId, lessonId, merged);
+      return sortAttempts(merged);
+    } catch (error) {
+      if (error.status === 0) {
+        console.warn('⚠️ Offline - showing cached quiz attempts');
+        return sortAttempts(readAttemptsCache(userId, lessonId));
+      }
+      throw error;
+    }
+  },
+
+  // Record a finished quiz attempt
+  saveQuizAttempt: async (userId, lessonId, attempt) => {
+    // attempt shape: { course, score, total, started_at, completed_at, duration_seconds,
+    //   answers: [{ question_index, answer, correct, time_taken_seconds, hint_viewed }] }
+    const { id } = attempt;
+    const payload = { ...attempt };
+    delete payload.id;
+    delete payload.pending;
+
+    try {
+      const response = await axiosInstance.post(`/lessons/${lessonId}/quiz-attempts/`, payload);
+      upsertCachedAttempt(userId, lessonId, response.data, id);
+      return response.data;
+    } catch (error) {
+      if (error.status !== 0) throw error;
+
+      // Offline - keep the attempt locally and sync it later
+      const localAttempt = { ...payload, id: id || createLocalAttemptId(), pending: true };
+      upsertCachedAttempt(userId, lessonId, localAttempt);
+      return localAttempt;
+    }
+  },
+
+  // Push attempts made while offline, then feed the best score into course progress
+  // (handled by LessonPlayer for attempts saved online)
+  syncQuizAttempts: async (userId, lessonId) => {
+    const pending = readAttemptsCache(userId, lessonId).filter(attempt => attempt.pending);
+    const synced = [];
+    for (const attempt of pending) {
+      const saved = await api.saveQuizAttempt(userId, lessonId, attempt);
+      if (!saved.pending) synced.push({ ...saved, course: saved.course ?? attempt.course });
+    }
+
+    const courseId = synced.find(attempt => attempt.course != null)?.course;
+    if (courseId == null) return;
+    try {
+      const best = getBestAttempt(readAttemptsCache(userId, lessonId).filter(attempt => !attempt.pending));
+      await api.saveBestQuizScore(courseId, lessonId, attemptRatio(best) * 100);
+    } catch (error) {
+      console.warn('Failed to save best quiz score:', error);
+    }
+  },
+
   // AI Companion Chat
   sendChat: async (message, personaName) => {
     const response = await axiosInstance.post('/chat/', {
@@ -557,27 +933,21 @@ Big O notation describes the time and space complexity of algorithms.
     return response.data;
   },
 
-  // Check if user is authenticated
+  // Check if user is authenticated: a usable access token, or a refresh token that
+  // can still get one (an expired refresh token means logging in again)
   isAuthenticated: () => {
-    return !!localStorage.getItem(TOKEN_KEY);
-  },
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (!token) return false;
+    if (!isTokenExpiring(token)) return true;
 
-  // Refresh access token
-  refreshToken: async () => {
     const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
-    if (!refreshToken) {
-      throw new Error('No refresh token available');
-    }
-
-    const response = await axiosInstance.post('/auth/token/refresh/', {
-      refresh: refreshToken,
-    });
-
-    if (response.data.access) {
-      localStorage.setItem(TOKEN_KEY, response.data.access);
-    }
+    return !!refreshToken && !isTokenExpiring(refreshToken);
+  },
 
-    return response.data;
+  // Refresh access token (joins a refresh that's already in flight)
+  refreshToken: async () => {
+    const access = await refreshAccessToken();
+    return { access };
   },
 };
 
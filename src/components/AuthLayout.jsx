@@ -0,0 +1,103 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+/**
+ * AuthLayout Component - Card shared by the login, signup, email verification
+ * and password reset screens
+ */
+const AuthLayout = ({ heading, subtitle = 'Neurodivergent Virtual Learning Platform', children, footer }) => {
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-gray-950 flex items-center justify-center p-6 transition-colors duration-300">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 w-full max-w-md transition-colors duration-300">
+        <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100 mb-2 text-center transition-colors duration-300">
+          NVLP
+        </h1>
+        <p className="text-gray-600 dark:text-gray-300 text-center mb-8 transition-colors duration-300">
+          {subtitle}
+        </p>
+
+        {heading && (
+          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mb-4 transition-colors duration-300">
+            {heading}
+          </h2>
+        )}
+
+        {children}
+
+        {footer && (
+          <div className="mt-6 text-center text-sm text-gray-600 dark:text-gray-300 space-y-2">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * AuthField Component - Labelled input wired to react-hook-form
+ * registration is the result of register(name, rules); error is formState.errors[name].
+ */
+export const AuthField = ({ id, label, type = 'text', registration, error, placeholder, autoComplete }) => {
+  return (
+    <div>
+      <label
+        htmlFor={id}
+        className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 transition-colors duration-300"
+      >
+        {label}
+      </label>
+      <input
+        type={type}
+        id={id}
+        autoComplete={autoComplete}
+        aria-invalid={error ? 'true' : 'false'}
+        aria-describedby={error ? `${id}-error` : undefined}
+        {...registration}
+        className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-colors duration-300 dark:bg-gray-700 dark:text-gray-100 ${
+          error
+            ? 'border-red-500 dark:border-red-400'
+            : 'border-gray-300 dark:border-gray-600'
+        }`}
+        placeholder={placeholder}
+      />
+      {error && (
+        <p id={`${id}-error`} className="mt-1 text-sm text-red-600 dark:text-red-400">
+          {error.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * AuthSubmitButton Component - Full-width primary button with a busy label
+ */
+export const AuthSubmitButton = ({ isLoading, loadingLabel, children }) => {
+  return (
+    <button
+      type="submit"
+      disabled={isLoading}
+      className="w-full bg-blue-600 dark:bg-blue-700 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      {isLoading ? loadingLabel : children}
+    </button>
+  );
+};
+
+/**
+ * AuthLink Component - Text link between the auth screens (keeps the remembered page in state)
+ */
+export const AuthLink = ({ to, state, children }) => {
+  return (
+    <Link
+      to={to}
+      state={state}
+      className="font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline"
+    >
+      {children}
+    </Link>
+  );
+};
+
+export default AuthLayout;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Award, Lock } from 'lucide-react';
+import { useSensory } from '../context/SensoryContext';
+import SmartText from './SmartText';
+import { BADGES, XP_EVENT, getEarnedBadges, getLevel, getTotalXp, readLedger } from '../utils/gamification';
+
+/**
+ * BadgeShelf Component - Level, XP progress and badges on the dashboard
+ * Reads the XP ledger (utils/gamification) and refreshes whenever XP is awarded,
+ * including from another tab. Locked badges show what it takes to earn them.
+ */
+const BadgeShelf = ({ user }) => {
+  const { reduceAnimations } = useSensory();
+  const userId = user?.id;
+  const [ledger, setLedger] = useState(() => readLedger(userId));
+
+  useEffect(() => {
+    const refresh = () => setLedger(readLedger(userId));
+    window.addEventListener(XP_EVENT, refresh);
+    window.addEventListener('storage', refresh);
+    return () => {
+      window.removeEventListener(XP_EVENT, refresh);
+      window.removeEventListener('storage', refresh);
+    };
+  }, [userId]);
+
+  const totalXp = getTotalXp(ledger);
+  const { level, xpIntoLevel, xpForNextLevel, progress } = getLevel(totalXp);
+  const earnedIds = new Set(getEarnedBadges(ledger).map(badge => badge.id));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-sm transition-colors duration-300">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
+          <Award size={18} className="text-yellow-500" />
+          <SmartText>{`Level ${level}`}</SmartText>
+        </h2>
+        <span className="text-xs font-mono text-gray-500 dark:text-gray-400">{totalXp} XP</span>
+      </div>
+
+      {/* Progress to next level */}
+      <div
+        role="progressbar"
+        aria-label="Progress to next level"
+        aria-valuemin={0}
+        aria-valuemax={xpForNextLevel}
+        aria-valuenow={xpIntoLevel}
+        className="w-full h-2 rounded-full overflow-hidden bg-gray-200 dark:bg-gray-700"
+      >
+        <div
+          className={`h-full bg-yellow-500 ${reduceAnimations ? '' : 'transition-all duration-500'}`}
+          style={{ width: `${Math.round(progress * 100)}%` }}
+        />
+      </div>
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        <SmartText>{`${xpForNextLevel - xpIntoLevel} XP to level ${level + 1}`}</SmartText>
+      </p>
+
+      {/* Badges */}
+      <ul className="mt-4 grid grid-cols-5 gap-2" aria-label="Badges">
+        {BADGES.map(badge => {
+          const earned = earnedIds.has(badge.id);
+          return (
+            <li
+              key={badge.id}
+              title={`${badge.name} - ${badge.description}${earned ? '' : ' (locked)'}`}
+              className={`aspect-square rounded-lg flex items-center justify-center text-xl relative ${
+                earned
+                  ? 'bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-700'
+                  : 'bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600'
+              }`}
+            >
+              <span aria-hidden="true" className={earned ? '' : 'opacity-25 grayscale'}>{badge.icon}</span>
+              {!earned && <Lock size={10} className="absolute bottom-1 right-1 text-gray-400" aria-hidden="true" />}
+              <span className="sr-only">{`${badge.name}: ${badge.description}${earned ? ' (earned)' : ' (locked)'}`}</span>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        <SmartText>{`${earnedIds.size} of ${BADGES.length} badges earned`}</SmartText>
+      </p>
+    </div>
+  );
+};
+
+export default BadgeShelf;
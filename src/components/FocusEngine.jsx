@@ -1,23 +1,123 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, RotateCcw, Pin, X, Settings, Loader2, Clock, Target } from 'lucide-react';
+import { Play, Pause, RotateCcw, Pin, X, Settings, Loader2, Clock, Target, Plus, Trash2, CheckCircle2, PartyPopper } from 'lucide-react';
 import api from '../api';
 import toast from 'react-hot-toast';
 import { useSensory } from '../context/SensoryContext';
 import SmartText from './SmartText';
+import {
+  awardXp,
+  XP_PER_FOCUS_MINUTE,
+  XP_PER_TASK_COMPLETE,
+  XP_PER_TASK_STEP,
+  XP_SOURCES,
+} from '../utils/gamification';
+import { FOCUS_OUTCOMES, getFocusStreak, normalizeFocusSessions } from '../utils/focusHistory';
+import {
+  DEFAULT_ROUTINE,
+  MAX_CUSTOM_PHASES,
+  MAX_PHASE_MINUTES,
+  ROUTINES,
+  getAdaptiveScale,
+  getRoutineId,
+  getRoutinePhases,
+  sanitizePhases,
+} from '../utils/focusRoutines';
+import { TAB_MESSAGES, broadcastToTabs, subscribeToTabs } from '../sync/tabSync';
+import {
+  CHIMES,
+  DEFAULT_CHIME,
+  getNotificationPermission,
+  playChime,
+  requestNotificationPermission,
+  showSystemNotification,
+  vibrate,
+} from '../utils/focusAlerts';
+
+// Start time of the last work/break session that was recorded, shared by all tabs
+const COMPLETED_SESSION_KEY = 'nvlp_focus_completed_session';
+// Start time of the last session that gave its two-minute warning
+const WARNED_SESSION_KEY = 'nvlp_focus_warned_session';
+
+// Every tab showing a session completes it, but only the first one records it
+// (history, XP, backend sync) and alerts the student. The same goes for
+// the two-minute warning. Returns whether this tab was first.
+const claimForSession = (storageKey, sessionKey) => {
+  if (!sessionKey) return true;
+  if (localStorage.getItem(storageKey) === sessionKey) return false;
+  localStorage.setItem(storageKey, sessionKey);
+  return true;
+};
+
+// Seconds before the end of a session that the warning cue plays
+const WARNING_SECONDS = 2 * 60;
+
+const MODE_LABELS = { work: 'Focus', break: 'Break', longBreak: 'Long break' };
+
+// Format time as MM:SS
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Whole seconds left until a deadline (ms since epoch), never negative
+const secondsUntil = (endsAt, now = Date.now()) => Math.max(0, Math.ceil((endsAt - now) / 1000));
+
+// First step of a task, in step order, that isn't done yet
+const getNextIncompleteStep = (steps = []) => (
+  [...steps].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)).find(step => !step.is_step_complete) || null
+);
+
+const isSameId = (a, b) => String(a) === String(b);
+
+// The latest copy of `task` in `tasks`, with steps marked done in either copy still
+// done - the list lags behind a step completed here until it's reloaded
+const resolveTask = (tasks, task) => {
+  const latest = tasks.find(item => isSameId(item.id, task.id));
+  if (!latest) return task;
+  const doneHere = new Set((task.steps || []).filter(step => step.is_step_complete).map(step => String(step.id)));
+  return {
+    ...latest,
+    steps: (latest.steps || []).map(step => (
+      doneHere.has(String(step.id)) ? { ...step, is_step_complete: true } : step
+    )),
+  };
+};
+
+// Stable default, so the task list only "changes" when the parent passes a new one
+const NO_TASKS = [];
+
+// Phases of the routine saved with a backend timer
+const getTimerPhases = (timer) => getRoutinePhases(timer.routine, timer.routine_settings, {
+  workDuration: timer.work_duration || 25,
+  breakDuration: timer.break_duration || 5,
+  longBreakDuration: timer.long_break_duration || 15,
+  cyclesToLongBreak: timer.cycles_to_long_break || 4,
+});
 
 /**
  * FocusEngine Component - Pomodoro Timer with Task Integration
  * 
  * Features:
- * - Real-time countdown timer with work/break cycles
- * - Task/step pinning for focused work
- * - Backend persistence and recovery
+ * - Countdown to an absolute deadline, so throttled background tabs don't drift
+ *   and a session finishes on time even if the tab was asleep
+ * - Routines: classic Pomodoro, 52/17, 90-minute deep work, tiny 10-minute starts
+ *   or a custom phase sequence, each optionally adapting its focus length to how
+ *   often recent sessions were finished
+ * - Task/step pinning for focused work: marking the pinned step done pins the
+ *   next one, and finishing the task offers the next task or session
+ * - Backend persistence and recovery (running or paused, in any mode)
  * - Focus mode UI (hide distractions)
  * - Sensory integration (audio, animations, reduce motion)
+ * - Gentle chimes, optional vibration and opt-in system notifications for
+ *   transitions, a two-minute warning and the countdown in the tab title
  * - Auto-sync with Django PomodoroTimerModel
+ * - XP for every completed work session
+ * - Every session (completed or reset early) recorded to the focus history
+ * - Stays in step across the student's open tabs
  */
-const FocusEngine = ({ tasks = [] }) => {
-  const { reduceAnimations, lowAudio } = useSensory();
+const FocusEngine = ({ tasks = NO_TASKS, user, onTasksChange }) => {
+  const { reduceAnimations, lowAudio, hideCelebrations } = useSensory();
   
   // Timer settings
   const [timerId, setTimerId] = useState(null);
@@ -26,10 +126,29 @@ const FocusEngine = ({ tasks = [] }) => {
   const [longBreakDuration, setLongBreakDuration] = useState(15);
   const [cyclesToLongBreak, setCyclesToLongBreak] = useState(4);
   
+  // Alert settings (saved as soon as they change)
+  const [alertSound, setAlertSound] = useState(DEFAULT_CHIME);
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [vibrationEnabled, setVibrationEnabled] = useState(false);
+  const [twoMinuteWarning, setTwoMinuteWarning] = useState(true);
+  
+  // Routine (see utils/focusRoutines) and the copy being edited in the settings panel
+  const [routineId, setRoutineId] = useState(DEFAULT_ROUTINE);
+  const [routineSettings, setRoutineSettings] = useState({});
+  const [draftRoutineId, setDraftRoutineId] = useState(DEFAULT_ROUTINE);
+  const [draftRoutineSettings, setDraftRoutineSettings] = useState({});
+  // Pomodoro durations being edited in the settings panel, applied on save
+  const [draftDurations, setDraftDurations] = useState({
+    workDuration: 25,
+    breakDuration: 5,
+    longBreakDuration: 15,
+    cyclesToLongBreak: 4,
+  });
+  
   // Timer state
   const [timeLeft, setTimeLeft] = useState(25 * 60); // seconds
   const [isRunning, setIsRunning] = useState(false);
-  const [mode, setMode] = useState('work'); // 'work' | 'break' | 'longBreak'
+  const [phaseIndex, setPhaseIndex] = useState(0); // position in the routine's phases
   const [cyclesCompleted, setCyclesCompleted] = useState(0);
   
   // UI state
@@ -37,12 +156,37 @@ const FocusEngine = ({ tasks = [] }) => {
   const [showSettings, setShowSettings] = useState(false);
   const [pinnedTask, setPinnedTask] = useState(null);
   const [pinnedStep, setPinnedStep] = useState(null);
+  const [finishedTask, setFinishedTask] = useState(null); // task just finished from the focus view
   const [focusMode, setFocusMode] = useState(false);
+  const [syncedTasks, setSyncedTasks] = useState(tasks);
   
-  // Refs for interval and audio
+  // Refs for interval and session
   const intervalRef = useRef(null);
   const sessionStartRef = useRef(null);
-  const audioContextRef = useRef(null);
+  // When the running session ends (ms since epoch); null while paused or idle
+  const endsAtRef = useRef(null);
+  // Steps marked done during the current session, saved with it to the focus history
+  const completedStepsRef = useRef([]);
+  
+  // Keep the pin in step with the task list: a step done elsewhere (e.g. TaskBreaker)
+  // moves the pin on to the next one, and a finished or deleted task is unpinned
+  if (tasks !== syncedTasks) {
+    setSyncedTasks(tasks);
+    if (pinnedTask && pinnedStep) {
+      const latest = tasks.find(task => isSameId(task.id, pinnedTask.id));
+      const latestStep = latest?.steps?.find(step => isSameId(step.id, pinnedStep.id));
+      const nextStep = latest && !latest.is_complete
+        ? (latestStep && !latestStep.is_step_complete ? latestStep : getNextIncompleteStep(latest.steps))
+        : null;
+      setPinnedTask(nextStep ? latest : null);
+      setPinnedStep(nextStep);
+    }
+  }
+  
+  const durations = { workDuration, breakDuration, longBreakDuration, cyclesToLongBreak };
+  const phases = getRoutinePhases(routineId, routineSettings, durations);
+  const currentPhase = phases[phaseIndex % phases.length];
+  const mode = currentPhase.mode; // 'work' | 'break' | 'longBreak'
   
   // Initialize timer from backend
   useEffect(() => {
@@ -65,13 +209,15 @@ const FocusEngine = ({ tasks = [] }) => {
       setBreakDuration(timer.break_duration || 5);
       setLongBreakDuration(timer.long_break_duration || 15);
       setCyclesToLongBreak(timer.cycles_to_long_break || 4);
+      setAlertSound(CHIMES[timer.alert_sound] ? timer.alert_sound : DEFAULT_CHIME);
+      // Permission may have been withdrawn in the browser since this was turned on
+      setNotificationsEnabled(Boolean(timer.notifications_enabled) && getNotificationPermission() === 'granted');
+      setVibrationEnabled(Boolean(timer.vibration_enabled));
+      setTwoMinuteWarning(timer.two_minute_warning ?? true);
+      setRoutineId(getRoutineId(timer.routine));
+      setRoutineSettings(timer.routine_settings || {});
       
-      // Recover session if timer was running
-      if (timer.current_status === 'working' || timer.current_status === 'breaking') {
-        recoverSession(timer);
-      } else {
-        setTimeLeft(timer.work_duration * 60);
-      }
+      recoverSession(timer);
     } catch (error) {
       console.error('Failed to initialize timer:', error);
       toast.error('Failed to load timer settings');
@@ -82,141 +228,364 @@ const FocusEngine = ({ tasks = [] }) => {
     }
   };
   
+  // Pick up where the student left off: a running session keeps counting down
+  // to its stored deadline, a paused one keeps its remaining time
   const recoverSession = (timer) => {
-    if (!timer.session_start_time) {
-      setTimeLeft(timer.work_duration * 60);
+    const isRunningStatus = timer.current_status === 'working' || timer.current_status === 'breaking';
+    const timerPhases = getTimerPhases(timer);
+    let recoveredIndex = Number.isInteger(timer.session_phase) && timer.session_phase < timerPhases.length
+      ? timer.session_phase
+      : -1;
+    if (recoveredIndex < 0) {
+      // Saved before phases were stored - use the first phase of the same kind
+      const savedMode = timer.session_mode || (timer.current_status === 'breaking' ? 'break' : 'work');
+      recoveredIndex = Math.max(0, timerPhases.findIndex(phase => phase.mode === savedMode));
+    }
+    const phaseSeconds = timerPhases[recoveredIndex].minutes * 60;
+
+    setCyclesCompleted(timer.cycles_completed || 0);
+    setPhaseIndex(recoveredIndex);
+    setTimeLeft(phaseSeconds);
+
+    if (timer.current_status === 'paused' && timer.remaining_seconds > 0) {
+      setTimeLeft(timer.remaining_seconds);
+      sessionStartRef.current = timer.session_start_time ? new Date(timer.session_start_time) : null;
+      toast('Paused session restored. Press start to carry on.', { icon: '⏸️' });
       return;
     }
-    
+
+    if (!isRunningStatus || !timer.session_start_time) return;
+
     const startTime = new Date(timer.session_start_time);
-    const now = new Date();
-    const elapsed = Math.floor((now - startTime) / 1000); // seconds
-    
-    const isWorking = timer.current_status === 'working';
-    const totalDuration = isWorking ? timer.work_duration * 60 : timer.break_duration * 60;
-    const remaining = totalDuration - elapsed;
-    
+    const endsAt = timer.session_end_time
+      ? new Date(timer.session_end_time).getTime()
+      : startTime.getTime() + phaseSeconds * 1000;
+    const remaining = secondsUntil(endsAt);
+
     if (remaining > 0) {
+      sessionStartRef.current = startTime;
+      endsAtRef.current = endsAt;
       setTimeLeft(remaining);
-      setMode(isWorking ? 'work' : 'break');
       setIsRunning(true);
-      sessionStartRef.current = startTime;
       toast.success('Session recovered! Timer resumed.');
     } else {
-      // Session expired while offline
-      setTimeLeft(timer.work_duration * 60);
-      toast.info('Previous session expired.');
+      completeMissedSession(timer, timerPhases, recoveredIndex, startTime, endsAt);
     }
   };
   
-  // Countdown logic
+  // A session that ran out while the app was closed still ran to the end: record it
+  // as completed at its deadline, award its XP and move on to the next phase, as
+  // handleTimerComplete would have. Runs during initializeTimer, before the timer's
+  // settings reach state, so everything comes from `timer`.
+  const completeMissedSession = (timer, timerPhases, phaseIndexDone, startTime, endsAt) => {
+    const phase = timerPhases[phaseIndexDone];
+    const sessionKey = startTime.toISOString();
+    const isFirstTab = claimForSession(COMPLETED_SESSION_KEY, sessionKey);
+    const nextIndex = (phaseIndexDone + 1) % timerPhases.length;
+    const next = {
+      phases: timerPhases,
+      phaseIndex: nextIndex,
+      timeLeft: timerPhases[nextIndex].minutes * 60,
+      cyclesCompleted: (timer.cycles_completed || 0) + (phase.mode === 'work' ? 1 : 0),
+    };
+    
+    setPhaseIndex(next.phaseIndex);
+    setTimeLeft(next.timeLeft);
+    setCyclesCompleted(next.cyclesCompleted);
+    
+    if (!isFirstTab) return;
+    
+    recordSession(FOCUS_OUTCOMES.completed, startTime, new Date(endsAt), phase.minutes * 60, {
+      phase,
+      routine: getRoutineId(timer.routine),
+    });
+    if (phase.mode === 'work') {
+      awardXp(user?.id, {
+        source: XP_SOURCES.focusSession,
+        amount: phase.minutes * XP_PER_FOCUS_MINUTE,
+        refId: sessionKey,
+        label: 'Focus session',
+        minutes: phase.minutes,
+      }, { celebrate: !hideCelebrations });
+    }
+    toast(phase.mode === 'work'
+      ? 'Your last focus session finished while you were away.'
+      : 'Your break finished while you were away.', { icon: '⏰' });
+    
+    api.updateTimer(timer.id, getTimerStatePayload('idle', next)).catch(error => {
+      console.error('Failed to sync timer state:', error);
+    });
+  };
+  
+  // Timer started, paused, reset or finished in another tab
   useEffect(() => {
-    if (isRunning && !isLoading) {
-      intervalRef.current = setInterval(() => {
-        setTimeLeft(prev => {
-          if (prev <= 1) {
-            handleTimerComplete();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    } else {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+    return subscribeToTabs(TAB_MESSAGES.focusTimer, (snapshot) => {
+      setWorkDuration(snapshot.workDuration);
+      setBreakDuration(snapshot.breakDuration);
+      setLongBreakDuration(snapshot.longBreakDuration);
+      setCyclesToLongBreak(snapshot.cyclesToLongBreak);
+      setPhaseIndex(snapshot.phaseIndex);
+      setCyclesCompleted(snapshot.cyclesCompleted);
+      setTimeLeft(snapshot.endsAt ? secondsUntil(snapshot.endsAt) : snapshot.timeLeft);
+      setIsRunning(snapshot.isRunning);
+      sessionStartRef.current = snapshot.sessionStart ? new Date(snapshot.sessionStart) : null;
+      endsAtRef.current = snapshot.endsAt;
+    });
+  }, []);
+  
+  // Routine changed in another tab (settings saved or adaptive length adjusted)
+  useEffect(() => {
+    return subscribeToTabs(TAB_MESSAGES.focusRoutine, (routine) => {
+      setRoutineId(routine.routineId);
+      setRoutineSettings(routine.routineSettings);
+    });
+  }, []);
+
+  // Send the timer's new state to the student's other tabs (current values + overrides)
+  const broadcastTimer = (changes) => {
+    broadcastToTabs(TAB_MESSAGES.focusTimer, {
+      phaseIndex,
+      isRunning,
+      timeLeft,
+      cyclesCompleted,
+      workDuration,
+      breakDuration,
+      longBreakDuration,
+      cyclesToLongBreak,
+      sessionStart: sessionStartRef.current?.toISOString() ?? null,
+      endsAt: endsAtRef.current,
+      ...changes,
+    });
+  };
+  
+  // Countdown logic - timeLeft is re-read from the deadline on every tick rather
+  // than decremented, and again as soon as the tab is visible or focused
+  useEffect(() => {
+    if (!isRunning || isLoading) return undefined;
+
+    const tick = () => {
+      if (!endsAtRef.current) return;
+      const remaining = secondsUntil(endsAtRef.current);
+      setTimeLeft(remaining);
+      if (remaining === 0) {
+        handleTimerComplete();
+      } else if (remaining <= WARNING_SECONDS) {
+        handleTwoMinuteWarning();
       }
-    }
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') tick();
+    };
+
+    intervalRef.current = setInterval(tick, 250);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('focus', tick);
     
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
+      clearInterval(intervalRef.current);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('focus', tick);
     };
-  }, [isRunning, isLoading]);
+  }, [isRunning, isLoading, alertSound, notificationsEnabled, vibrationEnabled, twoMinuteWarning, lowAudio, pinnedTask, pinnedStep]);
+  
+  // Show the countdown in the tab title while the timer runs
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const originalTitle = document.title;
+    return () => {
+      document.title = originalTitle;
+    };
+  }, [isRunning]);
+
+  useEffect(() => {
+    if (isRunning) document.title = `${formatTime(timeLeft)} · ${MODE_LABELS[mode]}`;
+  }, [isRunning, timeLeft, mode]);
+  
+  // Chime, vibration and - when the app isn't the visible tab - a system notification
+  const alertStudent = (title, body, { isWarning = false } = {}) => {
+    playChime(alertSound, { lowAudio, volume: isWarning ? 0.5 : 1 });
+    if (vibrationEnabled) vibrate(isWarning ? 150 : [200, 100, 200]);
+    if (notificationsEnabled && document.visibilityState !== 'visible') {
+      showSystemNotification(title, { body, tag: 'nvlp-focus' });
+    }
+  };
+  
+  const handleTwoMinuteWarning = () => {
+    const sessionKey = sessionStartRef.current?.toISOString() ?? null;
+    if (!twoMinuteWarning || !claimForSession(WARNED_SESSION_KEY, sessionKey)) return;
+    
+    const body = mode === 'work' ? 'Start wrapping up your current step.' : 'Get ready to focus again.';
+    alertStudent('2 minutes left', body, { isWarning: true });
+    toast(`2 minutes left. ${body}`, {
+      duration: 4000,
+      position: 'bottom-right',
+      icon: '⏳',
+    });
+  };
   
   const handleTimerComplete = () => {
     setIsRunning(false);
-    playCompletionSound();
+
+    const sessionStart = sessionStartRef.current;
+    const sessionKey = sessionStart?.toISOString() ?? null;
+    const isFirstTab = claimForSession(COMPLETED_SESSION_KEY, sessionKey);
+    // The deadline, not now - the tab may have been asleep when it passed
+    const endedAt = endsAtRef.current ? new Date(endsAtRef.current) : new Date();
+    sessionStartRef.current = null;
+    endsAtRef.current = null;
+    let next;
+    
+    if (isFirstTab) {
+      recordSession(FOCUS_OUTCOMES.completed, sessionStart, endedAt, getPlannedSeconds());
+    }
+    
+    const nextIndex = (phaseIndex + 1) % phases.length;
+    const nextPhase = phases[nextIndex];
+    next = { phaseIndex: nextIndex, timeLeft: nextPhase.minutes * 60 };
     
     if (mode === 'work') {
       const newCycles = cyclesCompleted + 1;
       setCyclesCompleted(newCycles);
+      next.cyclesCompleted = newCycles;
       
-      // Track engagement time for completed work session
-      trackEngagementTime(workDuration);
-      
-      if (newCycles % cyclesToLongBreak === 0) {
-        // Long break
-        setMode('longBreak');
-        setTimeLeft(longBreakDuration * 60);
-        toast.success('Work session done! Take a long break.', {
-          duration: 5000,
-          position: 'bottom-right',
-          icon: '☕',
-        });
-      } else {
-        setMode('break');
-        setTimeLeft(breakDuration * 60);
-        toast.success('Work session done! Short break time.', {
-          duration: 4000,
-          position: 'bottom-right',
-          icon: '✅',
-        });
+      if (isFirstTab) {
+        awardXp(user?.id, {
+          source: XP_SOURCES.focusSession,
+          amount: currentPhase.minutes * XP_PER_FOCUS_MINUTE,
+          refId: sessionKey,
+          label: 'Focus session',
+          minutes: currentPhase.minutes,
+        }, { celebrate: !hideCelebrations });
       }
-    } else {
-      setMode('work');
-      setTimeLeft(workDuration * 60);
+    }
+    
+    setPhaseIndex(nextIndex);
+    setTimeLeft(nextPhase.minutes * 60);
+    
+    if (mode !== 'work') {
+      if (isFirstTab) alertStudent('Break over', 'Ready to focus?');
       toast.success('Break over. Ready to focus?', {
         duration: 3000,
         position: 'bottom-right',
         icon: '🎯',
       });
+    } else if (nextPhase.mode === 'longBreak') {
+      if (isFirstTab) alertStudent('Work session done', 'Take a long break.');
+      toast.success('Work session done! Take a long break.', {
+        duration: 5000,
+        position: 'bottom-right',
+        icon: '☕',
+      });
+    } else if (nextPhase.mode === 'break') {
+      if (isFirstTab) alertStudent('Work session done', 'Short break time.');
+      toast.success('Work session done! Short break time.', {
+        duration: 4000,
+        position: 'bottom-right',
+        icon: '✅',
+      });
+    } else {
+      // Custom routines can run focus phases back to back
+      if (isFirstTab) alertStudent('Work session done', 'Next focus block is ready.');
+      toast.success('Work session done! Next focus block is ready.', {
+        duration: 4000,
+        position: 'bottom-right',
+        icon: '✅',
+      });
     }
     
+    broadcastTimer({ ...next, isRunning: false, sessionStart: null });
+
     // Sync completion to backend
-    syncTimerState('idle');
+    if (isFirstTab) syncTimerState('idle', next);
   };
   
-  const trackEngagementTime = async (minutes) => {
+  // Add a finished or abandoned session to the backend history
+  // `phase` and `routine` default to the current ones (see completeMissedSession)
+  const recordSession = async (outcome, sessionStart, endedAt, focusedSeconds, {
+    phase = currentPhase,
+    routine = routineId,
+  } = {}) => {
+    if (!sessionStart) return;
+    const completedSteps = completedStepsRef.current;
+    completedStepsRef.current = [];
+    
     try {
-      const existingTime = parseInt(localStorage.getItem('total_focus_minutes') || '0');
-      const newTotal = existingTime + minutes;
-      localStorage.setItem('total_focus_minutes', newTotal.toString());
-
-      // Store today's date for streak calculation
+      await api.recordFocusSession({
+        mode: phase.mode,
+        routine,
+        outcome,
+        started_at: sessionStart.toISOString(),
+        ended_at: endedAt.toISOString(),
+        planned_seconds: phase.minutes * 60,
+        focused_seconds: Math.max(0, Math.round(focusedSeconds)),
+        task: pinnedTask?.id ?? null,
+        step: pinnedStep?.id ?? null,
+        task_title: pinnedTask?.main_task_title ?? null,
+        step_description: pinnedStep?.step_description ?? null,
+        completed_steps: completedSteps,
+      });
+      
+      if (phase.mode !== 'work') return;
+      
+      const sessions = normalizeFocusSessions(await api.getFocusSessions());
+      updateAdaptiveScale(sessions);
+      if (outcome !== FOCUS_OUTCOMES.completed || hideCelebrations) return;
+      
+      // First completed session today: celebrate the streak it extends
       const today = new Date().toDateString();
-      const focusDates = JSON.parse(localStorage.getItem('focus_dates') || '[]');
-      if (!focusDates.includes(today)) {
-        focusDates.push(today);
-        localStorage.setItem('focus_dates', JSON.stringify(focusDates));
-
-        // Calculate current streak
-        let streak = 0;
-        const check = new Date();
-        while (focusDates.includes(check.toDateString())) {
-          streak++;
-          check.setDate(check.getDate() - 1);
-        }
-
-        if (streak > 1) {
-          toast.success(`${streak} day streak! Keep it going.`, {
-            duration: 4000,
-            position: 'bottom-right',
-            icon: '🔥',
-          });
-        }
+      const completedToday = sessions.filter(session => (
+        session.mode === 'work' &&
+        session.outcome === FOCUS_OUTCOMES.completed &&
+        new Date(session.started_at).toDateString() === today
+      ));
+      const streak = getFocusStreak(sessions);
+      if (completedToday.length === 1 && streak > 1) {
+        toast.success(`${streak} day streak! Keep it going.`, {
+          duration: 4000,
+          position: 'bottom-right',
+          icon: '🔥',
+        });
       }
-
-      console.log(`✅ Tracked ${minutes} focus minutes. Total: ${newTotal}`);
     } catch (error) {
-      console.error('Failed to track engagement time:', error);
+      console.error('Failed to record focus session:', error);
     }
   };
   
+  // Adaptive routines: lengthen or shorten future focus phases depending on how
+  // many recent sessions of this routine were finished
+  const updateAdaptiveScale = (sessions) => {
+    const settings = routineSettings[routineId] || {};
+    if (!settings.adaptive || !timerId) return;
+    
+    const adjustment = getAdaptiveScale(settings, sessions, routineId);
+    if (!adjustment) return;
+    
+    const updated = { ...routineSettings, [routineId]: { ...settings, ...adjustment } };
+    setRoutineSettings(updated);
+    broadcastToTabs(TAB_MESSAGES.focusRoutine, { routineId, routineSettings: updated });
+    api.updateTimer(timerId, { routine_settings: updated }).catch(error => {
+      console.error('Failed to save adaptive focus length:', error);
+    });
+  };
+  
+  // Time already spent in the current session, for sessions ended early
+  const getElapsedSeconds = () => {
+    const remaining = endsAtRef.current ? secondsUntil(endsAtRef.current) : timeLeft;
+    return getPlannedSeconds() - remaining;
+  };
+  
   const handleStart = async () => {
     setIsRunning(true);
     setFocusMode(true);
-    sessionStartRef.current = new Date();
+    // A paused session carries on with the time it had left
+    if (!sessionStartRef.current) {
+      sessionStartRef.current = new Date();
+      completedStepsRef.current = [];
+      // A session shorter than the warning gets no warning
+      if (timeLeft <= WARNING_SECONDS) claimForSession(WARNED_SESSION_KEY, sessionStartRef.current.toISOString());
+    }
+    endsAtRef.current = Date.now() + timeLeft * 1000;
+    broadcastTimer({ isRunning: true });
     
     const status = mode === 'work' ? 'working' : 'breaking';
     await syncTimerState(status);
@@ -229,29 +598,51 @@ const FocusEngine = ({ tasks = [] }) => {
   };
   
   const handlePause = async () => {
+    const remaining = endsAtRef.current ? secondsUntil(endsAtRef.current) : timeLeft;
+    endsAtRef.current = null;
+    setTimeLeft(remaining);
     setIsRunning(false);
     setFocusMode(false);
-    await syncTimerState('paused');
+    broadcastTimer({ isRunning: false, timeLeft: remaining });
+    await syncTimerState('paused', { timeLeft: remaining });
   };
   
   const handleReset = async () => {
+    recordSession(FOCUS_OUTCOMES.interrupted, sessionStartRef.current, new Date(), getElapsedSeconds());
     setIsRunning(false);
     setFocusMode(false);
-    setTimeLeft(workDuration * 60);
-    setMode('work');
+    setTimeLeft(phases[0].minutes * 60);
+    setPhaseIndex(0);
     sessionStartRef.current = null;
-    await syncTimerState('idle');
+    endsAtRef.current = null;
+    broadcastTimer({ isRunning: false, phaseIndex: 0, timeLeft: phases[0].minutes * 60, sessionStart: null });
+    await syncTimerState('idle', { phaseIndex: 0 });
     toast.success('Timer reset');
   };
   
-  const syncTimerState = async (status) => {
+  // Timer fields the backend keeps for recovery. `changes` overrides state that
+  // was set in the same handler and isn't visible in this render yet (including
+  // `phases` when the routine itself changed).
+  const getTimerStatePayload = (status, changes = {}) => {
+    const state = { phases, phaseIndex, timeLeft, cyclesCompleted, ...changes };
+    const statePhase = state.phaseIndex % state.phases.length;
+    const isRunningStatus = status === 'working' || status === 'breaking';
+    return {
+      current_status: status,
+      session_mode: state.phases[statePhase].mode,
+      session_phase: statePhase,
+      session_start_time: status === 'idle' ? null : sessionStartRef.current?.toISOString() ?? null,
+      session_end_time: isRunningStatus && endsAtRef.current ? new Date(endsAtRef.current).toISOString() : null,
+      remaining_seconds: status === 'paused' ? state.timeLeft : null,
+      cycles_completed: state.cyclesCompleted,
+    };
+  };
+
+  const syncTimerState = async (status, changes) => {
     if (!timerId) return;
     
     try {
-      await api.updateTimer(timerId, {
-        current_status: status,
-        session_start_time: status === 'idle' || status === 'paused' ? null : sessionStartRef.current?.toISOString(),
-      });
+      await api.updateTimer(timerId, getTimerStatePayload(status, changes));
     } catch (error) {
       console.error('Failed to sync timer state:', error);
     }
@@ -260,18 +651,50 @@ const FocusEngine = ({ tasks = [] }) => {
   const handleSaveSettings = async () => {
     if (!timerId) return;
     
+    const newRoutineSettings = { ...draftRoutineSettings };
+    if (draftRoutineId === 'custom') {
+      const customPhases = sanitizePhases(newRoutineSettings.custom?.phases ?? ROUTINES.custom.phases);
+      if (!customPhases.some(phase => phase.mode === 'work')) {
+        toast.error('Add at least one focus phase to your routine');
+        return;
+      }
+      newRoutineSettings.custom = { ...newRoutineSettings.custom, phases: customPhases };
+    }
+    const newPhases = getRoutinePhases(draftRoutineId, newRoutineSettings, draftDurations);
+    
     try {
       await api.updateTimer(timerId, {
-        work_duration: workDuration,
-        break_duration: breakDuration,
-        long_break_duration: longBreakDuration,
-        cycles_to_long_break: cyclesToLongBreak,
+        work_duration: draftDurations.workDuration,
+        break_duration: draftDurations.breakDuration,
+        long_break_duration: draftDurations.longBreakDuration,
+        cycles_to_long_break: draftDurations.cyclesToLongBreak,
+        routine: draftRoutineId,
+        routine_settings: newRoutineSettings,
+        ...getTimerStatePayload('idle', { phases: newPhases, phaseIndex: 0 }),
       });
       
-      // Reset timer with new duration
-      setTimeLeft(workDuration * 60);
-      setMode('work');
+      // Reset timer to the start of the (new) routine
+      recordSession(FOCUS_OUTCOMES.interrupted, sessionStartRef.current, new Date(), getElapsedSeconds());
+      sessionStartRef.current = null;
+      endsAtRef.current = null;
+      setWorkDuration(draftDurations.workDuration);
+      setBreakDuration(draftDurations.breakDuration);
+      setLongBreakDuration(draftDurations.longBreakDuration);
+      setCyclesToLongBreak(draftDurations.cyclesToLongBreak);
+      setRoutineId(draftRoutineId);
+      setRoutineSettings(newRoutineSettings);
+      setTimeLeft(newPhases[0].minutes * 60);
+      setPhaseIndex(0);
       setIsRunning(false);
+      setFocusMode(false);
+      broadcastToTabs(TAB_MESSAGES.focusRoutine, { routineId: draftRoutineId, routineSettings: newRoutineSettings });
+      broadcastTimer({
+        ...draftDurations,
+        isRunning: false,
+        phaseIndex: 0,
+        timeLeft: newPhases[0].minutes * 60,
+        sessionStart: null,
+      });
       setShowSettings(false);
       
       toast.success('Timer settings saved!');
@@ -297,47 +720,152 @@ const FocusEngine = ({ tasks = [] }) => {
     toast.success('Task unpinned');
   };
   
-  const playCompletionSound = () => {
-    if (lowAudio) return; // Respect low audio preference
+  // "Mark step done" in the focus view: completes the pinned step, then pins the
+  // next incomplete one - or, when it was the last, completes the task
+  const handleCompletePinnedStep = async () => {
+    if (!pinnedTask || !pinnedStep) return;
+    const task = resolveTask(tasks, pinnedTask);
+    const step = pinnedStep;
+    const steps = (task.steps || []).map(item => (
+      isSameId(item.id, step.id) ? { ...item, is_step_complete: true } : item
+    ));
+    const updatedTask = { ...task, steps };
     
-    // Simple beep using Web Audio API
     try {
-      if (!audioContextRef.current) {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+      await api.updateTaskStep(task.id, step.id, true);
+    } catch (error) {
+      console.error('Failed to complete step:', error);
+      toast.error('Failed to mark the step done', { position: 'bottom-right' });
+      return;
+    }
+    
+    // Paused sessions count - the step was still done during the session
+    if (sessionStartRef.current) {
+      completedStepsRef.current.push({
+        task: task.id,
+        step: step.id,
+        step_description: step.step_description,
+        completed_at: new Date().toISOString(),
+      });
+    }
+    awardXp(user?.id, {
+      source: XP_SOURCES.taskStep,
+      amount: XP_PER_TASK_STEP,
+      refId: `${task.id}:${step.id}`,
+      label: step.step_description || 'Step done',
+    }, { celebrate: !hideCelebrations });
+    
+    const nextStep = getNextIncompleteStep(steps);
+    if (nextStep) {
+      setPinnedTask(updatedTask);
+      setPinnedStep(nextStep);
+      toast.success(`Step done! Next up: ${nextStep.step_description}`, {
+        duration: 3000,
+        position: 'bottom-right',
+        icon: '📌',
+      });
+    } else {
+      setPinnedTask(null);
+      setPinnedStep(null);
+      setFinishedTask(updatedTask);
+      try {
+        await api.patchTask(task.id, { is_complete: true });
+        awardXp(user?.id, {
+          source: XP_SOURCES.taskComplete,
+          amount: XP_PER_TASK_COMPLETE,
+          refId: task.id,
+          label: task.main_task_title || 'Task complete',
+        }, { celebrate: !hideCelebrations });
+      } catch (error) {
+        console.error('Failed to complete task:', error);
       }
-      
-      const ctx = audioContextRef.current;
-      const oscillator = ctx.createOscillator();
-      const gainNode = ctx.createGain();
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(ctx.destination);
-      
-      oscillator.frequency.value = 800;
-      oscillator.type = 'sine';
-      
-      gainNode.gain.setValueAtTime(0.3, ctx.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.5);
-      
-      oscillator.start(ctx.currentTime);
-      oscillator.stop(ctx.currentTime + 0.5);
+    }
+    
+    if (onTasksChange) onTasksChange();
+  };
+  
+  // Another unfinished task to suggest once one is done
+  const nextTask = finishedTask
+    ? tasks.find(task => (
+      !task.is_complete &&
+      !isSameId(task.id, finishedTask.id) &&
+      getNextIncompleteStep(task.steps)
+    )) || null
+    : null;
+  
+  const handleFocusNextTask = () => {
+    setFinishedTask(null);
+    handlePinTask(nextTask, getNextIncompleteStep(nextTask.steps));
+    if (!isRunning) handleStart();
+  };
+  
+  const handleStartNextSession = () => {
+    setFinishedTask(null);
+    handleStart();
+  };
+  
+  // Alert settings take effect straight away; the timer itself is left alone
+  const saveAlertSetting = async (field, value) => {
+    if (!timerId) return;
+    try {
+      await api.updateTimer(timerId, { [field]: value });
     } catch (error) {
-      console.error('Failed to play sound:', error);
+      console.error('Failed to save alert setting:', error);
+      toast.error('Failed to save alert setting');
     }
   };
   
-  // Format time as MM:SS
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const handleNotificationsToggle = async (enabled) => {
+    if (enabled) {
+      const permission = await requestNotificationPermission();
+      if (permission !== 'granted') {
+        toast.error(permission === 'unsupported'
+          ? 'This browser does not support notifications'
+          : 'Notifications are blocked. Allow them in your browser settings to turn this on.');
+        return;
+      }
+    }
+    setNotificationsEnabled(enabled);
+    saveAlertSetting('notifications_enabled', enabled);
+  };
+  
+  // Full length of the current session in seconds
+  const getPlannedSeconds = () => currentPhase.minutes * 60;
+  
+  const handleToggleSettings = () => {
+    if (!showSettings) {
+      // Edit a copy; the running routine only changes when settings are saved
+      setDraftDurations(durations);
+      setDraftRoutineId(routineId);
+      setDraftRoutineSettings(routineSettings);
+    }
+    setShowSettings(!showSettings);
+  };
+  
+  const updateDraftDuration = (field, value) => {
+    setDraftDurations(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const updateDraftRoutineSettings = (changes) => {
+    setDraftRoutineSettings(prev => ({
+      ...prev,
+      [draftRoutineId]: { ...(prev[draftRoutineId] || {}), ...changes },
+    }));
+  };
+  
+  const draftCustomPhases = draftRoutineSettings.custom?.phases || ROUTINES.custom.phases;
+  const draftAdaptiveScale = draftRoutineSettings[draftRoutineId]?.adaptive_scale || 1;
+  
+  const updateCustomPhases = (update) => {
+    setDraftRoutineSettings(prev => ({
+      ...prev,
+      custom: { ...(prev.custom || {}), phases: update(prev.custom?.phases || ROUTINES.custom.phases) },
+    }));
   };
   
   // Calculate progress percentage
   const getProgress = () => {
-    const total = mode === 'work' ? workDuration * 60 : 
-                  mode === 'break' ? breakDuration * 60 : 
-                  longBreakDuration * 60;
+    const total = getPlannedSeconds();
     return ((total - timeLeft) / total) * 100;
   };
   
@@ -373,7 +901,7 @@ const FocusEngine = ({ tasks = [] }) => {
           </div>
           
           <button
-            onClick={() => setShowSettings(!showSettings)}
+            onClick={handleToggleSettings}
             className="text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 transition-colors duration-300"
           >
             <Settings size={20} />
@@ -387,66 +915,230 @@ const FocusEngine = ({ tasks = [] }) => {
           <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
             <SmartText>Timer Settings</SmartText>
           </h3>
-          <div className="grid grid-cols-2 gap-4 mb-4">
-            <div>
-              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
-                <SmartText>Work Duration (min)</SmartText>
-              </label>
-              <input
-                type="number"
-                value={workDuration}
-                onChange={(e) => setWorkDuration(Number(e.target.value))}
-                min="1"
-                max="60"
-                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
-              />
+          <div className="mb-4">
+            <label htmlFor="focus-routine" className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+              <SmartText>Routine</SmartText>
+            </label>
+            <select
+              id="focus-routine"
+              value={draftRoutineId}
+              onChange={(e) => setDraftRoutineId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+            >
+              {Object.entries(ROUTINES).map(([id, routine]) => (
+                <option key={id} value={id}>{routine.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              <SmartText>{ROUTINES[draftRoutineId].description}</SmartText>
+            </p>
+            {draftRoutineId !== 'pomodoro' && draftRoutineId !== 'custom' && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {ROUTINES[draftRoutineId].phases.map(phase => `${MODE_LABELS[phase.mode]} ${phase.minutes} min`).join(' → ')}
+              </p>
+            )}
+          </div>
+          
+          {draftRoutineId === 'pomodoro' && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                  <SmartText>Work Duration (min)</SmartText>
+                </label>
+                <input
+                  type="number"
+                  value={draftDurations.workDuration}
+                  onChange={(e) => updateDraftDuration('workDuration', Number(e.target.value))}
+                  min="1"
+                  max="60"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                  <SmartText>Break Duration (min)</SmartText>
+                </label>
+                <input
+                  type="number"
+                  value={draftDurations.breakDuration}
+                  onChange={(e) => updateDraftDuration('breakDuration', Number(e.target.value))}
+                  min="1"
+                  max="30"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                  <SmartText>Long Break (min)</SmartText>
+                </label>
+                <input
+                  type="number"
+                  value={draftDurations.longBreakDuration}
+                  onChange={(e) => updateDraftDuration('longBreakDuration', Number(e.target.value))}
+                  min="1"
+                  max="60"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                  <SmartText>Cycles to Long Break</SmartText>
+                </label>
+                <input
+                  type="number"
+                  value={draftDurations.cyclesToLongBreak}
+                  onChange={(e) => updateDraftDuration('cyclesToLongBreak', Number(e.target.value))}
+                  min="2"
+                  max="10"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                />
+              </div>
             </div>
+          )}
+          
+          {/* Custom routine: an editable list of phases, run in order and repeated */}
+          {draftRoutineId === 'custom' && (
+            <div className="mb-4 space-y-2">
+              {draftCustomPhases.map((phase, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <span className="w-5 text-xs text-gray-500 dark:text-gray-400">{index + 1}.</span>
+                  <select
+                    aria-label={`Phase ${index + 1} type`}
+                    value={phase.mode}
+                    onChange={(e) => updateCustomPhases(list => list.map((item, i) => (i === index ? { ...item, mode: e.target.value } : item)))}
+                    className="flex-1 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                  >
+                    {Object.entries(MODE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    aria-label={`Phase ${index + 1} minutes`}
+                    value={phase.minutes}
+                    onChange={(e) => updateCustomPhases(list => list.map((item, i) => (i === index ? { ...item, minutes: Number(e.target.value) } : item)))}
+                    min="1"
+                    max={MAX_PHASE_MINUTES}
+                    className="w-20 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                  />
+                  <span className="text-xs text-gray-500 dark:text-gray-400">min</span>
+                  <button
+                    type="button"
+                    onClick={() => updateCustomPhases(list => list.filter((_, i) => i !== index))}
+                    disabled={draftCustomPhases.length <= 1}
+                    aria-label={`Remove phase ${index + 1}`}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-40"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              {draftCustomPhases.length < MAX_CUSTOM_PHASES && (
+                <button
+                  type="button"
+                  onClick={() => updateCustomPhases(list => [...list, { mode: list[list.length - 1]?.mode === 'work' ? 'break' : 'work', minutes: 25 }])}
+                  className="flex items-center gap-1 text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 dark:hover:text-indigo-300"
+                >
+                  <Plus size={16} />
+                  <SmartText>Add phase</SmartText>
+                </button>
+              )}
+            </div>
+          )}
+          
+          <label className="flex items-start gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={Boolean(draftRoutineSettings[draftRoutineId]?.adaptive)}
+              onChange={(e) => updateDraftRoutineSettings({ adaptive: e.target.checked })}
+              className="rounded mt-0.5"
+            />
+            <span>
+              <SmartText>Adapt focus length to me</SmartText>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                <SmartText>
+                  Focus phases get longer when you finish most sessions and shorter when you often stop early.
+                </SmartText>
+                {draftAdaptiveScale !== 1 && (
+                  <SmartText>{` Right now they are ${Math.round(draftAdaptiveScale * 100)}% of their normal length.`}</SmartText>
+                )}
+              </span>
+            </span>
+          </label>
+          <button
+            onClick={handleSaveSettings}
+            className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors duration-300 text-sm font-medium"
+          >
+            <SmartText>Save Settings</SmartText>
+          </button>
+
+          <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-3">
+            <SmartText>Alerts</SmartText>
+          </h3>
+          <div className="space-y-3">
             <div>
-              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
-                <SmartText>Break Duration (min)</SmartText>
+              <label htmlFor="focus-alert-sound" className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                <SmartText>Sound</SmartText>{lowAudio && <SmartText> (quiet while low audio is on)</SmartText>}
               </label>
+              <div className="flex gap-2">
+                <select
+                  id="focus-alert-sound"
+                  value={alertSound}
+                  onChange={(e) => {
+                    setAlertSound(e.target.value);
+                    playChime(e.target.value, { lowAudio });
+                    saveAlertSetting('alert_sound', e.target.value);
+                  }}
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                >
+                  {Object.entries(CHIMES).map(([id, chime]) => (
+                    <option key={id} value={id}>{chime.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => playChime(alertSound, { lowAudio })}
+                  disabled={alertSound === 'none'}
+                  className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors duration-300 disabled:opacity-40"
+                >
+                  <SmartText>Preview</SmartText>
+                </button>
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
               <input
-                type="number"
-                value={breakDuration}
-                onChange={(e) => setBreakDuration(Number(e.target.value))}
-                min="1"
-                max="30"
-                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                type="checkbox"
+                checked={twoMinuteWarning}
+                onChange={(e) => {
+                  setTwoMinuteWarning(e.target.checked);
+                  saveAlertSetting('two_minute_warning', e.target.checked);
+                }}
+                className="rounded"
               />
-            </div>
-            <div>
-              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
-                <SmartText>Long Break (min)</SmartText>
-              </label>
+              <SmartText>Warn me 2 minutes before the end</SmartText>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
               <input
-                type="number"
-                value={longBreakDuration}
-                onChange={(e) => setLongBreakDuration(Number(e.target.value))}
-                min="1"
-                max="60"
-                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                type="checkbox"
+                checked={notificationsEnabled}
+                onChange={(e) => handleNotificationsToggle(e.target.checked)}
+                className="rounded"
               />
-            </div>
-            <div>
-              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
-                <SmartText>Cycles to Long Break</SmartText>
-              </label>
+              <SmartText>Show a notification when I'm in another tab</SmartText>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
               <input
-                type="number"
-                value={cyclesToLongBreak}
-                onChange={(e) => setCyclesToLongBreak(Number(e.target.value))}
-                min="2"
-                max="10"
-                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                type="checkbox"
+                checked={vibrationEnabled}
+                onChange={(e) => {
+                  setVibrationEnabled(e.target.checked);
+                  saveAlertSetting('vibration_enabled', e.target.checked);
+                }}
+                className="rounded"
               />
-            </div>
+              <SmartText>Vibrate (on phones and tablets)</SmartText>
+            </label>
           </div>
-          <button
-            onClick={handleSaveSettings}
-            className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors duration-300 text-sm font-medium"
-          >
-            <SmartText>Save Settings</SmartText>
-          </button>
         </div>
       )}
       
@@ -513,7 +1205,7 @@ const FocusEngine = ({ tasks = [] }) => {
                 {formatTime(timeLeft)}
               </div>
               <div className="text-sm text-gray-500 dark:text-gray-400 mt-2">
-                <SmartText>Cycle {cyclesCompleted + 1} of {cyclesToLongBreak}</SmartText>
+                <SmartText>{`${ROUTINES[routineId].label} · Phase ${(phaseIndex % phases.length) + 1} of ${phases.length}`}</SmartText>
               </div>
             </div>
           </div>
@@ -564,6 +1256,13 @@ const FocusEngine = ({ tasks = [] }) => {
                   <div className="text-sm text-gray-600 dark:text-gray-400">
                     <SmartText>{pinnedStep.step_description}</SmartText>
                   </div>
+                  <button
+                    onClick={handleCompletePinnedStep}
+                    className="mt-3 flex items-center gap-1.5 px-3 py-1.5 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 transition-colors duration-300"
+                  >
+                    <CheckCircle2 size={16} />
+                    <SmartText>Mark step done</SmartText>
+                  </button>
                 </div>
               </div>
               <button
@@ -576,8 +1275,54 @@ const FocusEngine = ({ tasks = [] }) => {
           </div>
         )}
         
+        {/* Task finished from the focus view - offer what to do next */}
+        {finishedTask && (
+          <div role="status" className="mt-6 p-4 bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800 rounded-lg transition-colors duration-300">
+            <div className="flex items-start gap-3">
+              <PartyPopper className="text-emerald-600 dark:text-emerald-400 mt-0.5 shrink-0" size={20} />
+              <div className="flex-1">
+                <div className="text-sm font-semibold text-gray-800 dark:text-gray-100">
+                  <SmartText>{`Task complete: ${finishedTask.main_task_title}`}</SmartText>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  <SmartText>
+                    {nextTask
+                      ? `Ready for the next one? Up next: ${nextTask.main_task_title}`
+                      : isRunning ? 'Every step is done. Keep going, or add a new task in Task Breaker.' : 'Every step is done. Start another session when you are ready.'}
+                  </SmartText>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {nextTask ? (
+                    <button
+                      onClick={handleFocusNextTask}
+                      className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 text-white text-sm font-medium rounded-lg hover:bg-emerald-700 transition-colors duration-300"
+                    >
+                      <Play size={16} />
+                      <SmartText>{isRunning ? 'Focus on next task' : 'Start next session'}</SmartText>
+                    </button>
+                  ) : !isRunning && (
+                    <button
+                      onClick={handleStartNextSession}
+                      className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 text-white text-sm font-medium rounded-lg hover:bg-emerald-700 transition-colors duration-300"
+                    >
+                      <Play size={16} />
+                      <SmartText>Start next session</SmartText>
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setFinishedTask(null)}
+                    className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-300"
+                  >
+                    <SmartText>Not now</SmartText>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+        
         {/* Task Selection for Pinning */}
-        {!pinnedTask && tasks.length > 0 && (
+        {!pinnedTask && !finishedTask && tasks.length > 0 && (
           <div className="mt-6">
             <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2 flex items-center gap-2">
               <Pin size={16} />
@@ -0,0 +1,149 @@
+import React from 'react';
+import { History, CalendarDays, ListChecks, CheckCircle2, CircleSlash } from 'lucide-react';
+import { useSensory } from '../context/SensoryContext';
+import SmartText from './SmartText';
+import { FOCUS_OUTCOMES, summarizeByDay, summarizeByTask } from '../utils/focusHistory';
+
+const MODE_LABELS = { work: 'Focus', break: 'Break', longBreak: 'Long break' };
+const RECENT_LIMIT = 8;
+const TASK_LIMIT = 5;
+
+const formatSessionTime = (iso) => new Date(iso).toLocaleString([], {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+/**
+ * FocusHistory Component - The student's recorded focus sessions (see
+ * api.getFocusSessions): focus minutes for each of the last 7 days, time per
+ * pinned task and the most recent sessions. Shown inside ProgressInsights.
+ */
+const FocusHistory = ({ sessions = [] }) => {
+  const { reduceAnimations } = useSensory();
+
+  const days = summarizeByDay(sessions);
+  const maxMinutes = Math.max(...days.map(day => day.minutes), 1);
+  const taskBreakdown = summarizeByTask(sessions).slice(0, TASK_LIMIT);
+  const recentSessions = sessions.slice(0, RECENT_LIMIT);
+  const todayKey = new Date().toDateString();
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm transition-colors duration-300">
+      <div className="flex items-center gap-2 mb-4">
+        <History className="text-indigo-600 dark:text-indigo-400" size={24} />
+        <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">
+          <SmartText>Focus History</SmartText>
+        </h3>
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">
+          <SmartText>Sessions you run in the Focus Engine will show up here.</SmartText>
+        </p>
+      ) : (
+        <div className="space-y-6">
+          {/* Per-day breakdown */}
+          <section>
+            <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3">
+              <CalendarDays size={16} />
+              <SmartText>Focus minutes, last 7 days</SmartText>
+            </h4>
+            <div className="flex items-end justify-between gap-2 h-28">
+              {days.map(day => {
+                const isToday = day.date.toDateString() === todayKey;
+                const label = `${day.minutes} minutes, ${day.completed} completed, ${day.interrupted} ended early`;
+                return (
+                  <div key={day.date.toISOString()} className="flex-1 flex flex-col items-center gap-1" title={label}>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{day.minutes || ''}</span>
+                    <div className="w-full flex items-end h-16">
+                      <div
+                        className={`w-full rounded-t-lg ${isToday ? 'bg-emerald-500' : 'bg-emerald-300 dark:bg-emerald-700'} ${
+                          reduceAnimations ? '' : 'transition-all duration-500'
+                        }`}
+                        style={{ height: `${Math.max((day.minutes / maxMinutes) * 100, 4)}%` }}
+                        aria-label={label}
+                      />
+                    </div>
+                    <span className={`text-xs font-medium ${
+                      isToday ? 'text-emerald-600 dark:text-emerald-400' : 'text-gray-500 dark:text-gray-400'
+                    }`}>
+                      {day.date.toLocaleDateString([], { weekday: 'short' })}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+
+          {/* Per-task breakdown */}
+          {taskBreakdown.length > 0 && (
+            <section>
+              <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3">
+                <ListChecks size={16} />
+                <SmartText>Time by task</SmartText>
+              </h4>
+              <ul className="space-y-2">
+                {taskBreakdown.map(entry => (
+                  <li key={entry.taskId ?? 'none'} className="flex items-center justify-between gap-3 text-sm">
+                    <span className={`truncate ${entry.taskId === null ? 'italic text-gray-500 dark:text-gray-400' : 'text-gray-800 dark:text-gray-200'}`}>
+                      <SmartText>{entry.taskId === null ? 'No pinned task' : (entry.title || 'Untitled task')}</SmartText>
+                    </span>
+                    <span className="shrink-0 text-gray-500 dark:text-gray-400">
+                      {entry.minutes} min · {entry.completed}/{entry.sessions} completed
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Recent sessions */}
+          <section>
+            <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3">
+              <SmartText>Recent sessions</SmartText>
+            </h4>
+            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+              {recentSessions.map(session => {
+                const isCompleted = session.outcome === FOCUS_OUTCOMES.completed;
+                return (
+                  <li key={session.id ?? session.started_at} className="flex items-center gap-3 py-2 text-sm">
+                    {isCompleted ? (
+                      <CheckCircle2 size={16} className="shrink-0 text-emerald-500" aria-label="Completed" />
+                    ) : (
+                      <CircleSlash size={16} className="shrink-0 text-gray-400" aria-label="Ended early" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-gray-800 dark:text-gray-200">
+                        {MODE_LABELS[session.mode] || session.mode} · {Math.round((session.focused_seconds || 0) / 60)} min
+                        {!isCompleted && <span className="text-gray-500 dark:text-gray-400"> (ended early)</span>}
+                      </p>
+                      {(session.step_description || session.task_title) && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                          <SmartText>{session.step_description || session.task_title}</SmartText>
+                        </p>
+                      )}
+                      {session.completed_steps?.length > 0 && (
+                        <p
+                          className="text-xs text-emerald-600 dark:text-emerald-400 truncate"
+                          title={session.completed_steps.map(step => step.step_description).join(', ')}
+                        >
+                          {session.completed_steps.length === 1 ? '1 step done' : `${session.completed_steps.length} steps done`}
+                        </p>
+                      )}
+                    </div>
+                    <span className="shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                      {formatSessionTime(session.started_at)}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FocusHistory;
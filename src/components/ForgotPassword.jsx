@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { MailCheck } from 'lucide-react';
+import AuthLayout, { AuthField, AuthLink, AuthSubmitButton } from './AuthLayout';
+import api from '../api';
+import { EMAIL_PATTERN, getServerErrors } from '../utils/auth';
+
+/**
+ * ForgotPassword Component - Request a password reset link by email
+ * The confirmation is the same whether or not the account exists, so the
+ * form can't be used to find out who has an account.
+ */
+const ForgotPassword = () => {
+  const location = useLocation();
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setError,
+  } = useForm({ mode: 'onBlur', defaultValues: { email: '' } });
+
+  const onSubmit = async ({ email }) => {
+    setIsLoading(true);
+    try {
+      await api.requestPasswordReset(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      console.error('Password reset request failed:', err);
+      const { fieldErrors, message } = getServerErrors(err, ['email'], 'Could not send the reset link. Please try again.');
+      if (fieldErrors.email) setError('email', { type: 'server', message: fieldErrors.email });
+      if (message) toast.error(message, { position: 'top-center', duration: 4000 });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const footer = <p>Remembered it? <AuthLink to="/login" state={location.state}>Back to login</AuthLink></p>;
+
+  if (sentTo) {
+    return (
+      <AuthLayout heading="Check your email" footer={footer}>
+        <div role="status" className="text-center space-y-3">
+          <MailCheck size={48} className="mx-auto text-blue-600 dark:text-blue-400" aria-hidden="true" />
+          <p className="text-gray-700 dark:text-gray-300">
+            If an account exists for <strong>{sentTo}</strong>, we've sent a link to reset the password.
+            It may take a few minutes to arrive.
+          </p>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout heading="Reset your password" footer={footer}>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Enter the email you signed up with and we'll send you a link to choose a new password.
+      </p>
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4" noValidate>
+        <AuthField
+          id="email"
+          label="Email"
+          type="email"
+          autoComplete="email"
+          placeholder="you@example.com"
+          error={errors.email}
+          registration={register('email', {
+            required: 'Email is required',
+            pattern: { value: EMAIL_PATTERN, message: 'Invalid email address' },
+          })}
+        />
+        <AuthSubmitButton isLoading={isLoading} loadingLabel="Sending...">
+          Send reset link
+        </AuthSubmitButton>
+      </form>
+    </AuthLayout>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Download, LocateFixed, ChevronUp, ChevronDown, AlertCircle } from 'lucide-react';
+import SmartText from './SmartText';
+import { useSensory } from '../context/SensoryContext';
+import { formatTime } from '../utils/time';
+import { transcriptToText, transcriptToSRT, transcriptToWebVTT } from '../utils/captions';
+
+const EXPORT_FORMATS = [
+  { id: 'txt', label: 'Plain text (.txt)', mime: 'text/plain', serialize: transcriptToText },
+  { id: 'srt', label: 'SubRip (.srt)', mime: 'application/x-subrip', serialize: transcriptToSRT },
+  { id: 'vtt', label: 'WebVTT (.vtt)', mime: 'text/vtt', serialize: transcriptToWebVTT },
+];
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a lesson title into a safe download filename
+const toFilename = (title) =>
+  (title || 'transcript').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'transcript';
+
+/**
+ * InteractiveTranscript Component
+ * Features: Click-to-seek, search with match highlighting and jump-to-time,
+ * optional auto-follow of the active line (respects reduceAnimations), export as TXT/SRT/WebVTT
+ */
+const InteractiveTranscript = ({ transcript = [], transcriptError = null, currentIndex = -1, onSeek, darkMode, title, duration }) => {
+  const { reduceAnimations } = useSensory();
+  const [query, setQuery] = useState('');
+  const [activeMatch, setActiveMatch] = useState(0);
+  const [autoFollow, setAutoFollow] = useState(true);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const itemRefs = useRef([]);
+
+  const trimmedQuery = query.trim();
+  const matcher = trimmedQuery ? new RegExp(`(${escapeRegExp(trimmedQuery)})`, 'gi') : null;
+  const matchIndexes = matcher
+    ? transcript.reduce((acc, item, index) => {
+        if (item.text.toLowerCase().includes(trimmedQuery.toLowerCase())) acc.push(index);
+        return acc;
+      }, [])
+    : [];
+  const currentMatchIndex = matchIndexes.length > 0 ? matchIndexes[activeMatch % matchIndexes.length] : -1;
+
+  // Keep the active line in view while the video plays (paused while searching)
+  useEffect(() => {
+    if (!autoFollow || trimmedQuery || currentIndex < 0) return;
+    itemRefs.current[currentIndex]?.scrollIntoView({
+      behavior: reduceAnimations ? 'auto' : 'smooth',
+      block: 'nearest',
+    });
+  }, [currentIndex, autoFollow, trimmedQuery, reduceAnimations]);
+
+  // Bring the selected search match into view
+  useEffect(() => {
+    if (currentMatchIndex < 0) return;
+    itemRefs.current[currentMatchIndex]?.scrollIntoView({
+      behavior: reduceAnimations ? 'auto' : 'smooth',
+      block: 'center',
+    });
+  }, [currentMatchIndex, reduceAnimations]);
+
+  const stepMatch = (direction) => {
+    if (matchIndexes.length === 0) return;
+    setActiveMatch(prev => (prev + direction + matchIndexes.length) % matchIndexes.length);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      // Enter jumps the video to the selected match; Shift+Enter steps backwards
+      if (e.shiftKey) {
+        stepMatch(-1);
+      } else if (currentMatchIndex >= 0) {
+        onSeek?.(transcript[currentMatchIndex].time);
+      }
+    } else if (e.key === 'Escape') {
+      setQuery('');
+    }
+  };
+
+  const handleExport = (format) => {
+    const contents = format.serialize(transcript, duration);
+    const blob = new Blob([contents], { type: `${format.mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${toFilename(title)}.${format.id}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    setShowExportMenu(false);
+  };
+
+  // Split text around search matches so each part can still get SmartText treatment
+  const renderText = (text) => {
+    if (!matcher) return <SmartText>{text}</SmartText>;
+    return text.split(matcher).map((part, index) =>
+      part.toLowerCase() === trimmedQuery.toLowerCase() ? (
+        <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded px-0.5">
+          <SmartText>{part}</SmartText>
+        </mark>
+      ) : (
+        part && <SmartText key={index}>{part}</SmartText>
+      )
+    );
+  };
+
+  if (transcriptError) {
+    return (
+      <div
+        role="alert"
+        className={`p-4 rounded-lg border flex items-start gap-3 ${
+          darkMode ? 'bg-orange-900/20 border-orange-800 text-orange-300' : 'bg-orange-50 border-orange-200 text-orange-800'
+        }`}
+      >
+        <AlertCircle size={18} className="mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-bold mb-1">Transcript unavailable</p>
+          <p className="text-sm opacity-90">{transcriptError}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (transcript.length === 0) {
+    return (
+      <p className={`text-sm text-center py-6 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No transcript available for this lesson.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar: search, follow toggle, export */}
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search size={14} className={`absolute left-2.5 top-1/2 -translate-y-1/2 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActiveMatch(0);
+            }}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search transcript"
+            aria-label="Search transcript"
+            className={`w-full pl-8 pr-2 py-1.5 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-blue-500 ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+            }`}
+          />
+        </div>
+        <button
+          onClick={() => setAutoFollow(!autoFollow)}
+          aria-pressed={autoFollow}
+          title={autoFollow ? 'Auto-follow on' : 'Auto-follow off'}
+          className={`p-2 rounded-lg transition-colors ${
+            autoFollow
+              ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+              : darkMode ? 'bg-gray-700 text-gray-400 hover:bg-gray-600' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+          }`}
+        >
+          <LocateFixed size={16} />
+        </button>
+        <div className="relative">
+          <button
+            onClick={() => setShowExportMenu(!showExportMenu)}
+            aria-haspopup="menu"
+            aria-expanded={showExportMenu}
+            title="Download transcript"
+            className={`p-2 rounded-lg transition-colors ${darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            <Download size={16} />
+          </button>
+          {showExportMenu && (
+            <div
+              role="menu"
+              className={`absolute right-0 mt-1 w-44 z-30 rounded-lg shadow-lg border py-1 ${
+                darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+              }`}
+            >
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  role="menuitem"
+                  onClick={() => handleExport(format)}
+                  className={`w-full text-left px-3 py-2 text-sm ${darkMode ? 'text-gray-200 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Match navigation */}
+      {trimmedQuery && (
+        <div className={`flex items-center justify-between text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          <span aria-live="polite">
+            {matchIndexes.length === 0
+              ? 'No matches'
+              : `${(activeMatch % matchIndexes.length) + 1} of ${matchIndexes.length} matches · Enter to jump`}
+          </span>
+          {matchIndexes.length > 1 && (
+            <div className="flex items-center gap-1">
+              <button onClick={() => stepMatch(-1)} aria-label="Previous match" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700">
+                <ChevronUp size={14} />
+              </button>
+              <button onClick={() => stepMatch(1)} aria-label="Next match" className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700">
+                <ChevronDown size={14} />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Transcript Lines */}
+      <div className="space-y-2">
+        {transcript.map((item, index) => {
+          const isCurrent = index === currentIndex;
+          const isSelectedMatch = index === currentMatchIndex;
+          const isFilteredOut = trimmedQuery && !matchIndexes.includes(index);
+
+          return (
+            <button
+              key={index}
+              ref={(el) => { itemRefs.current[index] = el; }}
+              onClick={() => onSeek?.(item.time)}
+              className={`w-full text-left p-3 rounded-lg transition-colors ${
+                isCurrent
+                  ? darkMode
+                    ? 'bg-blue-900 bg-opacity-50 border-l-4 border-blue-500'
+                    : 'bg-blue-50 border-l-4 border-blue-600'
+                  : darkMode
+                    ? 'hover:bg-gray-700'
+                    : 'hover:bg-gray-50'
+              } ${isSelectedMatch ? 'ring-2 ring-yellow-400' : ''} ${isFilteredOut ? 'opacity-40' : ''}`}
+            >
+              <div className="flex items-start gap-2">
+                <span className={`text-xs font-mono ${darkMode ? 'text-gray-400' : 'text-gray-500'} min-w-[40px]`}>
+                  {formatTime(item.time)}
+                </span>
+                <p className={`text-sm whitespace-pre-line ${isCurrent ? (darkMode ? 'text-blue-300 font-medium' : 'text-blue-700 font-medium') : (darkMode ? 'text-gray-300' : 'text-gray-700')}`}>
+                  {renderText(item.text)}
+                </p>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InteractiveTranscript;
@@ -1,30 +1,72 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-// Note: Using direct iframe instead of react-player due to React 19 compatibility issues
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   X, 
   Maximize2, 
   Minimize2, 
-  Play, 
-  Pause, 
-  Volume2, 
-  VolumeX,
   Eye,
   EyeOff,
   ArrowLeft,
   Loader2,
   CheckCircle,
-  Clock
+  Clock,
+  ChevronLeft,
+  ChevronRight,
+  History,
+  PanelLeftClose,
+  PanelLeftOpen
 } from 'lucide-react';
 import { useSensory } from '../context/SensoryContext';
 import SmartText from './SmartText';
 import QuizSystem from './QuizSystem';
+import MarkdownContent from './MarkdownContent';
+import StudentNotes from './StudentNotes';
+import InteractiveTranscript from './InteractiveTranscript';
+import VideoControls from './VideoControls';
+import OfflineIndicator from './OfflineIndicator';
 import api from '../api';
 import toast from 'react-hot-toast';
 import { AlertTriangle } from 'lucide-react';
+import { formatDurationField, formatTime } from '../utils/time';
+import { getCueEnd } from '../utils/captions';
+import { createVideoPlayer, resolveVideoSource, capVolume, LOW_AUDIO_MAX_VOLUME } from '../video';
+import { attemptRatio, getBestAttempt } from '../utils/quizAttempts';
+import { addQuizToDeck } from '../utils/reviewDeck';
+import { flushProgressQueueOnExit, queueProgressUpdate } from '../sync/progressQueue';
+import {
+  addSegment,
+  COMPLETION_COVERAGE,
+  getCourseCoverage,
+  getCoverage,
+  readWatchedSegments,
+  saveLessonCoverage,
+  saveWatchedSegments,
+} from '../utils/watchedSegments';
+import { awardXp, getQuizXp, readLedger, XP_SOURCES } from '../utils/gamification';
+import {
+  clearPosition,
+  getSavedPosition,
+  isResumablePosition,
+  newestPosition,
+  savePosition,
+} from '../utils/playbackPosition';
 
-const LessonPlayer = ({ onLogout }) => {
-  const { courseId } = useParams();
+// Fraction of quiz questions a student must get right to auto-advance to the next lesson
+const QUIZ_PASS_THRESHOLD = 0.7;
+// Delay before auto-advancing, so the student can read the quiz result
+const AUTO_ADVANCE_DELAY_MS = 2500;
+// How often the local resume point is refreshed while the video plays
+const POSITION_SAVE_INTERVAL_MS = 5000;
+// Largest jump between one-second samples that still counts as playback (2x speed plus jitter);
+// anything bigger is a seek and doesn't mark the skipped part as watched
+const MAX_SAMPLE_GAP_SECONDS = 3;
+
+const LessonPlayer = ({ onLogout, user }) => {
+  const { courseId, lessonId } = useParams();
+  const userId = user?.id;
+  const [searchParams] = useSearchParams();
+  // Dashboard "Continue" links carry the saved position as ?t=<seconds>
+  const deepLinkStart = Math.max(0, Number(searchParams.get('t')) || 0);
   const navigate = useNavigate();
   const { 
     darkMode, 
@@ -32,50 +74,76 @@ const LessonPlayer = ({ onLogout }) => {
     reduceAnimations,
     dyslexicFont,
     fontSize,
+    hideCelebrations,
     triggerEmergencyReset
   } = useSensory();
 
-  console.log('🎬 LessonPlayer component mounted', { courseId });
+  console.log('🎬 LessonPlayer component mounted', { courseId, lessonId });
 
   // Lesson data state
   const [lesson, setLesson] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  // Course syllabus (ordered lesson summaries)
+  const [syllabus, setSyllabus] = useState([]);
+  const [showSyllabus, setShowSyllabus] = useState(true);
+  const autoAdvanceTimeoutRef = useRef(null);
 
   // Player state
   const [playing, setPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(lowAudio ? 0.3 : 1.0);
+  const [volume, setVolume] = useState(1.0); // preferred volume; lowAudio caps it when applied
   const [muted, setMuted] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [captionsOn, setCaptionsOn] = useState(false);
   const [playerReady, setPlayerReady] = useState(false);
-  const playerRef = useRef(null);
-  const youtubePlayerRef = useRef(null); // YouTube IFrame API player instance
+  const [playerLimited, setPlayerLimited] = useState(false); // provider API unavailable, native controls only
+  const [resumePrompt, setResumePrompt] = useState(null); // saved position to offer ("Resume from 4:32?")
+
+  // Quiz attempt history for this lesson (newest first)
+  const [quizAttempts, setQuizAttempts] = useState([]);
+  const [quizXp, setQuizXp] = useState(null);
+  const videoContainerRef = useRef(null);
+  const playerRef = useRef(null); // video provider instance (see ../video)
 
   // UI state
   const [focusMode, setFocusMode] = useState(false);
   const [showTranscript, setShowTranscript] = useState(true);
-  const [activeTab, setActiveTab] = useState('transcript'); // 'transcript', 'notes', or 'checkin'
+  const [activeTab, setActiveTab] = useState('transcript'); // 'transcript', 'notes', 'mynotes', or 'checkin'
   const [showEmergencyReset, setShowEmergencyReset] = useState(false);
   const [showBreathingExercise, setShowBreathingExercise] = useState(false);
 
   // Progress tracking
-  const [watchedPercentage, setWatchedPercentage] = useState(0);
-  const [engagementStartTime, setEngagementStartTime] = useState(Date.now());
+  const [watchedPercentage, setWatchedPercentage] = useState(0); // coverage of played segments
+  // Played ranges for the current lesson (utils/watchedSegments) and the previous sample time
+  const watchedRef = useRef({ lessonId: null, segments: [], lastSample: null });
+  // Seconds spent playing with the tab visible (paused or hidden time doesn't count)
+  const engagedSecondsRef = useRef(0);
   const progressIntervalRef = useRef(null);
 
   // Apply font classes dynamically
   const fontClasses = `${dyslexicFont ? 'font-dyslexic' : ''} ${fontSize !== 'medium' ? `font-${fontSize}` : ''}`;
 
-  // Generate lesson ID from course ID (for mock data)
-  // In production, you'd have a separate lessonId parameter in the route
-  const lessonId = `lesson-${courseId}-1`;
+  // Position of the current lesson within the course syllabus
+  const currentLessonIndex = syllabus.findIndex(item => String(item.id) === String(lessonId));
+  const previousLesson = currentLessonIndex > 0 ? syllabus[currentLessonIndex - 1] : null;
+  const nextLesson = currentLessonIndex >= 0 && currentLessonIndex < syllabus.length - 1
+    ? syllabus[currentLessonIndex + 1]
+    : null;
 
   // Handle back navigation
   const handleClose = useCallback(() => {
     navigate('/');
   }, [navigate]);
 
+  // Navigate to another lesson in this course
+  const goToLesson = useCallback((targetLessonId) => {
+    navigate(`/course/${courseId}/lesson/${targetLessonId}`);
+  }, [navigate, courseId]);
+
   // Handle emergency reset
   const handleEmergencyReset = useCallback(async () => {
     console.log('🚨 Emergency reset button clicked');
@@ -88,9 +156,9 @@ const LessonPlayer = ({ onLogout }) => {
     setShowEmergencyReset(false);
     
     // Pause video if playing
-    if (youtubePlayerRef.current && youtubePlayerRef.current.pauseVideo) {
+    if (playerRef.current) {
       try {
-        youtubePlayerRef.current.pauseVideo();
+        playerRef.current.pause();
         setPlaying(false);
       } catch (err) {
         console.warn('Could not pause video:', err);
@@ -113,53 +181,120 @@ const LessonPlayer = ({ onLogout }) => {
     setShowBreathingExercise(false);
   }, []);
 
-  // Load YouTube IFrame API script
+  // Cancel any pending auto-advance on unmount
   useEffect(() => {
-    if (window.YT && window.YT.Player) {
-      return; // Already loaded
-    }
+    return () => {
+      if (autoAdvanceTimeoutRef.current) {
+        clearTimeout(autoAdvanceTimeoutRef.current);
+      }
+    };
+  }, []);
 
-    // Check if script is already being loaded
-    if (document.querySelector('script[src*="youtube.com/iframe_api"]')) {
-      return;
-    }
+  // Legacy /lesson/:courseId links have no lesson to load until the syllabus names one
+  const isLegacyLink = !lessonId;
+
+  // Load course syllabus
+  useEffect(() => {
+    let cancelled = false;
 
-    const tag = document.createElement('script');
-    tag.src = 'https://www.youtube.com/iframe_api';
-    const firstScriptTag = document.getElementsByTagName('script')[0];
-    firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+    const loadSyllabus = async () => {
+      try {
+        const lessons = await api.getCourseLessons(courseId);
+        if (cancelled) return;
+        setSyllabus(lessons);
 
-    // Set up global callback for when API is ready
-    window.onYouTubeIframeAPIReady = () => {
-      console.log('✅ YouTube IFrame API loaded');
+        if (lessons.length === 0) {
+          setError('This course has no lessons yet.');
+          setIsLoading(false);
+        }
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load syllabus:', err);
+        // Nothing else will end the loading state on a legacy link
+        if (isLegacyLink) {
+          setError('Failed to load course. Please try again.');
+          setIsLoading(false);
+        }
+      }
     };
-    
-    // Note: YouTube iframe may show aria-hidden warnings in console
-    // This is a known YouTube player issue, not our code
-    // See: https://github.com/youtube/youtube-iframe-player/issues
-  }, []);
 
-  // Cleanup YouTube player on unmount
-  useEffect(() => {
+    if (courseId) {
+      loadSyllabus();
+    }
+
     return () => {
-      if (youtubePlayerRef.current && youtubePlayerRef.current.destroy) {
-        youtubePlayerRef.current.destroy();
-      }
+      cancelled = true;
     };
-  }, []);
+  }, [courseId, isLegacyLink]);
+
+  // Legacy /lesson/:courseId links land on the first lesson of the course
+  useEffect(() => {
+    if (!lessonId && syllabus.length > 0) {
+      navigate(`/course/${courseId}/lesson/${syllabus[0].id}`, { replace: true });
+    }
+  }, [lessonId, syllabus, courseId, navigate]);
 
   // Load lesson data
   useEffect(() => {
     const loadLesson = async () => {
       try {
         setIsLoading(true);
-        const data = await api.getLesson(lessonId);
+
+        // Reset player state from the previous lesson
+        if (autoAdvanceTimeoutRef.current) {
+          clearTimeout(autoAdvanceTimeoutRef.current);
+          autoAdvanceTimeoutRef.current = null;
+        }
+        setPlayerReady(false);
+        setPlayerLimited(false);
+        setPlaying(false);
+        setCurrentTime(0);
+        setDuration(0);
+        setWatchedPercentage(0);
+        setResumePrompt(null);
+        setQuizXp(null);
+        watchedRef.current = { lessonId: null, segments: [], lastSample: null };
+        engagedSecondsRef.current = 0;
+
+        // Deep links already say where to start, so only look up a resume point without one
+        const [data, remotePosition] = await Promise.all([
+          api.getLesson(lessonId),
+          deepLinkStart ? null : api.getLessonPosition(courseId, lessonId).catch(() => null),
+        ]);
         setLesson(data);
         setError(null);
+        setNotFound(false);
+
+        // Coverage builds on what was played in earlier visits
+        const segments = readWatchedSegments(userId, lessonId);
+        const coverage = getCoverage(segments, data.duration);
+        watchedRef.current = { lessonId, segments, lastSample: null };
+        setWatchedPercentage(coverage);
+        if (courseId && segments.length > 0) saveLessonCoverage(userId, courseId, lessonId, coverage);
+
+        if (!deepLinkStart) {
+          const saved = newestPosition(getSavedPosition(userId, lessonId), remotePosition);
+          if (saved && isResumablePosition(saved.position, data.duration)) {
+            setResumePrompt(saved);
+          }
+        }
       } catch (err) {
         console.error('Failed to load lesson:', err);
-        setError('Failed to load lesson. Please try again.');
-        toast.error('Failed to load lesson');
+        setLesson(null);
+
+        if (err.status === 404) {
+          // Unknown lesson id - show the dedicated not-found state, not another lesson
+          setNotFound(true);
+          setError(null);
+        } else if (err.code === 'INVALID_LESSON') {
+          setNotFound(false);
+          setError(`${err.message} Please let your educator know.`);
+          toast.error('This lesson could not be displayed');
+        } else {
+          setNotFound(false);
+          setError('Failed to load lesson. Please try again.');
+          toast.error('Failed to load lesson');
+        }
       } finally {
         setIsLoading(false);
       }
@@ -168,32 +303,202 @@ const LessonPlayer = ({ onLogout }) => {
     if (lessonId && courseId) {
       loadLesson();
     }
-  }, [lessonId, courseId]);
+  }, [lessonId, courseId, userId, deepLinkStart]);
+
+  // Load quiz attempt history for this lesson
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAttempts = async () => {
+      try {
+        const attempts = await api.getQuizAttempts(userId, lessonId);
+        if (!cancelled) setQuizAttempts(attempts);
+      } catch (err) {
+        console.error('Failed to load quiz attempts:', err);
+        if (!cancelled) setQuizAttempts([]);
+      }
+    };
+
+    if (lessonId) {
+      loadAttempts();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, lessonId]);
+
+  // Kept in a ref so the syllabus arriving doesn't remount the player
+  const syllabusRef = useRef(syllabus);
+  useEffect(() => {
+    syllabusRef.current = syllabus;
+  }, [syllabus]);
+
+  // Completion already saved on the server (null until known). Coverage is only cached
+  // on this device, so a new browser or cleared storage must never send a lower figure.
+  const serverCompletionRef = useRef(null);
+  useEffect(() => {
+    let cancelled = false;
+    serverCompletionRef.current = null;
+
+    if (courseId) {
+      api.getCourseCompletion(courseId)
+        .then(rate => {
+          if (!cancelled) serverCompletionRef.current = rate;
+        })
+        .catch(err => console.warn('Could not load course completion:', err));
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [courseId]);
+
+  // Course completion is the average coverage over the whole syllabus, never one
+  // lesson's - sent only once the syllabus and the server's figure are known, and
+  // only when it's higher than what the server has
+  const getCompletionField = useCallback(() => {
+    const lessons = syllabusRef.current;
+    const serverRate = serverCompletionRef.current;
+    if (lessons.length === 0 || serverRate === null) return {};
+
+    const localRate = Math.floor(getCourseCoverage(userId, courseId, lessons));
+    if (localRate <= serverRate) return {};
+    serverCompletionRef.current = localRate;
+    return { completion_rate: localRate };
+  }, [userId, courseId]);
+
+  // Save the playback position locally and, optionally, through the progress API
+  const rememberPosition = useCallback((player, { remote = false } = {}) => {
+    if (!player || !lesson) return;
+    const position = player.getCurrentTime();
+    if (!position) return; // never started - keep whatever was saved before
+
+    const saved = savePosition(userId, {
+      courseId,
+      lessonId: lesson.id,
+      position,
+      duration: player.getDuration() || lesson.duration || 0,
+    });
+
+    if (remote && courseId) {
+      // Engaged time goes along while it still belongs to this lesson
+      // (it's reset as soon as the next lesson starts loading)
+      const watched = watchedRef.current;
+      const lessonStats = watched.lessonId === String(lesson.id)
+        ? { engagement_time: formatDurationField(engagedSecondsRef.current) }
+        : {};
+
+      // Finished or barely-started videos clear the remote resume point too
+      // (same fields as api.saveLessonPosition, sent through the progress queue)
+      queueProgressUpdate(courseId, {
+        ...getCompletionField(),
+        ...lessonStats,
+        last_lesson: lesson.id,
+        last_position: saved ? saved.position : 0,
+        last_position_at: new Date().toISOString(),
+      });
+    }
+  }, [lesson, courseId, userId, getCompletionField]);
+
+  // Mount the video provider (YouTube, Vimeo or HTML5 <video>) for the current lesson
+  useEffect(() => {
+    const container = videoContainerRef.current;
+    const source = resolveVideoSource(lesson);
+    if (!container || !source) return;
+
+    let player;
+    try {
+      // Our VideoControls replace the provider's built-in controls
+      player = createVideoPlayer(container, source, { controls: false, startAt: deepLinkStart });
+    } catch (err) {
+      console.error('Failed to create video player:', err);
+      return;
+    }
+    playerRef.current = player;
+    console.log(`🎬 Using ${player.name} video provider`);
+
+    const unsubscribers = [
+      player.on('ready', ({ duration: videoDuration, limited }) => {
+        if (limited) {
+          console.warn('⚠️ Player API unavailable - only the built-in controls will work');
+        }
+        setPlayerReady(true);
+        setPlayerLimited(Boolean(limited));
+        setDuration(videoDuration || lesson.duration || 0);
+        if (deepLinkStart) setCurrentTime(deepLinkStart);
+        toast.success('Video loaded!', { duration: 2000 });
+      }),
+      player.on('play', () => setPlaying(true)),
+      player.on('pause', () => {
+        setPlaying(false);
+        rememberPosition(player, { remote: true });
+      }),
+      player.on('ended', () => {
+        setPlaying(false);
+        rememberPosition(player, { remote: true });
+      }),
+      player.on('ratechange', (rate) => setPlaybackRate(rate)),
+      player.on('error', ({ message }) => {
+        console.error('❌ Video player error:', message);
+        toast.error(message);
+      }),
+    ];
+
+    // Closing the tab doesn't unmount React, so save on pagehide as well
+    const handlePageHide = () => {
+      rememberPosition(player, { remote: true });
+      flushProgressQueueOnExit();
+    };
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      rememberPosition(player, { remote: true });
+      player.destroy();
+      if (playerRef.current === player) {
+        playerRef.current = null;
+      }
+    };
+  }, [lesson, deepLinkStart, rememberPosition]);
 
-  // Sync volume with lowAudio preference
+  // Keep the local resume point fresh while the video plays
   useEffect(() => {
-    setVolume(lowAudio ? 0.3 : 1.0);
-  }, [lowAudio]);
+    if (!playing) return;
+    const timer = setInterval(() => rememberPosition(playerRef.current), POSITION_SAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [playing, rememberPosition]);
 
+  // Apply volume through the provider so the lowAudio cap behaves the same for every source
+  useEffect(() => {
+    if (!playerReady || !playerRef.current) return;
+    playerRef.current.setVolume(capVolume(volume, lowAudio));
+    playerRef.current.setMuted(muted);
+  }, [playerReady, volume, muted, lowAudio]);
 
+  // Playback rate is a student preference, so it carries over to the next lesson
+  useEffect(() => {
+    if (!playerReady || !playerRef.current) return;
+    playerRef.current.setPlaybackRate(playbackRate);
+  }, [playerReady, playbackRate]);
 
-  // Track engagement time and send progress updates
+  // Send progress updates (coverage and engaged time) while the video plays
   useEffect(() => {
     if (!playing || !courseId) return;
 
     progressIntervalRef.current = setInterval(() => {
-      const engagementTime = Math.floor((Date.now() - engagementStartTime) / 1000);
-      const completionRate = Math.min(Math.floor(watchedPercentage), 100);
-
-      // Send progress update to backend (creates if doesn't exist)
-      api.updateProgress(courseId, {
-        completion_rate: completionRate,
-        engagement_time: `00:${String(Math.floor(engagementTime / 60)).padStart(2, '0')}:${String(engagementTime % 60).padStart(2, '0')}`,
-      }).catch(err => {
-        // Silently handle errors - progress tracking is non-critical
-        if (err.status !== 404) {
-          console.error('Failed to update progress:', err);
-        }
+      const player = playerRef.current;
+      const position = player?.getCurrentTime() || 0;
+
+      // Queued and batched; the queue upserts the course's progress record and retries
+      queueProgressUpdate(courseId, {
+        ...getCompletionField(),
+        engagement_time: formatDurationField(engagedSecondsRef.current),
+        // Resume point, same fields as api.saveLessonPosition
+        last_lesson: lessonId,
+        last_position: isResumablePosition(position, player?.getDuration()) ? Math.floor(position) : 0,
+        last_position_at: new Date().toISOString(),
       });
     }, 30000); // Update every 30 seconds
 
@@ -202,39 +507,47 @@ const LessonPlayer = ({ onLogout }) => {
         clearInterval(progressIntervalRef.current);
       }
     };
-  }, [playing, courseId, watchedPercentage, engagementStartTime]);
+  }, [playing, courseId, lessonId, getCompletionField]);
 
-  // Progress tracking using YouTube API when available
+  // Sample playback once a second: record the range actually played since the last
+  // sample (seeks and stalls add nothing) and count engaged time while the tab is visible
   useEffect(() => {
-    if (playerReady && playing && youtubePlayerRef.current) {
-      const timer = setInterval(() => {
-        try {
-          // Try to get current time from YouTube API
-          if (youtubePlayerRef.current && youtubePlayerRef.current.getCurrentTime) {
-            const currentTime = youtubePlayerRef.current.getCurrentTime();
-            const duration = youtubePlayerRef.current.getDuration();
-            setCurrentTime(currentTime);
-            setDuration(duration);
-            const percentage = duration > 0 ? (currentTime / duration) * 100 : 0;
-            setWatchedPercentage(Math.min(percentage, 100));
-          } else {
-            // Fallback: increment timer
-            setCurrentTime(prev => {
-              const newTime = prev + 1;
-              const newPercentage = duration > 0 ? (newTime / duration) * 100 : 0;
-              setWatchedPercentage(Math.min(newPercentage, 100));
-              return newTime;
-            });
-          }
-        } catch (error) {
-          // Fallback on error
-          setCurrentTime(prev => prev + 1);
-        }
-      }, 1000);
-      
-      return () => clearInterval(timer);
-    }
-  }, [playerReady, playing, duration]);
+    if (!playerReady || !playing) return;
+
+    let lastTick = Date.now();
+    const timer = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const now = Date.now();
+      const elapsed = (now - lastTick) / 1000;
+      lastTick = now;
+      if (document.visibilityState === 'visible') {
+        engagedSecondsRef.current += Math.min(elapsed, MAX_SAMPLE_GAP_SECONDS);
+      }
+
+      const time = player.getCurrentTime();
+      const videoDuration = player.getDuration() || lesson?.duration || 0;
+      setCurrentTime(time);
+      setDuration(videoDuration);
+
+      const watched = watchedRef.current;
+      if (!watched.lessonId) return;
+      const advanced = watched.lastSample === null ? 0 : time - watched.lastSample;
+      const start = watched.lastSample;
+      watched.lastSample = time;
+
+      if (advanced > 0 && advanced <= MAX_SAMPLE_GAP_SECONDS) {
+        watched.segments = addSegment(watched.segments, start, time);
+        saveWatchedSegments(userId, watched.lessonId, watched.segments);
+        const coverage = getCoverage(watched.segments, videoDuration);
+        setWatchedPercentage(coverage);
+        if (courseId) saveLessonCoverage(userId, courseId, watched.lessonId, coverage);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [playerReady, playing, lesson, userId, courseId]);
 
   // Timeout for video loading (30 seconds)
   useEffect(() => {
@@ -252,48 +565,127 @@ const LessonPlayer = ({ onLogout }) => {
 
   // Seek to specific time (for transcript clicks)
   const seekTo = useCallback((time) => {
-    if (!playerReady) {
+    if (!playerReady || !playerRef.current) {
       toast.error('Video is still loading. Please wait...');
       return;
     }
     
     try {
-      // Use YouTube IFrame API for seamless seeking
-      if (youtubePlayerRef.current && youtubePlayerRef.current.seekTo) {
-        youtubePlayerRef.current.seekTo(time, true); // true = allowSeekAhead
-        youtubePlayerRef.current.playVideo(); // Auto-play after seeking
-        setCurrentTime(time);
-        setPlaying(true);
-        toast.success(`Jumped to ${Math.floor(time / 60)}:${String(Math.floor(time % 60)).padStart(2, '0')}`, {
-          duration: 1500,
-        });
-      } else {
-        // Fallback: reload iframe with timestamp (will show thumbnail briefly)
-        const iframe = playerRef.current;
-        if (iframe && iframe.src) {
-          const videoId = lesson?.videoId || 
-            (lesson?.videoUrl.includes('youtube.com/watch?v=')
-              ? lesson.videoUrl.split('v=')[1]?.split('&')[0]
-              : lesson?.videoUrl.includes('youtu.be/')
-              ? lesson.videoUrl.split('youtu.be/')[1]?.split('?')[0]
-              : null);
-          
-          if (videoId) {
-            const newUrl = `https://www.youtube.com/embed/${videoId}?enablejsapi=1&start=${Math.floor(time)}&autoplay=1&origin=${window.location.origin}&controls=1&modestbranding=1&rel=0`;
-            iframe.src = newUrl;
-            setCurrentTime(time);
-            setPlaying(true);
-            toast.success(`Jumped to ${Math.floor(time / 60)}:${String(Math.floor(time % 60)).padStart(2, '0')}`, {
-              duration: 1500,
-            });
-          }
-        }
-      }
+      playerRef.current.seek(time);
+      playerRef.current.play(); // Auto-play after seeking
+      setCurrentTime(time);
+      setPlaying(true);
+      toast.success(`Jumped to ${formatTime(time)}`, {
+        duration: 1500,
+      });
     } catch (error) {
       console.error('Error seeking to time:', error);
       toast.error('Unable to seek to that time');
     }
-  }, [playerReady, lesson]);
+  }, [playerReady]);
+
+  // Save the quiz attempt, feed the best score into course progress and auto-advance on a pass
+  const handleQuizComplete = useCallback(async (score, attempt) => {
+    const totalQuestions = lesson?.questions?.length || 0;
+    console.log('✅ Quiz completed with score:', score, '/', totalQuestions);
+    toast.success(`Knowledge check completed! Score: ${score}/${totalQuestions}`, {
+      duration: 3000,
+      position: 'top-center'
+    });
+
+    // Auto-advance to the next lesson once the quiz is passed
+    const passed = totalQuestions > 0 && score / totalQuestions >= QUIZ_PASS_THRESHOLD;
+    if (passed && nextLesson) {
+      toast.success(`Quiz passed! Moving on to "${nextLesson.title}"...`, {
+        duration: AUTO_ADVANCE_DELAY_MS,
+        position: 'top-center',
+        icon: '➡️',
+      });
+      autoAdvanceTimeoutRef.current = setTimeout(() => {
+        goToLesson(nextLesson.id);
+      }, AUTO_ADVANCE_DELAY_MS);
+    }
+
+    // Retakes only earn XP for beating the previous best score
+    const xp = getQuizXp(readLedger(userId), lessonId, score);
+    awardXp(userId, {
+      source: XP_SOURCES.quiz,
+      amount: xp,
+      refId: lessonId,
+      label: lesson?.title || 'Knowledge check',
+      perfect: totalQuestions > 0 && score === totalQuestions,
+    }, { celebrate: !hideCelebrations });
+    setQuizXp(xp);
+
+    // Every question answered joins the spaced-repetition review deck
+    addQuizToDeck(userId, {
+      courseId,
+      lessonId,
+      lessonTitle: lesson?.title,
+      questions: lesson?.questions || [],
+      answers: attempt.answers,
+    });
+
+    try {
+      const saved = await api.saveQuizAttempt(userId, lessonId, { ...attempt, course: courseId });
+      setQuizAttempts(prev => [saved, ...prev]);
+
+      if (saved.pending) {
+        toast('Quiz result saved offline. We\'ll sync it when you\'re back online.', { icon: '📴', duration: 3000 });
+        return;
+      }
+
+      const best = getBestAttempt([saved, ...quizAttempts]);
+      await api.saveBestQuizScore(courseId, lessonId, attemptRatio(best) * 100);
+    } catch (err) {
+      console.error('Failed to save quiz attempt:', err);
+      toast.error('Your quiz result could not be saved');
+    }
+  }, [lesson, nextLesson, goToLesson, userId, lessonId, courseId, quizAttempts, hideCelebrations]);
+
+  // Control bar actions (also bound to keyboard shortcuts in VideoControls)
+  const togglePlay = useCallback(() => {
+    const player = playerRef.current;
+    if (!player) return;
+    if (playing) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  }, [playing]);
+
+  // Jump without the transcript toast or auto-play (scrubber, skip buttons, shortcuts)
+  const seekPlayer = useCallback((time) => {
+    const player = playerRef.current;
+    if (!player) return;
+    const target = Math.max(0, duration > 0 ? Math.min(time, duration) : time);
+    player.seek(target);
+    setCurrentTime(target);
+  }, [duration]);
+
+  const skipBy = useCallback((seconds) => {
+    seekPlayer((playerRef.current?.getCurrentTime() || 0) + seconds);
+  }, [seekPlayer]);
+
+  const changeVolume = useCallback((value) => {
+    setVolume(value);
+    setMuted(value === 0);
+  }, []);
+
+  const resumeFromSaved = useCallback(() => {
+    if (!resumePrompt) return;
+    seekPlayer(resumePrompt.position);
+    playerRef.current?.play();
+    setResumePrompt(null);
+  }, [resumePrompt, seekPlayer]);
+
+  const startOver = useCallback(() => {
+    clearPosition(userId, lessonId);
+    setResumePrompt(null);
+  }, [userId, lessonId]);
+
+  const toggleMute = useCallback(() => setMuted(prev => !prev), []);
+  const toggleCaptions = useCallback(() => setCaptionsOn(prev => !prev), []);
 
   // Get current transcript item
   const getCurrentTranscriptIndex = useCallback(() => {
@@ -306,13 +698,6 @@ const LessonPlayer = ({ onLogout }) => {
     return -1;
   }, [lesson, currentTime]);
 
-  // Format time (seconds to mm:ss)
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
-
   if (isLoading) {
     return (
       <div className={`fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 ${fontClasses}`}>
@@ -324,6 +709,38 @@ const LessonPlayer = ({ onLogout }) => {
     );
   }
 
+  if (notFound) {
+    const firstLesson = syllabus[0];
+    const canOpenFirstLesson = firstLesson && String(firstLesson.id) !== String(lessonId);
+
+    return (
+      <div className={`fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 ${fontClasses}`}>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-xl max-w-md">
+          <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-4">Lesson not found</h3>
+          <p className="text-gray-700 dark:text-gray-300 mb-6">
+            <SmartText>We couldn't find this lesson. It may have been moved or removed from the course.</SmartText>
+          </p>
+          <div className="flex gap-3">
+            {canOpenFirstLesson && (
+              <button
+                onClick={() => goToLesson(firstLesson.id)}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Start Course
+              </button>
+            )}
+            <button
+              onClick={handleClose}
+              className="flex-1 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            >
+              Back to Dashboard
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (error || !lesson) {
     return (
       <div className={`fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 ${fontClasses}`}>
@@ -342,6 +759,12 @@ const LessonPlayer = ({ onLogout }) => {
   }
 
   const currentTranscriptIndex = getCurrentTranscriptIndex();
+  const videoSource = resolveVideoSource(lesson);
+  const hasCaptions = (lesson.transcript || []).length > 0;
+  const activeCaption = captionsOn && currentTranscriptIndex >= 0 &&
+    currentTime < getCueEnd(lesson.transcript, currentTranscriptIndex, duration)
+    ? lesson.transcript[currentTranscriptIndex]
+    : null;
 
   return (
     <div className={`fixed inset-0 z-50 ${darkMode ? 'bg-gray-900' : 'bg-gray-100'} ${fontClasses} flex flex-col`}>
@@ -417,14 +840,26 @@ const LessonPlayer = ({ onLogout }) => {
                   {formatTime(duration)}
                 </span>
                 <span className="flex items-center gap-1">
-                  <CheckCircle size={14} />
-                  {Math.floor(watchedPercentage)}% Complete
+                  <CheckCircle
+                    size={14}
+                    className={watchedPercentage >= COMPLETION_COVERAGE ? 'text-green-600 dark:text-green-400' : ''}
+                  />
+                  <span title="Share of the video you've actually played">
+                    {Math.floor(watchedPercentage)}% Watched
+                  </span>
                 </span>
+                {currentLessonIndex >= 0 && (
+                  <span>
+                    Lesson {currentLessonIndex + 1} of {syllabus.length}
+                  </span>
+                )}
               </div>
             </div>
           </div>
 
           <div className="flex items-center gap-2">
+            <OfflineIndicator />
+
             {/* Transcript Toggle */}
             <button
               onClick={() => setShowTranscript(!showTranscript)}
@@ -478,112 +913,74 @@ const LessonPlayer = ({ onLogout }) => {
 
       {/* Main Content - flex-grow to fill remaining space */}
       <div className={`flex flex-grow ${focusMode ? '' : ''} overflow-hidden`}>
+        {/* Syllabus Sidebar (collapsible, hidden in focus mode) */}
+        {!focusMode && syllabus.length > 0 && (
+          showSyllabus ? (
+            <nav
+              aria-label="Course syllabus"
+              className={`w-64 flex-shrink-0 flex flex-col ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border-r transition-colors duration-300`}
+            >
+              <div className={`flex items-center justify-between px-4 py-3 border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <span className={`text-sm font-semibold ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                  Syllabus
+                </span>
+                <button
+                  onClick={() => setShowSyllabus(false)}
+                  aria-label="Collapse syllabus"
+                  className={`p-1 rounded ${darkMode ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'} transition-colors`}
+                >
+                  <PanelLeftClose size={18} />
+                </button>
+              </div>
+              <ol className="flex-1 overflow-y-auto p-2 space-y-1">
+                {syllabus.map((item, index) => {
+                  const isCurrent = index === currentLessonIndex;
+                  return (
+                    <li key={item.id}>
+                      <button
+                        onClick={() => goToLesson(item.id)}
+                        aria-current={isCurrent ? 'page' : undefined}
+                        className={`w-full text-left px-3 py-2 rounded-lg text-sm flex items-start gap-2 transition-colors ${
+                          isCurrent
+                            ? darkMode
+                              ? 'bg-blue-900 bg-opacity-50 text-blue-300 font-medium'
+                              : 'bg-blue-50 text-blue-700 font-medium'
+                            : darkMode
+                              ? 'text-gray-300 hover:bg-gray-700'
+                              : 'text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        <span className={`text-xs font-mono mt-0.5 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                          {index + 1}.
+                        </span>
+                        <SmartText>{item.title}</SmartText>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </nav>
+          ) : (
+            <div className={`flex-shrink-0 flex flex-col items-center py-3 px-1 ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border-r transition-colors duration-300`}>
+              <button
+                onClick={() => setShowSyllabus(true)}
+                aria-label="Expand syllabus"
+                title="Show syllabus"
+                className={`p-1 rounded ${darkMode ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'} transition-colors`}
+              >
+                <PanelLeftOpen size={18} />
+              </button>
+            </div>
+          )
+        )}
+
         {/* Video Player Section - flex-grow container */}
         <div className={`${showTranscript && !focusMode ? 'w-2/3' : 'w-full'} flex flex-col bg-black flex-grow`}>
-          {/* React Player - flex-grow to fill container */}
+          {/* Video Player - flex-grow to fill container */}
           <div className="flex-grow relative bg-black" style={{ minHeight: '400px' }}>
-            {lesson?.videoUrl ? (
-              <div className="absolute inset-0 w-full h-full" style={{ minHeight: '400px' }}>
-                {/* Use videoId from lesson data, fallback to parsing videoUrl */}
-                {(() => {
-                  const videoId = lesson.videoId || 
-                    (lesson.videoUrl.includes('youtube.com/watch?v=')
-                      ? lesson.videoUrl.split('v=')[1]?.split('&')[0]
-                      : lesson.videoUrl.includes('youtu.be/')
-                      ? lesson.videoUrl.split('youtu.be/')[1]?.split('?')[0]
-                      : null);
-                  
-                  const embedUrl = videoId 
-                    ? `https://www.youtube.com/embed/${videoId}?enablejsapi=1&origin=${window.location.origin}&controls=1&modestbranding=1&rel=0`
-                    : lesson.videoUrl;
-                  
-                  // Use direct iframe with YouTube IFrame API for seamless seeking
-                  const iframeId = `youtube-player-${courseId}`;
-                  
-                  return (
-                    <iframe
-                      id={iframeId}
-                      ref={(ref) => {
-                        playerRef.current = ref;
-                      }}
-                      src={embedUrl}
-                      width="100%"
-                      height="100%"
-                      frameBorder="0"
-                      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                      allowFullScreen
-                      style={{
-                        position: 'absolute',
-                        top: 0,
-                        left: 0,
-                        width: '100%',
-                        height: '100%',
-                      }}
-                      onLoad={() => {
-                        console.log('✅ YouTube iframe loaded');
-                        
-                        // Initialize YouTube IFrame API player
-                        const initPlayer = () => {
-                          if (window.YT && window.YT.Player) {
-                            try {
-                              youtubePlayerRef.current = new window.YT.Player(iframeId, {
-                                events: {
-                                  onReady: (event) => {
-                                    console.log('✅ YouTube player API ready');
-                                    setPlayerReady(true);
-                                    const duration = event.target.getDuration();
-                                    setDuration(duration || 600);
-                                    toast.success('Video loaded!', { duration: 2000 });
-                                  },
-                                  onStateChange: (event) => {
-                                    // Track playing state
-                                    if (event.data === window.YT.PlayerState.PLAYING) {
-                                      setPlaying(true);
-                                    } else if (event.data === window.YT.PlayerState.PAUSED) {
-                                      setPlaying(false);
-                                    }
-                                  },
-                                  onError: (error) => {
-                                    console.error('❌ YouTube player error:', error);
-                                  },
-                                },
-                              });
-                            } catch (err) {
-                              console.error('Failed to initialize YouTube player:', err);
-                              // Fallback: just set ready without API
-                              setPlayerReady(true);
-                              setDuration(600);
-                              toast.success('Video loaded!', { duration: 2000 });
-                            }
-                          } else {
-                            // Wait for API to load (max 5 seconds)
-                            let attempts = 0;
-                            const checkAPI = setInterval(() => {
-                              attempts++;
-                              if (window.YT && window.YT.Player) {
-                                clearInterval(checkAPI);
-                                initPlayer();
-                              } else if (attempts > 10) {
-                                clearInterval(checkAPI);
-                                // Fallback if API doesn't load
-                                setPlayerReady(true);
-                                setDuration(600);
-                                toast.success('Video loaded!', { duration: 2000 });
-                              }
-                            }, 500);
-                          }
-                        };
-                        
-                        initPlayer();
-                      }}
-                      onError={(e) => {
-                        console.error('❌ Iframe load error:', e);
-                        toast.error('Failed to load video iframe');
-                      }}
-                    />
-                  );
-                })()}
-              </div>
+            {videoSource ? (
+              // Providers mount their own iframe/<video> into this element
+              <div ref={videoContainerRef} className="absolute inset-0 w-full h-full" style={{ minHeight: '400px' }} />
             ) : (
               <div className="absolute inset-0 flex items-center justify-center text-white">
                 <p>No video URL available</p>
@@ -610,33 +1007,103 @@ const LessonPlayer = ({ onLogout }) => {
               </div>
             )}
 
-            {/* Custom Play/Pause Overlay - Note: YouTube iframe has built-in controls */}
-            {playerReady && (
-              <div className="absolute inset-0 flex items-center justify-center opacity-0 hover:opacity-100 transition-opacity bg-black bg-opacity-10 z-20 pointer-events-none">
-                <div className="text-white text-sm bg-black bg-opacity-50 px-4 py-2 rounded">
-                  Use YouTube player controls below
+            {/* Resume Prompt */}
+            {playerReady && resumePrompt && (
+              <div className="absolute top-4 inset-x-0 flex justify-center px-4 z-30">
+                <div
+                  role="dialog"
+                  aria-label="Resume lesson"
+                  className="flex items-center gap-3 bg-gray-900 bg-opacity-90 text-white px-4 py-3 rounded-xl shadow-lg"
+                >
+                  <History size={18} className="text-blue-300 flex-shrink-0" />
+                  <span className="text-sm">
+                    <SmartText>{`Resume from ${formatTime(resumePrompt.position)}?`}</SmartText>
+                  </span>
+                  <button
+                    onClick={resumeFromSaved}
+                    autoFocus
+                    className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={startOver}
+                    className="px-3 py-1 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors text-sm"
+                  >
+                    Start over
+                  </button>
                 </div>
               </div>
             )}
-          </div>
 
-          {/* Video Controls Info */}
-          <div className={`p-4 ${darkMode ? 'bg-gray-800' : 'bg-gray-900'}`}>
-            <div className="flex items-center justify-between">
-              <div className="flex items-center gap-4">
-                <span className="text-white text-sm">
-                  Use YouTube player controls above to play, pause, and adjust volume
-                </span>
+            {/* Captions (rendered from the lesson transcript, so they work for every provider) */}
+            {activeCaption && (
+              <div className="absolute bottom-6 inset-x-0 flex justify-center px-6 z-20 pointer-events-none">
+                <p className="max-w-3xl text-center text-white text-lg leading-snug bg-black bg-opacity-75 px-4 py-2 rounded whitespace-pre-line">
+                  <SmartText>{activeCaption.text}</SmartText>
+                </p>
               </div>
+            )}
+          </div>
 
-              {focusMode && (
+          {/* Video Controls */}
+          <div className={`p-4 space-y-3 ${darkMode ? 'bg-gray-800' : 'bg-gray-900'}`}>
+            {playerLimited ? (
+              <p className="text-gray-300 text-sm">
+                Use the player's built-in controls above - custom controls aren't available for this video.
+              </p>
+            ) : (
+              <VideoControls
+                playing={playing}
+                currentTime={currentTime}
+                duration={duration}
+                playbackRate={playbackRate}
+                volume={volume}
+                maxVolume={lowAudio ? LOW_AUDIO_MAX_VOLUME : 1}
+                muted={muted}
+                captionsOn={captionsOn}
+                hasCaptions={hasCaptions}
+                disabled={!playerReady || !videoSource}
+                shortcutsEnabled={!showEmergencyReset && !showBreathingExercise}
+                onTogglePlay={togglePlay}
+                onSeek={seekPlayer}
+                onSkip={skipBy}
+                onPlaybackRateChange={setPlaybackRate}
+                onVolumeChange={changeVolume}
+                onToggleMute={toggleMute}
+                onToggleCaptions={toggleCaptions}
+              />
+            )}
+
+            <div className="flex items-center justify-end">
+              <div className="flex items-center gap-2">
+                {focusMode && (
+                  <button
+                    onClick={() => setFocusMode(false)}
+                    className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm"
+                  >
+                    Exit Focus Mode
+                  </button>
+                )}
+
+                {/* Lesson Navigation */}
                 <button
-                  onClick={() => setFocusMode(false)}
-                  className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm"
+                  onClick={() => previousLesson && goToLesson(previousLesson.id)}
+                  disabled={!previousLesson}
+                  className="flex items-center gap-1 px-3 py-1 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors text-sm disabled:opacity-40 disabled:cursor-not-allowed"
                 >
-                  Exit Focus Mode
+                  <ChevronLeft size={16} />
+                  Previous
                 </button>
-              )}
+                <button
+                  onClick={() => nextLesson && goToLesson(nextLesson.id)}
+                  disabled={!nextLesson}
+                  className="flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Next
+                  <ChevronRight size={16} />
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -674,6 +1141,20 @@ const LessonPlayer = ({ onLogout }) => {
               >
                 Lesson Notes
               </button>
+              <button
+                onClick={() => setActiveTab('mynotes')}
+                className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+                  activeTab === 'mynotes'
+                    ? darkMode
+                      ? 'border-b-2 border-blue-500 text-blue-400'
+                      : 'border-b-2 border-blue-600 text-blue-600'
+                    : darkMode
+                      ? 'text-gray-400 hover:text-gray-300'
+                      : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                My Notes
+              </button>
               <button
                 onClick={() => setActiveTab('checkin')}
                 className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
@@ -693,48 +1174,39 @@ const LessonPlayer = ({ onLogout }) => {
             {/* Tab Content */}
             <div className="flex-1 overflow-y-auto p-4">
               {activeTab === 'transcript' ? (
-                <div className="space-y-2">
-                  {lesson.transcript?.map((item, index) => (
-                    <button
-                      key={index}
-                      onClick={() => seekTo(item.time)}
-                      className={`w-full text-left p-3 rounded-lg transition-colors ${
-                        index === currentTranscriptIndex
-                          ? darkMode
-                            ? 'bg-blue-900 bg-opacity-50 border-l-4 border-blue-500'
-                            : 'bg-blue-50 border-l-4 border-blue-600'
-                          : darkMode
-                            ? 'hover:bg-gray-700'
-                            : 'hover:bg-gray-50'
-                      }`}
-                    >
-                      <div className="flex items-start gap-2">
-                        <span className={`text-xs font-mono ${darkMode ? 'text-gray-400' : 'text-gray-500'} min-w-[40px]`}>
-                          {formatTime(item.time)}
-                        </span>
-                        <p className={`text-sm ${index === currentTranscriptIndex ? (darkMode ? 'text-blue-300 font-medium' : 'text-blue-700 font-medium') : (darkMode ? 'text-gray-300' : 'text-gray-700')}`}>
-                          <SmartText>{item.text}</SmartText>
-                        </p>
-                      </div>
-                    </button>
-                  ))}
-                </div>
+                <InteractiveTranscript
+                  transcript={lesson.transcript || []}
+                  transcriptError={lesson.transcriptError}
+                  currentIndex={currentTranscriptIndex}
+                  onSeek={seekTo}
+                  darkMode={darkMode}
+                  title={lesson.title}
+                  duration={duration || lesson.duration}
+                />
               ) : activeTab === 'notes' ? (
-                <div className={`prose ${darkMode ? 'prose-invert' : ''} max-w-none`}>
-                  <SmartText>{lesson.content}</SmartText>
-                </div>
+                lesson.content ? (
+                  <MarkdownContent content={lesson.content} />
+                ) : (
+                  <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    No notes for this lesson yet.
+                  </p>
+                )
+              ) : activeTab === 'mynotes' ? (
+                <StudentNotes
+                  userId={user?.id}
+                  lessonId={lessonId}
+                  currentTime={currentTime}
+                  onSeek={seekTo}
+                  darkMode={darkMode}
+                />
               ) : (
                 <div className="animate-in fade-in slide-in-from-right-4 duration-300">
                   <QuizSystem 
+                    key={lesson?.id ?? lessonId}
                     questions={lesson?.questions || []} 
-                    onComplete={(score) => {
-                      const totalQuestions = lesson?.questions?.length || 0;
-                      console.log('✅ Quiz completed with score:', score, '/', totalQuestions);
-                      toast.success(`Knowledge check completed! Score: ${score}/${totalQuestions}`, {
-                        duration: 3000,
-                        position: 'top-center'
-                      });
-                    }}
+                    attempts={quizAttempts}
+                    xpEarned={quizXp}
+                    onComplete={handleQuizComplete}
                     darkMode={darkMode}
                   />
                 </div>
@@ -0,0 +1,103 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import SmartText from './SmartText';
+
+/**
+ * MarkdownContent Component - Renders lesson markdown with sensory preferences
+ *
+ * Features:
+ * - Headings, lists, tables, blockquotes, links and images (GitHub-flavored markdown)
+ * - Code blocks with syntax highlighting (rehype-highlight)
+ * - Bionic Reading applied to every prose text node via SmartText
+ * - Dyslexic Font and Font Size inherited from the document root (SensoryContext)
+ *
+ * Code is left untouched by Bionic Reading so it stays copyable and readable.
+ *
+ * Usage:
+ * <MarkdownContent content={lesson.content} />
+ */
+
+// Wrap plain string children in SmartText, leaving elements (links, code, etc.) as-is
+const withSmartText = (children) =>
+  React.Children.map(children, (child) =>
+    typeof child === 'string' ? <SmartText>{child}</SmartText> : child
+  );
+
+// Build a renderer that applies SmartText to a tag's text children
+const smart = (Tag, className) => {
+  // `style` carries GFM table column alignment
+  const SmartElement = ({ children, style }) => (
+    <Tag className={className} style={style}>{withSmartText(children)}</Tag>
+  );
+  return SmartElement;
+};
+
+const markdownComponents = {
+  h1: smart('h1', 'text-2xl font-bold mt-6 mb-3 text-gray-900 dark:text-gray-100'),
+  h2: smart('h2', 'text-xl font-bold mt-5 mb-2 text-gray-900 dark:text-gray-100'),
+  h3: smart('h3', 'text-lg font-semibold mt-4 mb-2 text-gray-800 dark:text-gray-200'),
+  h4: smart('h4', 'text-base font-semibold mt-4 mb-2 text-gray-800 dark:text-gray-200'),
+  h5: smart('h5', 'text-base font-semibold mt-3 mb-1 text-gray-800 dark:text-gray-200'),
+  h6: smart('h6', 'text-sm font-semibold uppercase tracking-wide mt-3 mb-1 text-gray-600 dark:text-gray-400'),
+  p: smart('p', 'mb-3 leading-relaxed text-gray-700 dark:text-gray-300'),
+  li: smart('li', 'leading-relaxed text-gray-700 dark:text-gray-300'),
+  strong: smart('strong', 'font-bold text-gray-900 dark:text-gray-100'),
+  em: smart('em', 'italic'),
+  del: smart('del', 'line-through'),
+  th: smart('th', 'px-3 py-2 text-left font-semibold border-b border-gray-300 dark:border-gray-600'),
+  td: smart('td', 'px-3 py-2 border-b border-gray-200 dark:border-gray-700'),
+  ul: ({ children }) => <ul className="list-disc pl-6 mb-3 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-6 mb-3 space-y-1">{children}</ol>,
+  blockquote: ({ children }) => (
+    <blockquote className="border-l-4 border-blue-300 dark:border-blue-700 pl-4 my-3 italic text-gray-600 dark:text-gray-400">
+      {children}
+    </blockquote>
+  ),
+  table: ({ children }) => (
+    <div className="overflow-x-auto mb-3">
+      <table className="min-w-full text-sm">{children}</table>
+    </div>
+  ),
+  hr: () => <hr className="my-6 border-gray-200 dark:border-gray-700" />,
+  a: ({ href, children }) => {
+    const isExternal = /^https?:\/\//.test(href || '');
+    return (
+      <a
+        href={href}
+        className="text-blue-600 dark:text-blue-400 underline hover:text-blue-700 dark:hover:text-blue-300"
+        {...(isExternal ? { target: '_blank', rel: 'noopener noreferrer' } : {})}
+      >
+        {withSmartText(children)}
+      </a>
+    );
+  },
+  img: ({ src, alt, title }) => (
+    <img
+      src={src}
+      alt={alt || ''}
+      title={title}
+      loading="lazy"
+      className="max-w-full h-auto rounded-lg my-3"
+    />
+  ),
+};
+
+const MarkdownContent = ({ content = '', className = '' }) => {
+  if (!content) return null;
+
+  return (
+    <div className={`markdown-content ${className}`}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeHighlight]}
+        components={markdownComponents}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownContent;
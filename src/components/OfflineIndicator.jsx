@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { WifiOff, RefreshCw, CloudUpload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSensory } from '../context/SensoryContext';
+import SmartText from './SmartText';
+import {
+  MUTATION_QUEUE_EVENT,
+  MUTATIONS_SYNCED_EVENT,
+  getMutationQueueStatus,
+  replayMutations,
+} from '../sync/mutationQueue';
+
+/**
+ * OfflineIndicator Component - Connection status for page headers
+ * Shows when the browser is offline, how many changes are waiting to sync and
+ * when they're being replayed (sync/mutationQueue). Renders nothing when all is well.
+ */
+const OfflineIndicator = () => {
+  const { reduceAnimations } = useSensory();
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [queueStatus, setQueueStatus] = useState(getMutationQueueStatus);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    const handleQueue = (event) => setQueueStatus(event.detail);
+    const handleSynced = (event) => {
+      const { sent, dropped } = event.detail;
+      if (dropped > 0) {
+        toast.error(`${dropped} offline change${dropped === 1 ? '' : 's'} couldn't be saved`, { position: 'bottom-right' });
+      } else if (sent > 0) {
+        toast.success('Offline changes synced', { duration: 2000, position: 'bottom-right', icon: '☁️' });
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(MUTATION_QUEUE_EVENT, handleQueue);
+    window.addEventListener(MUTATIONS_SYNCED_EVENT, handleSynced);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(MUTATION_QUEUE_EVENT, handleQueue);
+      window.removeEventListener(MUTATIONS_SYNCED_EVENT, handleSynced);
+    };
+  }, []);
+
+  const { pending, syncing } = queueStatus;
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  if (!isOnline) {
+    return (
+      <div
+        role="status"
+        title={pending > 0 ? `${changes} will sync when you reconnect` : 'Showing saved data until you reconnect'}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 border border-amber-200 dark:border-amber-700"
+      >
+        <WifiOff size={16} aria-hidden="true" />
+        <SmartText>{pending > 0 ? `Offline - ${changes} waiting` : 'Offline'}</SmartText>
+      </div>
+    );
+  }
+
+  if (syncing) {
+    return (
+      <div
+        role="status"
+        className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300"
+      >
+        <RefreshCw size={16} aria-hidden="true" className={reduceAnimations ? '' : 'animate-spin'} />
+        <SmartText>{`Syncing ${changes}...`}</SmartText>
+      </div>
+    );
+  }
+
+  if (pending > 0) {
+    // Online but the backend was unreachable last time - let the student retry now
+    return (
+      <button
+        type="button"
+        onClick={() => replayMutations()}
+        title="Try to sync now"
+        className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 hover:bg-amber-200 dark:hover:bg-amber-900/60 transition-colors"
+      >
+        <CloudUpload size={16} aria-hidden="true" />
+        <SmartText>{`${changes} not synced`}</SmartText>
+      </button>
+    );
+  }
+
+  return null;
+};
+
+export default OfflineIndicator;
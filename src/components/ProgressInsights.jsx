@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { TrendingUp, Target, Flame, Zap, Award, BarChart3, Loader2, Rocket } from 'lucide-react';
-import api from '../api';
+import api, { FOCUS_SESSION_RECORDED_EVENT } from '../api';
 import { useSensory } from '../context/SensoryContext';
 import SmartText from './SmartText';
+import FocusHistory from './FocusHistory';
+import { countCompletedSteps } from '../utils/gamification';
+import { getFocusedMinutes, getFocusStreak, normalizeFocusSessions } from '../utils/focusHistory';
 
 /**
  * ProgressInsights Component - Dopamine Dashboard
@@ -11,6 +14,8 @@ import SmartText from './SmartText';
  * - "Wins" Card showing completed tasks/steps
  * - Focus Streak tracking consecutive days with focus sessions
  * - Focus Minutes calculation from Pomodoro sessions
+ * - Focus history with per-day and per-task breakdowns (from the backend, so it
+ *   follows the student across devices)
  * - AI-Driven Affirmation placeholder (tailored to NeuroProfile)
  * - Sensory-friendly charts (static bars if reduce_animations, high contrast if darkMode)
  * - Real-time data aggregation from tasks and progress records
@@ -20,34 +25,49 @@ const ProgressInsights = ({ tasks = [], user }) => {
   
   // Stats state
   const [tasksSmashed, setTasksSmashed] = useState(0);
-  const [focusMinutes, setFocusMinutes] = useState(0);
-  const [focusStreak, setFocusStreak] = useState(0);
+  const [lessonMinutes, setLessonMinutes] = useState(0);
+  const [focusSessions, setFocusSessions] = useState([]);
   const [weeklyWins, setWeeklyWins] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   
+  const focusMinutes = lessonMinutes + getFocusedMinutes(focusSessions);
+  const focusStreak = getFocusStreak(focusSessions);
+  
   // Calculate statistics
   useEffect(() => {
     calculateStats();
   }, [tasks]);
   
+  // Pick up sessions FocusEngine records while the dashboard is open
+  useEffect(() => {
+    const handleSessionRecorded = () => loadFocusSessions();
+    window.addEventListener(FOCUS_SESSION_RECORDED_EVENT, handleSessionRecorded);
+    return () => window.removeEventListener(FOCUS_SESSION_RECORDED_EVENT, handleSessionRecorded);
+  }, []);
+  
+  const loadFocusSessions = async () => {
+    try {
+      setFocusSessions(normalizeFocusSessions(await api.getFocusSessions()));
+    } catch (error) {
+      console.error('Failed to load focus history:', error);
+    }
+  };
+  
   const calculateStats = async () => {
     try {
       setIsLoading(true);
       
       // Calculate Tasks Smashed (completed steps)
-      let completedSteps = 0;
-      tasks.forEach(task => {
-        if (task.steps && Array.isArray(task.steps)) {
-          completedSteps += task.steps.filter(step => step.is_step_complete).length;
-        }
-      });
-      setTasksSmashed(completedSteps);
+      setTasksSmashed(countCompletedSteps(tasks));
+      
+      // Focus sessions recorded by FocusEngine (minutes and streak are derived from these)
+      await loadFocusSessions();
       
       // Fetch progress data for engagement time
       const progressData = await api.getProgress();
       const progressList = Array.isArray(progressData) ? progressData : (progressData.results || []);
       
-      // Calculate total focus minutes from engagement_time (backend)
+      // Lesson engagement_time (backend) counts towards focus minutes too
       let totalMinutes = 0;
       progressList.forEach(progress => {
         if (progress.engagement_time) {
@@ -56,14 +76,7 @@ const ProgressInsights = ({ tasks = [], user }) => {
         }
       });
       
-      // Add focus minutes from localStorage (tracked by FocusEngine)
-      const storedMinutes = parseInt(localStorage.getItem('total_focus_minutes') || '0');
-      totalMinutes += storedMinutes;
-      setFocusMinutes(totalMinutes);
-      
-      // Calculate focus streak from localStorage
-      const focusDates = JSON.parse(localStorage.getItem('focus_dates') || '[]');
-      setFocusStreak(calculateStreakFromDates(focusDates));
+      setLessonMinutes(totalMinutes);
       
       // Calculate weekly wins (last 7 days)
       setWeeklyWins(calculateWeeklyWins(tasks));
@@ -88,37 +101,6 @@ const ProgressInsights = ({ tasks = [], user }) => {
     return 0;
   };
   
-  const calculateStreakFromDates = (focusDates) => {
-    // Calculate consecutive days streak from array of date strings
-    if (focusDates.length === 0) return 0;
-    
-    // Sort dates in descending order (most recent first)
-    const sortedDates = focusDates
-      .map(dateStr => new Date(dateStr))
-      .sort((a, b) => b - a);
-    
-    // Check for consecutive days starting from today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    let streak = 0;
-    let checkDate = new Date(today);
-    
-    for (let i = 0; i < sortedDates.length; i++) {
-      const focusDate = new Date(sortedDates[i]);
-      focusDate.setHours(0, 0, 0, 0);
-      
-      if (focusDate.getTime() === checkDate.getTime()) {
-        streak++;
-        checkDate.setDate(checkDate.getDate() - 1); // Check previous day
-      } else {
-        break; // Streak broken
-      }
-    }
-    
-    return streak;
-  };
-  
   const calculateWeeklyWins = (tasks) => {
     // Calculate completed steps for each day of the week
     // For now, return a simple pattern (would need timestamp data for real tracking)
@@ -358,6 +340,8 @@ const ProgressInsights = ({ tasks = [], user }) => {
           </p>
         </div>
       </div>
+      
+      <FocusHistory sessions={focusSessions} />
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { getRedirectPath } from '../utils/auth';
+
+/**
+ * ProtectedRoute Component - Only renders its children for logged-in students
+ * Everyone else is sent to /login, which remembers the page they asked for
+ * (location state `from`) and brings them back after logging in.
+ */
+const ProtectedRoute = ({ isAuthenticated, children }) => {
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+/**
+ * GuestRoute Component - Login/signup screens for logged-out students only
+ * Once logged in, continues to the page ProtectedRoute remembered (or the dashboard),
+ * which is what completes the redirect after login.
+ */
+export const GuestRoute = ({ isAuthenticated, children }) => {
+  const location = useLocation();
+
+  if (isAuthenticated) {
+    return <Navigate to={getRedirectPath(location.state)} replace />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
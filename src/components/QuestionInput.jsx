@@ -0,0 +1,329 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle, ChevronUp, ChevronDown, GripVertical } from 'lucide-react';
+import SmartText from './SmartText';
+import { getPartResults, shuffledIndexes, splitCodeBlanks } from '../utils/quizQuestions';
+
+/**
+ * QuestionInput Component - Answer UI for every quiz question type
+ * (single, multiple, true_false, short_answer, ordering, fill_blank, matching).
+ * Everything is reachable by keyboard: choices are buttons, ordering has
+ * move up/down buttons alongside drag-and-drop, matching uses native selects.
+ * Answer shapes are documented in utils/quizQuestions.js.
+ */
+
+const feedbackRowClass = (showFeedback, correct, darkMode) => {
+  if (!showFeedback) return darkMode ? 'border-gray-700' : 'border-gray-200';
+  return correct
+    ? 'border-green-500 bg-green-50 dark:bg-green-900/40'
+    : 'border-red-500 bg-red-50 dark:bg-red-900/40';
+};
+
+const FeedbackIcon = ({ correct }) => (correct
+  ? <CheckCircle2 size={18} className="text-green-600 dark:text-green-400 flex-shrink-0" aria-label="Correct" />
+  : <XCircle size={18} className="text-red-600 dark:text-red-400 flex-shrink-0" aria-label="Incorrect" />);
+
+// Single choice, multi-select and true/false share the same option list
+const ChoiceOptions = ({ question, answer, onChange, showFeedback, darkMode }) => {
+  const isMultiple = question.type === 'multiple';
+  const isTrueFalse = question.type === 'true_false';
+
+  // True/false answers are booleans: option 0 is "True", option 1 is "False"
+  const valueFor = (index) => (isTrueFalse ? index === 0 : index);
+  const isSelected = (index) => (isMultiple ? answer.includes(index) : answer === valueFor(index));
+  const isCorrectOption = (index) => (isMultiple
+    ? question.correctAnswers.includes(index)
+    : valueFor(index) === question.correctAnswer);
+
+  const select = (index) => {
+    if (showFeedback) return;
+    if (isMultiple) {
+      onChange(answer.includes(index) ? answer.filter(i => i !== index) : [...answer, index]);
+    } else {
+      onChange(valueFor(index));
+    }
+  };
+
+  return (
+    <div role={isMultiple ? 'group' : 'radiogroup'} aria-label="Answer options" className="space-y-3">
+      {isMultiple && (
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Select all that apply.</p>
+      )}
+      {question.options.map((option, index) => {
+        const selected = isSelected(index);
+        const correctOption = showFeedback && isCorrectOption(index);
+        const wrongSelection = showFeedback && selected && !isCorrectOption(index);
+
+        return (
+          <button
+            key={index}
+            role={isMultiple ? 'checkbox' : 'radio'}
+            aria-checked={selected}
+            onClick={() => select(index)}
+            disabled={showFeedback}
+            className={`w-full text-left p-4 rounded-xl border-2 transition-all flex items-center justify-between ${
+              selected
+                ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30'
+                : darkMode
+                  ? 'border-gray-700 hover:border-gray-600'
+                  : 'border-gray-100 hover:border-gray-300'
+            } ${correctOption ? 'border-green-500 bg-green-50 dark:bg-green-900/40 ring-1 ring-green-500' : ''}
+              ${wrongSelection ? 'border-red-500 bg-red-50 dark:bg-red-900/40' : ''}
+            `}
+          >
+            <div className="flex items-center gap-3 pr-2">
+              <div className={`flex-shrink-0 w-6 h-6 border-2 flex items-center justify-center ${isMultiple ? 'rounded-md' : 'rounded-full'} ${
+                selected ? 'border-blue-500' : darkMode ? 'border-gray-600' : 'border-gray-300'
+              } ${correctOption ? 'border-green-500 bg-green-500' : ''}`}>
+                {correctOption ? (
+                  <CheckCircle2 className="text-white w-4 h-4" />
+                ) : selected ? (
+                  <div className={`w-2.5 h-2.5 bg-blue-500 ${isMultiple ? 'rounded-sm' : 'rounded-full'}`} />
+                ) : null}
+              </div>
+              <span className={`text-base ${darkMode ? 'text-gray-200' : 'text-gray-700'} ${correctOption ? 'font-semibold' : ''}`}>
+                <SmartText>{String(option)}</SmartText>
+              </span>
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+const ShortAnswer = ({ question, answer, onChange, onSubmit, showFeedback, correct, darkMode }) => (
+  <div className="space-y-2">
+    <label htmlFor="short-answer" className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+      Your answer
+    </label>
+    <input
+      id="short-answer"
+      type="text"
+      value={answer}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          onSubmit?.();
+        }
+      }}
+      disabled={showFeedback}
+      autoComplete="off"
+      className={`w-full px-4 py-3 rounded-xl border-2 outline-none focus:ring-2 focus:ring-blue-500 ${
+        darkMode ? 'bg-gray-700 text-gray-100' : 'bg-white text-gray-900'
+      } ${feedbackRowClass(showFeedback, correct, darkMode)}`}
+    />
+    {showFeedback && !correct && (
+      <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+        Accepted answer: <span className="font-semibold"><SmartText>{question.acceptedAnswers[0]}</SmartText></span>
+      </p>
+    )}
+  </div>
+);
+
+const OrderingList = ({ question, answer, onChange, showFeedback, darkMode }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const results = showFeedback ? getPartResults(question, answer) : [];
+
+  const move = (from, to) => {
+    if (showFeedback || to < 0 || to >= answer.length || from === to) return;
+    const next = [...answer];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+    setAnnouncement(`Moved "${question.items[item]}" to position ${to + 1} of ${answer.length}`);
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Put these in the right order. Drag them, or use the arrow buttons.
+      </p>
+      <ol className="space-y-2">
+        {answer.map((itemIndex, position) => (
+          <li
+            key={itemIndex}
+            draggable={!showFeedback}
+            onDragStart={() => setDragIndex(position)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex !== null) move(dragIndex, position);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+            className={`flex items-center gap-2 p-3 rounded-xl border-2 ${feedbackRowClass(showFeedback, results[position], darkMode)} ${
+              dragIndex === position ? 'opacity-50' : ''
+            }`}
+          >
+            {!showFeedback && <GripVertical size={16} className="text-gray-400 cursor-grab flex-shrink-0" aria-hidden="true" />}
+            <span className={`text-xs font-mono ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>{position + 1}.</span>
+            <span className={`flex-1 ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+              <SmartText>{question.items[itemIndex]}</SmartText>
+            </span>
+            {showFeedback ? (
+              <FeedbackIcon correct={results[position]} />
+            ) : (
+              <div className="flex flex-col">
+                <button
+                  onClick={() => move(position, position - 1)}
+                  disabled={position === 0}
+                  aria-label={`Move "${question.items[itemIndex]}" up`}
+                  className="p-0.5 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                >
+                  <ChevronUp size={16} />
+                </button>
+                <button
+                  onClick={() => move(position, position + 1)}
+                  disabled={position === answer.length - 1}
+                  aria-label={`Move "${question.items[itemIndex]}" down`}
+                  className="p-0.5 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                >
+                  <ChevronDown size={16} />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+      {showFeedback && results.some(result => !result) && (
+        <div className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          <p className="font-semibold mb-1">Correct order:</p>
+          <ol className="list-decimal pl-5 space-y-0.5">
+            {question.items.map(item => (
+              <li key={item}><SmartText>{item}</SmartText></li>
+            ))}
+          </ol>
+        </div>
+      )}
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+    </div>
+  );
+};
+
+const FillInBlanks = ({ question, answer, onChange, onSubmit, showFeedback, darkMode }) => {
+  const segments = splitCodeBlanks(question.code);
+  const results = showFeedback ? getPartResults(question, answer) : [];
+
+  const updateBlank = (index, value) => {
+    const next = [...answer];
+    next[index] = value;
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      <pre className={`p-4 rounded-xl text-sm font-mono overflow-x-auto whitespace-pre-wrap leading-loose ${
+        darkMode ? 'bg-gray-900 text-gray-200' : 'bg-gray-100 text-gray-800'
+      }`}>
+        <code>
+          {segments.map((segment, index) => (
+            <React.Fragment key={index}>
+              {segment}
+              {index < question.blanks.length && (
+                <input
+                  type="text"
+                  value={answer[index]}
+                  onChange={(e) => updateBlank(index, e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      onSubmit?.();
+                    }
+                  }}
+                  disabled={showFeedback}
+                  aria-label={`Blank ${index + 1} of ${question.blanks.length}`}
+                  autoComplete="off"
+                  spellCheck={false}
+                  size={Math.max(4, ...question.blanks[index].map(accepted => accepted.length + 1))}
+                  className={`mx-0.5 px-1 py-0.5 rounded border-2 font-mono text-sm outline-none focus:ring-2 focus:ring-blue-500 ${
+                    darkMode ? 'bg-gray-800 text-gray-100' : 'bg-white text-gray-900'
+                  } ${showFeedback
+                    ? results[index] ? 'border-green-500' : 'border-red-500'
+                    : darkMode ? 'border-gray-600' : 'border-gray-300'}`}
+                />
+              )}
+            </React.Fragment>
+          ))}
+        </code>
+      </pre>
+      {showFeedback && results.some(result => !result) && (
+        <ul className={`text-sm space-y-0.5 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          {question.blanks.map((accepted, index) => !results[index] && (
+            <li key={index}>
+              Blank {index + 1}: expected <code className="font-mono font-semibold">{accepted[0]}</code>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const MatchingPairs = ({ question, answer, onChange, showFeedback, darkMode }) => {
+  // Right-hand options are listed in a stable shuffled order
+  const rightOrder = shuffledIndexes(question.pairs.length, `${question.question}:matching`);
+  const results = showFeedback ? getPartResults(question, answer) : [];
+
+  const updateMatch = (leftIndex, value) => {
+    const next = [...answer];
+    next[leftIndex] = value === '' ? null : Number(value);
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Match each item on the left with its partner.</p>
+      {question.pairs.map((pair, leftIndex) => (
+        <div
+          key={leftIndex}
+          className={`flex flex-wrap items-center gap-2 p-3 rounded-xl border-2 ${feedbackRowClass(showFeedback, results[leftIndex], darkMode)}`}
+        >
+          <label htmlFor={`match-${leftIndex}`} className={`flex-1 min-w-[8rem] ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+            <SmartText>{pair.left}</SmartText>
+          </label>
+          <select
+            id={`match-${leftIndex}`}
+            value={answer[leftIndex] ?? ''}
+            onChange={(e) => updateMatch(leftIndex, e.target.value)}
+            disabled={showFeedback}
+            className={`flex-1 min-w-[8rem] px-2 py-1.5 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-blue-500 ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+            }`}
+          >
+            <option value="">Choose a match…</option>
+            {rightOrder.map(rightIndex => (
+              <option key={rightIndex} value={rightIndex}>{question.pairs[rightIndex].right}</option>
+            ))}
+          </select>
+          {showFeedback && <FeedbackIcon correct={results[leftIndex]} />}
+          {showFeedback && !results[leftIndex] && (
+            <p className={`w-full text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              Correct match: <SmartText>{pair.right}</SmartText>
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const QuestionInput = ({ question, answer, onChange, onSubmit, showFeedback, correct, darkMode }) => {
+  const props = { question, answer, onChange, onSubmit, showFeedback, correct, darkMode };
+
+  switch (question.type) {
+    case 'short_answer':
+      return <ShortAnswer {...props} />;
+    case 'ordering':
+      return <OrderingList {...props} />;
+    case 'fill_blank':
+      return <FillInBlanks {...props} />;
+    case 'matching':
+      return <MatchingPairs {...props} />;
+    default:
+      return <ChoiceOptions {...props} />;
+  }
+};
+
+export default QuestionInput;
@@ -1,21 +1,101 @@
-import React, { useState } from 'react';
-import { CheckCircle2, Circle, AlertCircle, ArrowRight, Trophy } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { CheckCircle2, Circle, AlertCircle, ArrowRight, Trophy, Lightbulb, History, RotateCcw, Repeat } from 'lucide-react';
 import SmartText from './SmartText';
+import { useSensory } from '../context/SensoryContext';
+import QuestionInput from './QuestionInput';
 import toast from 'react-hot-toast';
+import { attemptRatio, getBestAttempt } from '../utils/quizAttempts';
+import { formatTime } from '../utils/time';
+import { getInitialAnswer, isAnswerComplete, isAnswerCorrect } from '../utils/quizQuestions';
+import { XP_PER_CORRECT_ANSWER } from '../utils/gamification';
+
+// How many past attempts the history panel lists
+const HISTORY_LIMIT = 5;
+// A missed question comes back at the end of the session, up to this many tries in total
+const MAX_TRIES_PER_QUESTION = 3;
+
+/**
+ * QuizHistory - Best score and recent attempts for this lesson's quiz
+ */
+const QuizHistory = ({ attempts, darkMode }) => {
+  const [expanded, setExpanded] = useState(false);
+  const best = getBestAttempt(attempts);
+  if (!best) return null;
+
+  return (
+    <div className={`mb-6 p-3 rounded-xl border text-sm ${darkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-gray-50 border-gray-200'}`}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className={`w-full flex items-center justify-between gap-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}
+      >
+        <span className="flex items-center gap-2">
+          <History size={16} className="text-blue-500" />
+          Best: {best.score}/{best.total} ({Math.round(attemptRatio(best) * 100)}%)
+        </span>
+        <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {attempts.length} {attempts.length === 1 ? 'attempt' : 'attempts'}
+        </span>
+      </button>
+      {expanded && (
+        <ul className="mt-3 space-y-1">
+          {attempts.slice(0, HISTORY_LIMIT).map(attempt => (
+            <li
+              key={attempt.id}
+              className={`flex items-center justify-between gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+            >
+              <span>{new Date(attempt.completed_at).toLocaleString()}</span>
+              <span className="flex items-center gap-2">
+                {attempt.pending && <span className="text-orange-600 dark:text-orange-400">Offline</span>}
+                {attempt.duration_seconds != null && <span>{formatTime(attempt.duration_seconds)}</span>}
+                <span className="font-mono font-semibold">{attempt.score}/{attempt.total}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
 
 /**
  * QuizSystem Component
- * Features: Immediate feedback, Hint logic, XP reward display
+ * Features: Immediate feedback, Hint logic, XP reward display, attempt history,
+ * retry-until-mastery (missed questions are re-queued at the end) and "Retry quiz".
+ * Question types (single, multiple, true_false, short_answer, ordering, fill_blank,
+ * matching) are rendered by QuestionInput and graded by utils/quizQuestions.
+ * onComplete(score, attempt) receives the full attempt record
+ * (per-question answers, correctness, time taken, hints viewed, retries) for saving.
+ * The score only counts questions answered correctly on the first try.
+ * xpEarned is the XP the parent actually awarded (retakes only earn XP for improving).
  */
-const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
-  const [currentQuestion, setCurrentQuestion] = useState(0);
-  const [selectedAnswer, setSelectedAnswer] = useState(null);
+const QuizSystem = ({ questions = [], attempts = [], xpEarned = null, onComplete, darkMode }) => {
+  const { hideCelebrations } = useSensory();
+  // Question indexes still to ask; missed questions are appended again
+  const [queue, setQueue] = useState(() => questions.map((_, index) => index));
+  const [position, setPosition] = useState(0);
+  const [selectedAnswer, setSelectedAnswer] = useState(() => (questions[0] ? getInitialAnswer(questions[0]) : null));
   const [isCorrect, setIsCorrect] = useState(null);
   const [showFeedback, setShowFeedback] = useState(false);
   const [score, setScore] = useState(0);
   const [completed, setCompleted] = useState(false);
   const [finalScore, setFinalScore] = useState(0);
 
+  // Attempt tracking
+  const [answers, setAnswers] = useState([]);
+  const [showHint, setShowHint] = useState(false);
+  const attemptStartRef = useRef(null);
+  const questionStartRef = useRef(null);
+
+  useEffect(() => {
+    attemptStartRef.current = new Date();
+  }, []);
+
+  // Time each question from when it's shown (a re-queued question is timed again)
+  useEffect(() => {
+    questionStartRef.current = Date.now();
+  }, [position, completed]);
+
   // Fallback for empty questions array
   if (!questions || questions.length === 0) {
     return (
@@ -31,56 +111,100 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
     );
   }
 
-  const handleAnswerSelect = (index) => {
-    if (showFeedback) return;
-    setSelectedAnswer(index);
-  };
+  const currentQuestion = queue[position];
+  // While feedback shows, the answer just given is already in `answers`
+  const triesSoFar = answers.filter(a => a.question_index === currentQuestion).length - (showFeedback ? 1 : 0);
+  const isRetry = triesSoFar > 0;
 
   const checkAnswer = () => {
-    if (selectedAnswer === null) return;
-    
-    const correct = selectedAnswer === questions[currentQuestion].correctAnswer;
+    const question = questions[currentQuestion];
+    if (showFeedback || !isAnswerComplete(question, selectedAnswer)) return;
+
+    const correct = isAnswerCorrect(question, selectedAnswer);
     setIsCorrect(correct);
     setShowFeedback(true);
+    setAnswers(prev => [...prev, {
+      question_index: currentQuestion,
+      answer: selectedAnswer,
+      correct,
+      retry: isRetry,
+      time_taken_seconds: Math.round((Date.now() - questionStartRef.current) / 1000),
+      // A wrong answer reveals the hint in the feedback panel
+      hint_viewed: showHint || (!correct && Boolean(question.hint)),
+    }]);
     
     if (correct) {
-      setScore(prev => prev + 1);
-      toast.success('Great job!', { icon: '🌟', duration: 1500 });
+      if (!isRetry) setScore(prev => prev + 1);
+      if (!hideCelebrations) {
+        toast.success(isRetry ? 'You got it this time!' : 'Great job!', { icon: '🌟', duration: 1500 });
+      }
     } else {
+      if (triesSoFar + 1 < MAX_TRIES_PER_QUESTION) {
+        setQueue(prev => [...prev, currentQuestion]);
+      }
       toast.error('Not quite. Check the hint!', { duration: 2000 });
     }
   };
 
   const nextQuestion = () => {
-    if (currentQuestion + 1 < questions.length) {
-      setCurrentQuestion(prev => prev + 1);
-      setSelectedAnswer(null);
+    if (position + 1 < queue.length) {
+      setPosition(prev => prev + 1);
+      setSelectedAnswer(getInitialAnswer(questions[queue[position + 1]]));
       setShowFeedback(false);
       setIsCorrect(null);
+      setShowHint(false);
     } else {
       // checkAnswer() has already updated score before this function is called
       // (separate button clicks ensure state is updated), so score is current
       setFinalScore(score);
       setCompleted(true);
-      // Pass final score to parent component
+
+      const completedAt = new Date();
+      const attempt = {
+        score,
+        total: questions.length,
+        started_at: attemptStartRef.current.toISOString(),
+        completed_at: completedAt.toISOString(),
+        duration_seconds: Math.round((completedAt - attemptStartRef.current) / 1000),
+        answers,
+      };
+
+      // Pass final score and attempt record to parent component
       if (onComplete) {
-        onComplete(score);
+        onComplete(score, attempt);
       }
     }
   };
 
+  // Start a fresh attempt at the whole quiz
+  const retryQuiz = () => {
+    setQueue(questions.map((_, index) => index));
+    setPosition(0);
+    setSelectedAnswer(getInitialAnswer(questions[0]));
+    setIsCorrect(null);
+    setShowFeedback(false);
+    setShowHint(false);
+    setScore(0);
+    setAnswers([]);
+    setFinalScore(0);
+    setCompleted(false);
+    attemptStartRef.current = new Date();
+  };
+
   if (completed) {
     const totalQuestions = questions.length;
     const percentage = Math.round((finalScore / totalQuestions) * 100);
-    const xpEarned = finalScore * 10; // 10 XP per correct answer
+    const xp = xpEarned ?? finalScore * XP_PER_CORRECT_ANSWER;
     
     return (
       <div className={`text-center p-8 ${darkMode ? '' : ''}`}>
-        <div className={`inline-flex items-center justify-center w-20 h-20 rounded-full mb-4 ${
-          darkMode ? 'bg-yellow-900/30' : 'bg-yellow-100'
-        }`}>
-          <Trophy className={`w-10 h-10 ${darkMode ? 'text-yellow-500' : 'text-yellow-600'}`} />
-        </div>
+        {!hideCelebrations && (
+          <div className={`inline-flex items-center justify-center w-20 h-20 rounded-full mb-4 ${
+            darkMode ? 'bg-yellow-900/30' : 'bg-yellow-100'
+          }`}>
+            <Trophy className={`w-10 h-10 ${darkMode ? 'text-yellow-500' : 'text-yellow-600'}`} />
+          </div>
+        )}
         <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
           Checkpoint Complete!
         </h3>
@@ -100,23 +224,39 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
           <div className="flex items-center justify-center gap-2 mb-1">
             <span className="text-2xl">⭐</span>
             <span className={`text-xl font-bold ${darkMode ? 'text-yellow-400' : 'text-yellow-600'}`}>
-              +{xpEarned} XP
+              +{xp} XP
             </span>
           </div>
           <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-            Great job! Keep learning to earn more XP.
+            {xp > 0 ? 'Great job! Keep learning to earn more XP.' : 'Beat your best score to earn more XP.'}
           </p>
         </div>
 
         <p className={`mb-6 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
           You've successfully validated your learning for this section.
         </p>
-        <button
-          onClick={() => window.location.href = '/'}
-          className="w-full px-6 py-3 bg-blue-600 text-white rounded-xl font-bold hover:bg-blue-700 transition-shadow shadow-lg hover:shadow-blue-500/20"
-        >
-          Return to Dashboard
-        </button>
+        <div className="text-left">
+          <QuizHistory attempts={attempts} darkMode={darkMode} />
+        </div>
+        <div className="space-y-3">
+          <button
+            onClick={retryQuiz}
+            className={`w-full px-6 py-3 rounded-xl font-bold flex items-center justify-center gap-2 border-2 transition-colors ${
+              darkMode
+                ? 'border-gray-600 text-gray-200 hover:bg-gray-800'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <RotateCcw size={18} />
+            Retry Quiz
+          </button>
+          <button
+            onClick={() => window.location.href = '/'}
+            className="w-full px-6 py-3 bg-blue-600 text-white rounded-xl font-bold hover:bg-blue-700 transition-shadow shadow-lg hover:shadow-blue-500/20"
+          >
+            Return to Dashboard
+          </button>
+        </div>
       </div>
     );
   }
@@ -125,6 +265,9 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
 
   return (
     <div className="max-w-md mx-auto py-2">
+      {/* Previous Attempts */}
+      {position === 0 && !showFeedback && <QuizHistory attempts={attempts} darkMode={darkMode} />}
+
       {/* Progress Header */}
       <div className="mb-6">
         <div className="flex justify-between items-end mb-2">
@@ -132,7 +275,7 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
             Progress
           </span>
           <span className={`text-xs font-mono ${darkMode ? 'text-gray-400' : 'text-gray-400'}`}>
-            {currentQuestion + 1} / {questions.length}
+            {position + 1} / {queue.length}
           </span>
         </div>
         <div className={`w-full h-1.5 rounded-full overflow-hidden ${
@@ -140,60 +283,59 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
         }`}>
           <div 
             className="bg-blue-500 h-full transition-all duration-500" 
-            style={{ width: `${((currentQuestion + 1) / questions.length) * 100}%` }}
+            style={{ width: `${((position + 1) / queue.length) * 100}%` }}
           />
         </div>
+        {isRetry && (
+          <p className="mt-4 inline-flex items-center gap-1 text-xs font-semibold text-orange-600 dark:text-orange-400">
+            <Repeat size={14} />
+            Another try - you missed this one earlier
+          </p>
+        )}
         <h3 className={`text-xl font-bold mt-6 leading-tight ${darkMode ? 'text-white' : 'text-gray-900'}`}>
           <SmartText>{q.question}</SmartText>
         </h3>
       </div>
 
-      {/* Answer Options */}
-      <div className="space-y-3">
-        {q.options.map((option, index) => {
-          const isSelected = selectedAnswer === index;
-          const isCorrectOption = showFeedback && index === q.correctAnswer;
-          const isWrongSelection = showFeedback && isSelected && index !== q.correctAnswer;
+      {/* Answer Input */}
+      <QuestionInput
+        key={position}
+        question={q}
+        answer={selectedAnswer}
+        onChange={setSelectedAnswer}
+        onSubmit={checkAnswer}
+        showFeedback={showFeedback}
+        correct={isCorrect}
+        darkMode={darkMode}
+      />
 
-          return (
+      {/* Hint (opt-in before answering) */}
+      {!showFeedback && q.hint && (
+        <div className="mt-4">
+          {showHint ? (
+            <div className={`p-3 rounded-xl border text-sm flex items-start gap-2 ${
+              darkMode ? 'bg-yellow-900/20 border-yellow-800 text-yellow-200' : 'bg-yellow-50 border-yellow-200 text-yellow-900'
+            }`}>
+              <Lightbulb size={16} className="mt-0.5 flex-shrink-0" />
+              <SmartText>{q.hint}</SmartText>
+            </div>
+          ) : (
             <button
-              key={index}
-              onClick={() => handleAnswerSelect(index)}
-              disabled={showFeedback}
-              className={`w-full text-left p-4 rounded-xl border-2 transition-all flex items-center justify-between ${
-                isSelected 
-                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30' 
-                  : darkMode
-                    ? 'border-gray-700 hover:border-gray-600'
-                    : 'border-gray-100 hover:border-gray-300'
-              } ${isCorrectOption ? 'border-green-500 bg-green-50 dark:bg-green-900/40 ring-1 ring-green-500' : ''} 
-                ${isWrongSelection ? 'border-red-500 bg-red-50 dark:bg-red-900/40' : ''}
-              `}
+              onClick={() => setShowHint(true)}
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
             >
-              <div className="flex items-center gap-3 pr-2">
-                <div className={`flex-shrink-0 w-6 h-6 rounded-full border-2 flex items-center justify-center ${
-                  isSelected ? 'border-blue-500' : darkMode ? 'border-gray-600' : 'border-gray-300'
-                } ${isCorrectOption ? 'border-green-500 bg-green-500' : ''}`}>
-                  {isCorrectOption ? (
-                    <CheckCircle2 className="text-white w-4 h-4" />
-                  ) : isSelected ? (
-                    <div className="w-2.5 h-2.5 bg-blue-500 rounded-full" />
-                  ) : null}
-                </div>
-                <span className={`text-base ${darkMode ? 'text-gray-200' : 'text-gray-700'} ${isCorrectOption ? 'font-semibold' : ''}`}>
-                  <SmartText>{option}</SmartText>
-                </span>
-              </div>
+              <Lightbulb size={14} />
+              Need a hint?
             </button>
-          );
-        })}
-      </div>
+          )}
+        </div>
+      )}
 
       {/* Action Footer */}
       <div className="mt-8 min-h-[120px]">
         {!showFeedback ? (
           <button
-            disabled={selectedAnswer === null}
+            disabled={!isAnswerComplete(q, selectedAnswer)}
             onClick={checkAnswer}
             className="w-full py-4 bg-blue-600 text-white rounded-xl font-bold disabled:opacity-30 hover:bg-blue-700 transition-all shadow-md active:scale-95"
           >
@@ -216,6 +358,9 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
                 <p className="text-sm opacity-90 leading-relaxed">
                   <SmartText>{isCorrect ? q.successMessage : q.hint}</SmartText>
                 </p>
+                {!isCorrect && queue.indexOf(currentQuestion, position + 1) !== -1 && (
+                  <p className="text-xs mt-2 opacity-80">We'll come back to this one at the end.</p>
+                )}
               </div>
             </div>
             <button
@@ -226,7 +371,7 @@ const QuizSystem = ({ questions = [], onComplete, darkMode }) => {
                   : 'bg-gray-900 text-white hover:bg-black'
               }`}
             >
-              {currentQuestion + 1 < questions.length ? 'Next Question' : 'Finish Lesson'}
+              {position + 1 < queue.length ? 'Next Question' : 'Finish Lesson'}
               <ArrowRight size={18} />
             </button>
           </div>
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { AlertCircle } from 'lucide-react';
+import AuthLayout, { AuthField, AuthLink, AuthSubmitButton } from './AuthLayout';
+import api from '../api';
+import { getServerErrors } from '../utils/auth';
+
+/**
+ * ResetPassword Component - Landing page for the link in the password reset email
+ * (/reset-password?uid=...&token=...). Sets the new password, then sends the
+ * student to the login screen.
+ */
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const uid = searchParams.get('uid');
+  const token = searchParams.get('token');
+  const [isLoading, setIsLoading] = useState(false);
+  const [linkError, setLinkError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    formState: { errors },
+    setError,
+  } = useForm({ mode: 'onBlur', defaultValues: { password: '', confirmPassword: '' } });
+
+  const onSubmit = async ({ password }) => {
+    setIsLoading(true);
+    try {
+      await api.confirmPasswordReset({ uid, token, password });
+      toast.success('Password updated. Please log in with your new password.', { position: 'top-center', duration: 4000 });
+      navigate('/login', { replace: true });
+    } catch (err) {
+      console.error('Password reset failed:', err);
+      const { fieldErrors, message } = getServerErrors(
+        err,
+        ['new_password', 'token', 'uid'],
+        'Could not reset your password. Please try again.'
+      );
+      if (fieldErrors.new_password) {
+        setError('password', { type: 'server', message: fieldErrors.new_password });
+      }
+      if (fieldErrors.token || fieldErrors.uid) {
+        // The link itself is bad - a new password won't help
+        setLinkError(fieldErrors.token || fieldErrors.uid);
+      } else if (message) {
+        toast.error(message, { position: 'top-center', duration: 4000 });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const footer = <p>Remembered it? <AuthLink to="/login">Back to login</AuthLink></p>;
+
+  if (!uid || !token || linkError) {
+    return (
+      <AuthLayout heading="Reset link problem" footer={footer}>
+        <div role="alert" className="flex items-start gap-2 p-3 mb-4 rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm">
+          <AlertCircle size={18} className="shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{linkError || 'This reset link is incomplete. Please use the full link from the email.'}</span>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Reset links expire after a while. <AuthLink to="/forgot-password">Request a new one</AuthLink>
+        </p>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout heading="Choose a new password" footer={footer}>
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4" noValidate>
+        <AuthField
+          id="password"
+          label="New password"
+          type="password"
+          autoComplete="new-password"
+          placeholder="At least 8 characters"
+          error={errors.password}
+          registration={register('password', {
+            required: 'Password is required',
+            minLength: { value: 8, message: 'Password must be at least 8 characters' },
+          })}
+        />
+        <AuthField
+          id="confirmPassword"
+          label="Confirm new password"
+          type="password"
+          autoComplete="new-password"
+          placeholder="Type it again"
+          error={errors.confirmPassword}
+          registration={register('confirmPassword', {
+            required: 'Please confirm your password',
+            validate: (value) => value === getValues('password') || 'Passwords do not match',
+          })}
+        />
+        <AuthSubmitButton isLoading={isLoading} loadingLabel="Saving...">
+          Set new password
+        </AuthSubmitButton>
+      </form>
+    </AuthLayout>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, ArrowRight, CheckCircle2, AlertCircle, Lightbulb, Layers, Repeat } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSensory } from '../context/SensoryContext';
+import SmartText from './SmartText';
+import QuestionInput from './QuestionInput';
+import { getInitialAnswer, isAnswerComplete, isAnswerCorrect } from '../utils/quizQuestions';
+import { getDueCards, reviewCard } from '../utils/reviewDeck';
+
+// A missed card comes back at the end of the session, up to this many tries in total
+const MAX_TRIES_PER_CARD = 3;
+
+/**
+ * ReviewSession Component - Spaced-repetition review of quiz questions from every lesson
+ * Walks through the cards due today (utils/reviewDeck). The first answer to each card
+ * reschedules it (SM-2); missed cards are asked again at the end of the session.
+ */
+const ReviewSession = ({ user }) => {
+  const navigate = useNavigate();
+  const { darkMode, hideCelebrations } = useSensory();
+  const userId = user?.id;
+
+  const [queue, setQueue] = useState(() => getDueCards(userId));
+  const [position, setPosition] = useState(0);
+  const [answer, setAnswer] = useState(() => (queue[0] ? getInitialAnswer(queue[0].question) : null));
+  const [showFeedback, setShowFeedback] = useState(false);
+  const [isCorrect, setIsCorrect] = useState(null);
+  const [showHint, setShowHint] = useState(false);
+  const [tries, setTries] = useState({});
+  const [finished, setFinished] = useState(false);
+  const [firstTryCorrect, setFirstTryCorrect] = useState(0);
+
+  const card = queue[position];
+  const uniqueCards = new Set(queue.map(c => c.id)).size;
+
+  const checkAnswer = () => {
+    if (showFeedback || !card || !isAnswerComplete(card.question, answer)) return;
+
+    const correct = isAnswerCorrect(card.question, answer);
+    const previousTries = tries[card.id] || 0;
+    setIsCorrect(correct);
+    setShowFeedback(true);
+    setTries(prev => ({ ...prev, [card.id]: previousTries + 1 }));
+
+    // Only the first answer in a session counts towards the schedule
+    if (previousTries === 0) {
+      const quality = correct ? (showHint ? 3 : 5) : 1;
+      reviewCard(userId, card.id, quality);
+      if (correct) setFirstTryCorrect(prev => prev + 1);
+    }
+
+    if (correct) {
+      if (!hideCelebrations) toast.success('Great job!', { icon: '🌟', duration: 1500 });
+    } else {
+      if (previousTries + 1 < MAX_TRIES_PER_CARD) {
+        setQueue(prev => [...prev, card]);
+      }
+      toast.error('Not quite. Check the hint!', { duration: 2000 });
+    }
+  };
+
+  const nextCard = () => {
+    if (position + 1 >= queue.length) {
+      setFinished(true);
+      return;
+    }
+    setPosition(prev => prev + 1);
+    setAnswer(getInitialAnswer(queue[position + 1].question));
+    setShowFeedback(false);
+    setIsCorrect(null);
+    setShowHint(false);
+  };
+
+  return (
+    <div className={`min-h-screen p-6 transition-colors duration-300 ${darkMode ? 'bg-gray-900' : 'bg-gray-100'}`}>
+      <header className="max-w-2xl mx-auto flex justify-between items-center bg-white dark:bg-gray-800 shadow-sm rounded-xl p-4 mb-6">
+        <h1 className="text-xl font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
+          <Layers size={20} className="text-blue-500" />
+          <SmartText>Review</SmartText>
+        </h1>
+        <button
+          onClick={() => navigate('/')}
+          className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+        >
+          <ArrowLeft size={16} />
+          Dashboard
+        </button>
+      </header>
+
+      <main className="max-w-2xl mx-auto bg-white dark:bg-gray-800 shadow-sm rounded-xl p-6">
+        {queue.length === 0 || finished ? (
+          <div className="text-center py-8">
+            <CheckCircle2 className="w-12 h-12 mx-auto mb-4 text-green-500" />
+            <h2 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+              <SmartText>All caught up!</SmartText>
+            </h2>
+            <p className={`mb-6 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              {queue.length === 0
+                ? 'No cards are due today. Finish a lesson quiz to add more.'
+                : `You reviewed ${uniqueCards} ${uniqueCards === 1 ? 'card' : 'cards'} and got ${firstTryCorrect} right first time.`}
+            </p>
+            <button
+              onClick={() => navigate('/')}
+              className="px-6 py-3 bg-blue-600 text-white rounded-xl font-bold hover:bg-blue-700 transition-colors"
+            >
+              Return to Dashboard
+            </button>
+          </div>
+        ) : (
+          <div className="max-w-md mx-auto">
+            {/* Progress Header */}
+            <div className="mb-6">
+              <div className="flex justify-between items-end mb-2">
+                <span className="text-xs font-bold uppercase tracking-widest text-blue-500 truncate pr-2">
+                  {card.lessonTitle || 'Review'}
+                </span>
+                <span className="text-xs font-mono text-gray-400">
+                  {position + 1} / {queue.length}
+                </span>
+              </div>
+              <div className={`w-full h-1.5 rounded-full overflow-hidden ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                <div
+                  className="bg-blue-500 h-full transition-all duration-500"
+                  style={{ width: `${((position + 1) / queue.length) * 100}%` }}
+                />
+              </div>
+              {(tries[card.id] || 0) > (showFeedback ? 1 : 0) && (
+                <p className="mt-4 inline-flex items-center gap-1 text-xs font-semibold text-orange-600 dark:text-orange-400">
+                  <Repeat size={14} />
+                  Another try - you missed this one earlier
+                </p>
+              )}
+              <h2 className={`text-xl font-bold mt-6 leading-tight ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                <SmartText>{card.question.question}</SmartText>
+              </h2>
+            </div>
+
+            <QuestionInput
+              key={position}
+              question={card.question}
+              answer={answer}
+              onChange={setAnswer}
+              onSubmit={checkAnswer}
+              showFeedback={showFeedback}
+              correct={isCorrect}
+              darkMode={darkMode}
+            />
+
+            {/* Hint (opt-in before answering) */}
+            {!showFeedback && card.question.hint && (
+              <div className="mt-4">
+                {showHint ? (
+                  <div className={`p-3 rounded-xl border text-sm flex items-start gap-2 ${
+                    darkMode ? 'bg-yellow-900/20 border-yellow-800 text-yellow-200' : 'bg-yellow-50 border-yellow-200 text-yellow-900'
+                  }`}>
+                    <Lightbulb size={16} className="mt-0.5 flex-shrink-0" />
+                    <SmartText>{card.question.hint}</SmartText>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setShowHint(true)}
+                    className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    <Lightbulb size={14} />
+                    Need a hint?
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Action Footer */}
+            <div className="mt-8 min-h-[120px]">
+              {!showFeedback ? (
+                <button
+                  disabled={!isAnswerComplete(card.question, answer)}
+                  onClick={checkAnswer}
+                  className="w-full py-4 bg-blue-600 text-white rounded-xl font-bold disabled:opacity-30 hover:bg-blue-700 transition-all shadow-md active:scale-95"
+                >
+                  Check Answer
+                </button>
+              ) : (
+                <div className="space-y-4">
+                  <div className={`p-4 rounded-xl flex items-start gap-3 border ${
+                    isCorrect
+                      ? darkMode
+                        ? 'bg-green-900/20 border-green-800 text-green-300'
+                        : 'bg-green-50 border-green-200 text-green-800'
+                      : darkMode
+                        ? 'bg-orange-900/20 border-orange-800 text-orange-300'
+                        : 'bg-orange-50 border-orange-200 text-orange-800'
+                  }`}>
+                    {isCorrect ? <CheckCircle2 size={20} className="mt-0.5" /> : <AlertCircle size={20} className="mt-0.5" />}
+                    <div>
+                      <p className="text-sm font-bold mb-1">{isCorrect ? 'Correct!' : 'Try Again'}</p>
+                      <p className="text-sm opacity-90 leading-relaxed">
+                        <SmartText>{isCorrect ? card.question.successMessage : card.question.hint}</SmartText>
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={nextCard}
+                    className={`w-full py-4 rounded-xl font-bold flex items-center justify-center gap-2 transition-colors ${
+                      darkMode ? 'bg-gray-100 text-gray-900 hover:bg-white' : 'bg-gray-900 text-white hover:bg-black'
+                    }`}
+                  >
+                    {position + 1 < queue.length ? 'Next Card' : 'Finish Review'}
+                    <ArrowRight size={18} />
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ReviewSession;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { MailCheck } from 'lucide-react';
+import AuthLayout, { AuthField, AuthLink, AuthSubmitButton } from './AuthLayout';
+import api from '../api';
+import { EMAIL_PATTERN, getServerErrors } from '../utils/auth';
+
+/**
+ * SignupForm Component - Account registration
+ * After signing up the backend emails a verification link (handled by VerifyEmail),
+ * so this ends on a "check your inbox" screen with the option to resend it.
+ */
+const SignupForm = () => {
+  const location = useLocation();
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  const [registeredEmail, setRegisteredEmail] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    getValues,
+    formState: { errors },
+    setError,
+  } = useForm({
+    mode: 'onBlur',
+    defaultValues: {
+      username: '',
+      email: '',
+      password: '',
+      confirmPassword: '',
+    },
+  });
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+
+    try {
+      await api.register({ username: data.username.trim(), email: data.email.trim(), password: data.password });
+      setRegisteredEmail(data.email.trim());
+    } catch (err) {
+      console.error('Signup failed:', err);
+      const { fieldErrors, message } = getServerErrors(
+        err,
+        ['username', 'email', 'password'],
+        'Could not create your account. Please try again.'
+      );
+      Object.entries(fieldErrors).forEach(([field, fieldMessage]) => {
+        setError(field, { type: 'server', message: fieldMessage });
+      });
+      if (message) toast.error(message, { position: 'top-center', duration: 4000 });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setIsResending(true);
+    try {
+      await api.resendVerificationEmail(registeredEmail);
+      toast.success('Verification email sent again.', { position: 'top-center' });
+    } catch (err) {
+      console.error('Failed to resend verification email:', err);
+      const { message } = getServerErrors(err, [], 'Could not resend the email. Please try again later.');
+      toast.error(message, { position: 'top-center', duration: 4000 });
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  if (registeredEmail) {
+    return (
+      <AuthLayout
+        heading="Check your email"
+        footer={<p>Already verified? <AuthLink to="/login" state={location.state}>Log in</AuthLink></p>}
+      >
+        <div className="text-center space-y-4">
+          <MailCheck size={48} className="mx-auto text-blue-600 dark:text-blue-400" aria-hidden="true" />
+          <p className="text-gray-700 dark:text-gray-300">
+            We sent a verification link to <strong>{registeredEmail}</strong>.
+            Open it to activate your account, then log in.
+          </p>
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={isResending}
+            className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 underline disabled:opacity-50"
+          >
+            {isResending ? 'Sending...' : "Didn't get it? Send it again"}
+          </button>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout
+      heading="Create your account"
+      footer={<p>Already have an account? <AuthLink to="/login" state={location.state}>Log in</AuthLink></p>}
+    >
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4" noValidate>
+        <AuthField
+          id="username"
+          label="Username"
+          autoComplete="username"
+          placeholder="Choose a username"
+          error={errors.username}
+          registration={register('username', {
+            required: 'Username is required',
+            validate: (value) => !value.includes('@') || 'Usernames cannot contain @',
+          })}
+        />
+
+        <AuthField
+          id="email"
+          label="Email"
+          type="email"
+          autoComplete="email"
+          placeholder="you@example.com"
+          error={errors.email}
+          registration={register('email', {
+            required: 'Email is required',
+            pattern: { value: EMAIL_PATTERN, message: 'Invalid email address' },
+          })}
+        />
+
+        <AuthField
+          id="password"
+          label="Password"
+          type="password"
+          autoComplete="new-password"
+          placeholder="At least 8 characters"
+          error={errors.password}
+          registration={register('password', {
+            required: 'Password is required',
+            minLength: { value: 8, message: 'Password must be at least 8 characters' },
+          })}
+        />
+
+        <AuthField
+          id="confirmPassword"
+          label="Confirm password"
+          type="password"
+          autoComplete="new-password"
+          placeholder="Type it again"
+          error={errors.confirmPassword}
+          registration={register('confirmPassword', {
+            required: 'Please confirm your password',
+            validate: (value) => value === getValues('password') || 'Passwords do not match',
+          })}
+        />
+
+        <AuthSubmitButton isLoading={isLoading} loadingLabel="Creating account...">
+          Sign up
+        </AuthSubmitButton>
+      </form>
+    </AuthLayout>
+  );
+};
+
+export default SignupForm;
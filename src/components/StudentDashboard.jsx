@@ -1,16 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Sparkles, Moon, Volume2, Film, Loader2, Check, AlertCircle, Lightbulb, PlayCircle, CheckCircle, User, Type, BookOpen, TextIcon, Wind } from 'lucide-react';
+import { Sparkles, Moon, Volume2, Film, Loader2, Check, AlertCircle, Lightbulb, PlayCircle, CheckCircle, User, Type, BookOpen, TextIcon, Wind, Search, Layers, PartyPopper } from 'lucide-react';
 import { useSensory } from '../context/SensoryContext';
 import { ProfileSummarySkeleton, CourseListSkeleton } from './Skeleton';
 import SmartText from './SmartText';
 import TaskBreaker from './TaskBreaker';
 import FocusEngine from './FocusEngine';
 import ProgressInsights from './ProgressInsights';
+import BadgeShelf from './BadgeShelf';
+import OfflineIndicator from './OfflineIndicator';
 import CompanionSelector from './CompanionSelector';
 import CompanionWidget from './CompanionWidget';
 import ChatPanel from './ChatPanel';
 import api from '../api';
+import { DIFFICULTY_LEVELS, filterCourses, getCatalogTags } from '../utils/catalog';
+import { getCourseResumePoints } from '../utils/playbackPosition';
+import { getDueCards } from '../utils/reviewDeck';
+import { formatTime } from '../utils/time';
 
 // --- COMPONENT 1: SENSORY PANEL (Refactored - Stateless with Context) ---
 const SensoryPanel = () => {
@@ -21,6 +27,7 @@ const SensoryPanel = () => {
     dyslexicFont,
     bionicReading,
     fontSize,
+    hideCelebrations,
     savingStatus, 
     updatePreference 
   } = useSensory();
@@ -117,6 +124,19 @@ const SensoryPanel = () => {
           <span className="text-sm font-medium">Bionic Reading</span>
         </button>
         
+        {/* Celebrations Toggle */}
+        <button 
+          onClick={() => updatePreference('hide_celebrations', !hideCelebrations)}
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors duration-300 ${
+            hideCelebrations 
+              ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 border-blue-200 dark:border-blue-700' 
+              : 'bg-gray-50 dark:bg-gray-700 text-gray-500 dark:text-gray-400 border-gray-200 dark:border-gray-600'
+          }`}
+        >
+          <PartyPopper size={16} />
+          <span className="text-sm font-medium">Hide Celebrations</span>
+        </button>
+        
         {/* Font Size Selector */}
         <div className="flex items-center gap-1 px-2 py-1 rounded-lg border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 transition-colors duration-300">
           <TextIcon size={14} className="text-gray-500 dark:text-gray-400" />
@@ -247,26 +267,127 @@ const SmartTags = ({ tags = [] }) => {
   );
 };
 
+// --- REVIEW DECK: spaced-repetition cards due today ---
+const ReviewDue = ({ dueCount }) => {
+  const navigate = useNavigate();
+  if (dueCount === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-sm flex items-center justify-between gap-4 transition-colors duration-300">
+      <div className="flex items-center gap-3">
+        <div className="p-2 rounded-lg bg-blue-100 dark:bg-blue-900/40 text-blue-600 dark:text-blue-400">
+          <Layers size={20} />
+        </div>
+        <div>
+          <h2 className="font-bold text-gray-800 dark:text-gray-100">
+            <SmartText>{`${dueCount} ${dueCount === 1 ? 'card' : 'cards'} due today`}</SmartText>
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            <SmartText>A quick review of quiz questions from your lessons.</SmartText>
+          </p>
+        </div>
+      </div>
+      <button
+        onClick={() => navigate('/review')}
+        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors duration-300"
+      >
+        Start review
+      </button>
+    </div>
+  );
+};
+
 // --- MAIN DASHBOARD ---
-const LearningPath = ({ courses, isLoading, progressMap = {} }) => {
+const LearningPath = ({ courses, isLoading, progressMap = {}, resumePoints = {} }) => {
   const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [difficultyFilter, setDifficultyFilter] = useState('');
 
   if (isLoading) {
     return <CourseListSkeleton count={3} />;
   }
 
+  const catalogTags = getCatalogTags(courses || []);
+  const visibleCourses = filterCourses(courses || [], {
+    search,
+    tag: tagFilter,
+    difficulty: difficultyFilter,
+  });
+
+  const clearFilters = () => {
+    setSearch('');
+    setTagFilter('');
+    setDifficultyFilter('');
+  };
+
   return (
     <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm transition-colors duration-300">
       <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-4 transition-colors duration-300">
         <SmartText>Your Learning Path</SmartText>
       </h2>
 
-      {courses && courses.length > 0 ? (
+      {/* Catalog Filters */}
+      {courses && courses.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <div className="relative flex-1 min-w-[180px]">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 dark:text-gray-500" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search courses"
+              aria-label="Search courses"
+              className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 transition-colors duration-300"
+            />
+          </div>
+          {catalogTags.length > 0 && (
+            <select
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              aria-label="Filter by tag"
+              className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 transition-colors duration-300"
+            >
+              <option value="">All tags</option>
+              {catalogTags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={difficultyFilter}
+            onChange={(e) => setDifficultyFilter(e.target.value)}
+            aria-label="Filter by difficulty"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 capitalize transition-colors duration-300"
+          >
+            <option value="">Any difficulty</option>
+            {DIFFICULTY_LEVELS.map(level => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {courses && courses.length > 0 && visibleCourses.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+            <SmartText>No courses match your filters.</SmartText>
+          </p>
+          <button
+            onClick={clearFilters}
+            className="px-4 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            Clear filters
+          </button>
+        </div>
+      ) : courses && courses.length > 0 ? (
         <div className="space-y-4">
-          {courses.map((course) => {
+          {visibleCourses.map((course) => {
             const progress = progressMap[course.id] ?? course.progress ?? 0;
             const isComplete = progress >= 100;
-            const hasStarted = progress > 0;
+            // Deep-link to the saved video position (finished courses open from the start)
+            const resumePoint = isComplete ? null : resumePoints[course.id];
+            const hasStarted = progress > 0 || Boolean(resumePoint);
 
             return (
               <div
@@ -296,6 +417,11 @@ const LearningPath = ({ courses, isLoading, progressMap = {} }) => {
                             Completed
                           </span>
                         )}
+                        {course.difficulty && (
+                          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 capitalize">
+                            {course.difficulty}
+                          </span>
+                        )}
                       </div>
                       {course.description && (
                         <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5 transition-colors duration-300 line-clamp-1">
@@ -308,6 +434,7 @@ const LearningPath = ({ courses, isLoading, progressMap = {} }) => {
                         <div className="flex items-center justify-between mb-1">
                           <span className="text-xs text-gray-500 dark:text-gray-400">
                             {isComplete ? 'Complete' : hasStarted ? 'In Progress' : 'Not started'}
+                            {resumePoint && ` · stopped at ${formatTime(resumePoint.position)}`}
                           </span>
                           <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
                             {progress}%
@@ -329,7 +456,10 @@ const LearningPath = ({ courses, isLoading, progressMap = {} }) => {
 
                   {/* Action button */}
                   <button
-                    onClick={() => navigate(`/lesson/${course.id}`)}
+                    onClick={() => navigate(resumePoint
+                      ? `/course/${course.id}/lesson/${resumePoint.lessonId}?t=${Math.floor(resumePoint.position)}`
+                      : `/lesson/${course.id}`)}
+                    title={resumePoint ? `Continue from ${formatTime(resumePoint.position)}` : undefined}
                     className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm transition-colors duration-300 flex-shrink-0 ${
                       isComplete
                         ? 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
@@ -337,7 +467,7 @@ const LearningPath = ({ courses, isLoading, progressMap = {} }) => {
                     }`}
                   >
                     <PlayCircle size={16} />
-                    <SmartText>{isComplete ? 'Review' : hasStarted ? 'Resume' : 'Start'}</SmartText>
+                    <SmartText>{resumePoint ? 'Continue' : isComplete ? 'Review' : hasStarted ? 'Resume' : 'Start'}</SmartText>
                   </button>
                 </div>
               </div>
@@ -374,10 +504,20 @@ const StudentDashboard = ({
   const navigate = useNavigate();
   const studentName = user?.username || "Student";
   const [tasks, setTasks] = useState([]);
+  const [taskListVersion, setTaskListVersion] = useState(0);
   const [selectedCompanion, setSelectedCompanion] = useState(initialCompanion?.id || null);
   const [showCompanionSelector, setShowCompanionSelector] = useState(!initialCompanion);
+  // Follow companion changes made outside this dashboard (e.g. in another tab)
+  const [companionPropId, setCompanionPropId] = useState(initialCompanion?.id || null);
+  if ((initialCompanion?.id || null) !== companionPropId) {
+    setCompanionPropId(initialCompanion?.id || null);
+    setSelectedCompanion(initialCompanion?.id || null);
+    if (initialCompanion) setShowCompanionSelector(false);
+  }
   const [showChat, setShowChat] = useState(false);
   const [progressMap, setProgressMap] = useState({});
+  const [resumePoints, setResumePoints] = useState({});
+  const dueReviewCount = getDueCards(user?.id).length;
 
   const loadTasks = async () => {
     try {
@@ -389,32 +529,45 @@ const StudentDashboard = ({
     }
   };
 
-  const loadProgress = async () => {
-    try {
-      const data = await api.getProgress();
-      const list = Array.isArray(data) ? data : (data.results || []);
-      const map = {};
-      list.forEach((p) => {
-        const courseId = p.course_detail?.id ?? p.course;
-        if (courseId != null) map[courseId] = Math.round(p.completion_rate ?? 0);
-      });
-      setProgressMap(map);
-    } catch (error) {
-      console.error('Failed to load progress:', error);
-    }
-  };
-
   // Load tasks for FocusEngine and TaskBreaker coordination
   useEffect(() => {
     loadTasks();
-    loadProgress();
   }, []);
 
+  // Load course progress and resume points (re-runs once the user profile arrives)
+  useEffect(() => {
+    const loadProgress = async () => {
+      try {
+        const data = await api.getProgress();
+        const list = Array.isArray(data) ? data : (data.results || []);
+        const map = {};
+        list.forEach((p) => {
+          const courseId = p.course_detail?.id ?? p.course;
+          if (courseId != null) map[courseId] = Math.round(p.completion_rate ?? 0);
+        });
+        setProgressMap(map);
+        setResumePoints(getCourseResumePoints(user?.id, list));
+      } catch (error) {
+        console.error('Failed to load progress:', error);
+        // Locally saved positions still let the student continue offline
+        setResumePoints(getCourseResumePoints(user?.id));
+      }
+    };
+
+    loadProgress();
+  }, [user?.id]);
+
   // Callback to refresh tasks when TaskBreaker updates them
   const handleTasksChange = () => {
     loadTasks();
   };
 
+  // Steps finished from FocusEngine: TaskBreaker keeps its own list, so reload that too
+  const handleFocusTasksChange = () => {
+    loadTasks();
+    setTaskListVersion(version => version + 1);
+  };
+
   // Handle companion selection
   const handleCompanionSelect = (companion) => {
     setSelectedCompanion(companion.id);
@@ -451,6 +604,7 @@ const StudentDashboard = ({
           <SmartText>NVLP Student Dashboard</SmartText>
         </h1>
         <div className="flex items-center gap-4">
+          <OfflineIndicator />
           <div className="text-lg text-gray-500 dark:text-gray-400 transition-colors duration-300">
             <SmartText>Welcome, {studentName}</SmartText>
           </div>
@@ -476,6 +630,7 @@ const StudentDashboard = ({
         {/* LEFT SIDEBAR */}
         <div className="lg:col-span-1 flex flex-col gap-6">
            {isLoadingUser ? <ProfileSummarySkeleton /> : <ProfileSummary user={user} />}
+           {!isLoadingUser && <BadgeShelf key={user?.id} user={user} />}
            <SensoryPanel />
            <SmartTags tags={["Content Chunking", "Text-to-Speech", "Focus Mode"]} />
            {selectedCompanion && <CompanionWidget companion={selectedCompanion} onChatClick={handleChatClick} />}
@@ -485,14 +640,17 @@ const StudentDashboard = ({
         <div className="lg:col-span-3 flex flex-col gap-6">
            {/* Progress Insights - Dopamine Dashboard */}
            <ProgressInsights tasks={tasks} user={user} />
+
+           {/* Review Deck - spaced repetition across lessons */}
+           <ReviewDue dueCount={dueReviewCount} />
            
            {/* Focus Engine - Pomodoro Timer */}
-           <FocusEngine tasks={tasks} />
+           <FocusEngine tasks={tasks} user={user} onTasksChange={handleFocusTasksChange} />
            
-           <LearningPath courses={courses} isLoading={isLoadingCourses} progressMap={progressMap} />
+           <LearningPath courses={courses} isLoading={isLoadingCourses} progressMap={progressMap} resumePoints={resumePoints} />
            
            {/* Task Breaker - Executive Function Toolkit */}
-           <TaskBreaker onTasksChange={handleTasksChange} />
+           <TaskBreaker onTasksChange={handleTasksChange} user={user} refreshKey={taskListVersion} />
            
            <div className="bg-blue-600 dark:bg-blue-700 text-white p-6 rounded-xl shadow-lg flex items-center justify-between transition-colors duration-300">
               <div>
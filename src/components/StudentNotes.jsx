@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, Pencil, Trash2, Save, X, Loader2, CloudOff } from 'lucide-react';
+import SmartText from './SmartText';
+import api from '../api';
+import toast from 'react-hot-toast';
+import { useSensory } from '../context/SensoryContext';
+import { formatTime } from '../utils/time';
+
+/**
+ * StudentNotes Component - Personal notes for a lesson
+ * Features: Pin a note to the current video time, click a timestamp to seek,
+ * inline editing, offline caching (unsynced notes are badged)
+ */
+const StudentNotes = ({ userId, lessonId, currentTime = 0, onSeek, darkMode }) => {
+  const { reduceAnimations } = useSensory();
+  const [notes, setNotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // New note form
+  const [draft, setDraft] = useState('');
+  const [pinToTime, setPinToTime] = useState(true);
+
+  // Inline editing
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadNotes = async () => {
+      try {
+        setIsLoading(true);
+        const data = await api.getLessonNotes(userId, lessonId);
+        if (!cancelled) setNotes(data);
+      } catch (error) {
+        console.error('Failed to load notes:', error);
+        if (!cancelled) toast.error('Failed to load your notes');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    if (lessonId) {
+      loadNotes();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, lessonId]);
+
+  // Replace (or add) a note in local state, keeping timestamp order
+  const applySavedNote = (saved, previousId = saved.id) => {
+    setNotes(prev => [...prev.filter(n => n.id !== previousId && n.id !== saved.id), saved]
+      .sort((a, b) => (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity)));
+  };
+
+  const handleCreate = async (e) => {
+    e?.preventDefault();
+    const text = draft.trim();
+    if (!text || isSaving) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await api.saveLessonNote(userId, lessonId, {
+        text,
+        timestamp: pinToTime ? Math.floor(currentTime) : null,
+      });
+      applySavedNote(saved);
+      setDraft('');
+      if (saved.pending) {
+        toast('Saved offline. We\'ll sync it when you\'re back online.', { icon: '📴', duration: 3000 });
+      } else {
+        toast.success('Note saved', { duration: 1500, position: 'bottom-right' });
+      }
+    } catch (error) {
+      console.error('Failed to save note:', error);
+      toast.error(error.message || 'Failed to save note');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (note) => {
+    setEditingId(note.id);
+    setEditText(note.text);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditText('');
+  };
+
+  const handleUpdate = async (note) => {
+    const text = editText.trim();
+    if (!text) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await api.saveLessonNote(userId, lessonId, { ...note, text });
+      applySavedNote(saved, note.id);
+      cancelEditing();
+    } catch (error) {
+      console.error('Failed to update note:', error);
+      toast.error(error.message || 'Failed to update note');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (note) => {
+    // Optimistic removal
+    const previousNotes = notes;
+    setNotes(prev => prev.filter(n => n.id !== note.id));
+
+    try {
+      await api.deleteLessonNote(userId, lessonId, note.id);
+    } catch (error) {
+      console.error('Failed to delete note:', error);
+      setNotes(previousNotes);
+      toast.error(error.message || 'Failed to delete note');
+    }
+  };
+
+  // Ctrl/Cmd+Enter saves, like most note editors
+  const handleDraftKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      handleCreate(e);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Note Editor */}
+      <form onSubmit={handleCreate} className="space-y-2">
+        <label htmlFor="student-note" className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          Add a note
+        </label>
+        <textarea
+          id="student-note"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleDraftKeyDown}
+          rows={3}
+          placeholder="What do you want to remember?"
+          className={`w-full px-3 py-2 text-sm border rounded-lg resize-y focus:ring-2 focus:ring-blue-500 outline-none ${
+            darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+          }`}
+        />
+        <div className="flex items-center justify-between gap-2">
+          <label className={`flex items-center gap-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <input
+              type="checkbox"
+              checked={pinToTime}
+              onChange={(e) => setPinToTime(e.target.checked)}
+              className="rounded"
+            />
+            Pin to {formatTime(currentTime)}
+          </label>
+          <button
+            type="submit"
+            disabled={!draft.trim() || isSaving}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {isSaving ? <Loader2 size={14} className={reduceAnimations ? '' : 'animate-spin'} /> : <Save size={14} />}
+            Save
+          </button>
+        </div>
+      </form>
+
+      {/* Notes List */}
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 size={24} className={`text-blue-500 ${reduceAnimations ? '' : 'animate-spin'}`} />
+        </div>
+      ) : notes.length === 0 ? (
+        <p className={`text-sm text-center py-6 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          <SmartText>No notes yet. Jot down anything you want to come back to.</SmartText>
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {notes.map(note => (
+            <li
+              key={note.id}
+              className={`p-3 rounded-lg border ${darkMode ? 'border-gray-700 bg-gray-900/40' : 'border-gray-200 bg-gray-50'}`}
+            >
+              <div className="flex items-center justify-between gap-2 mb-1">
+                {note.timestamp != null ? (
+                  <button
+                    onClick={() => onSeek?.(note.timestamp)}
+                    className="flex items-center gap-1 text-xs font-mono text-blue-600 dark:text-blue-400 hover:underline"
+                    title="Jump to this moment"
+                  >
+                    <Clock size={12} />
+                    {formatTime(note.timestamp)}
+                  </button>
+                ) : (
+                  <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>General note</span>
+                )}
+                <div className="flex items-center gap-1">
+                  {note.pending && (
+                    <span className="flex items-center gap-1 text-xs text-orange-600 dark:text-orange-400" title="Not synced yet">
+                      <CloudOff size={12} />
+                      Offline
+                    </span>
+                  )}
+                  {editingId !== note.id && (
+                    <>
+                      <button
+                        onClick={() => startEditing(note)}
+                        aria-label="Edit note"
+                        className={`p-1 rounded ${darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`}
+                      >
+                        <Pencil size={14} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(note)}
+                        aria-label="Delete note"
+                        className={`p-1 rounded ${darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {editingId === note.id ? (
+                <div className="space-y-2">
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    rows={3}
+                    aria-label="Edit note text"
+                    className={`w-full px-3 py-2 text-sm border rounded-lg resize-y focus:ring-2 focus:ring-blue-500 outline-none ${
+                      darkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button
+                      onClick={cancelEditing}
+                      className={`flex items-center gap-1 px-2 py-1 rounded text-xs ${darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-200'}`}
+                    >
+                      <X size={12} />
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleUpdate(note)}
+                      disabled={!editText.trim() || isSaving}
+                      className="flex items-center gap-1 px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-40"
+                    >
+                      <Save size={12} />
+                      Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className={`text-sm whitespace-pre-wrap ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+                  <SmartText>{note.text}</SmartText>
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StudentNotes;
@@ -4,6 +4,8 @@ import api from '../api';
 import toast from 'react-hot-toast';
 import { useSensory } from '../context/SensoryContext';
 import SmartText from './SmartText';
+import { awardXp, XP_PER_TASK_COMPLETE, XP_PER_TASK_STEP, XP_SOURCES } from '../utils/gamification';
+import { MUTATIONS_SYNCED_EVENT } from '../sync/mutationQueue';
 
 /**
  * TaskBreaker Component - Executive Function Toolkit
@@ -14,9 +16,11 @@ import SmartText from './SmartText';
  * - Delete tasks
  * - Responsive UI with dark mode support
  * - Smart Tags integration (bionic reading, dyslexic font, font size)
+ * - XP for completed steps and tasks (once per step/task)
+ * - Works offline: changes are queued and the list reloads once they've synced
  */
-const TaskBreaker = ({ onTasksChange }) => {
-  const { reduceAnimations } = useSensory();
+const TaskBreaker = ({ onTasksChange, user, refreshKey = 0 }) => {
+  const { reduceAnimations, hideCelebrations } = useSensory();
   
   // State
   const [tasks, setTasks] = useState([]);
@@ -28,10 +32,21 @@ const TaskBreaker = ({ onTasksChange }) => {
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [newSteps, setNewSteps] = useState(['', '', '']); // Start with 3 empty steps
   
-  // Load tasks on mount
+  // Load tasks on mount, and again when the parent signals a change made elsewhere
+  // (e.g. a step marked done in FocusEngine)
   useEffect(() => {
     loadTasks();
-  }, []);
+  }, [refreshKey]);
+
+  // Tasks created offline get their real ids once the queued changes reach the backend
+  useEffect(() => {
+    const handleSynced = () => {
+      loadTasks();
+      if (onTasksChange) onTasksChange();
+    };
+    window.addEventListener(MUTATIONS_SYNCED_EVENT, handleSynced);
+    return () => window.removeEventListener(MUTATIONS_SYNCED_EVENT, handleSynced);
+  }, [onTasksChange]);
   
   const loadTasks = async () => {
     try {
@@ -83,7 +98,11 @@ const TaskBreaker = ({ onTasksChange }) => {
       setNewSteps(['', '', '']);
       setShowCreateForm(false);
       
-      toast.success('Task created successfully!');
+      if (newTask.pending) {
+        toast('Task saved offline. We\'ll sync it when you\'re back online.', { icon: '📴', duration: 3000 });
+      } else {
+        toast.success('Task created successfully!');
+      }
       
       // Notify parent component
       if (onTasksChange) onTasksChange();
@@ -110,7 +129,7 @@ const TaskBreaker = ({ onTasksChange }) => {
     setTasks(updatedTasks);
 
     // Toast for checking a step (not unchecking)
-    if (!currentStatus) {
+    if (!currentStatus && !hideCelebrations) {
       toast.success('Step done!', { duration: 1500, position: 'bottom-right', icon: '✓' });
     }
 
@@ -118,6 +137,16 @@ const TaskBreaker = ({ onTasksChange }) => {
       await api.updateTaskStep(taskId, stepId, !currentStatus);
 
       const task = updatedTasks.find(t => t.id === taskId);
+      if (!currentStatus) {
+        const step = task?.steps?.find(s => s.id === stepId);
+        awardXp(user?.id, {
+          source: XP_SOURCES.taskStep,
+          amount: XP_PER_TASK_STEP,
+          refId: `${taskId}:${stepId}`,
+          label: step?.step_description || 'Step done',
+        }, { celebrate: !hideCelebrations });
+      }
+
       const allStepsComplete = task?.steps && Array.isArray(task.steps) && task.steps.every(s => s.is_step_complete);
 
       if (allStepsComplete && !task.is_complete) {
@@ -125,11 +154,19 @@ const TaskBreaker = ({ onTasksChange }) => {
         setTasks(prevTasks => prevTasks.map(t =>
           t.id === taskId ? { ...t, is_complete: true } : t
         ));
-        toast.success('Task complete! Great work.', {
-          duration: 4000,
-          position: 'bottom-right',
-          icon: '🎉',
-        });
+        if (!hideCelebrations) {
+          toast.success('Task complete! Great work.', {
+            duration: 4000,
+            position: 'bottom-right',
+            icon: '🎉',
+          });
+        }
+        awardXp(user?.id, {
+          source: XP_SOURCES.taskComplete,
+          amount: XP_PER_TASK_COMPLETE,
+          refId: taskId,
+          label: task.main_task_title || 'Task complete',
+        }, { celebrate: !hideCelebrations });
       }
 
       if (onTasksChange) onTasksChange();
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { CheckCircle, Loader2, AlertCircle } from 'lucide-react';
+import { useSensory } from '../context/SensoryContext';
+import AuthLayout, { AuthField, AuthLink, AuthSubmitButton } from './AuthLayout';
+import api from '../api';
+import { EMAIL_PATTERN, getServerErrors } from '../utils/auth';
+
+/**
+ * VerifyEmail Component - Landing page for the link in the verification email
+ * (/verify-email?uid=...&token=...). Confirms the address on load; if the link is
+ * missing, expired or already used, the student can ask for a new one.
+ */
+const VerifyEmail = () => {
+  const { reduceAnimations } = useSensory();
+  const [searchParams] = useSearchParams();
+  const uid = searchParams.get('uid');
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'invalid'); // 'verifying' | 'verified' | 'invalid'
+  const [failureMessage, setFailureMessage] = useState(null);
+  const [isResending, setIsResending] = useState(false);
+  // Tokens are single-use, so don't send the same one twice (StrictMode runs effects twice)
+  const requestedTokenRef = useRef(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({ mode: 'onBlur', defaultValues: { email: '' } });
+
+  useEffect(() => {
+    if (!token || requestedTokenRef.current === token) return;
+    requestedTokenRef.current = token;
+
+    api.verifyEmail({ uid, token })
+      .then(() => setStatus('verified'))
+      .catch(err => {
+        console.error('Email verification failed:', err);
+        const { message } = getServerErrors(err, [], 'This verification link is invalid or has expired.');
+        setFailureMessage(message);
+        setStatus('invalid');
+      });
+  }, [uid, token]);
+
+  const onResend = async ({ email }) => {
+    setIsResending(true);
+    try {
+      await api.resendVerificationEmail(email.trim());
+      toast.success('If that account needs verifying, a new link is on its way.', { position: 'top-center', duration: 4000 });
+    } catch (err) {
+      console.error('Failed to resend verification email:', err);
+      const { message } = getServerErrors(err, [], 'Could not send a new link. Please try again later.');
+      toast.error(message, { position: 'top-center', duration: 4000 });
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  const loginFooter = <p>Ready to start? <AuthLink to="/login">Log in</AuthLink></p>;
+
+  if (status === 'verifying') {
+    return (
+      <AuthLayout heading="Verifying your email">
+        <div role="status" className="flex items-center justify-center gap-2 text-gray-600 dark:text-gray-300">
+          <Loader2 size={20} className={reduceAnimations ? '' : 'animate-spin'} aria-hidden="true" />
+          <span>Just a moment...</span>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  if (status === 'verified') {
+    return (
+      <AuthLayout heading="Email verified" footer={loginFooter}>
+        <div role="status" className="text-center space-y-3">
+          <CheckCircle size={48} className="mx-auto text-green-600 dark:text-green-400" aria-hidden="true" />
+          <p className="text-gray-700 dark:text-gray-300">Your account is ready. You can log in now.</p>
+        </div>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout heading="Verification link problem" footer={loginFooter}>
+      <div role="alert" className="flex items-start gap-2 p-3 mb-4 rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm">
+        <AlertCircle size={18} className="shrink-0 mt-0.5" aria-hidden="true" />
+        <span>{failureMessage || 'This verification link is incomplete. Please use the full link from the email.'}</span>
+      </div>
+
+      <form onSubmit={handleSubmit(onResend)} className="space-y-4" noValidate>
+        <AuthField
+          id="email"
+          label="Send a new link to"
+          type="email"
+          autoComplete="email"
+          placeholder="you@example.com"
+          error={errors.email}
+          registration={register('email', {
+            required: 'Email is required',
+            pattern: { value: EMAIL_PATTERN, message: 'Invalid email address' },
+          })}
+        />
+        <AuthSubmitButton isLoading={isResending} loadingLabel="Sending...">
+          Send new link
+        </AuthSubmitButton>
+      </form>
+    </AuthLayout>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Play,
+  Pause,
+  RotateCcw,
+  RotateCw,
+  Volume2,
+  VolumeX,
+  Captions,
+  CaptionsOff,
+  Keyboard,
+  X
+} from 'lucide-react';
+import { formatTime } from '../utils/time';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const SKIP_SECONDS = 10;
+const ARROW_SKIP_SECONDS = 5;
+const VOLUME_STEP = 0.1;
+
+const SHORTCUTS = [
+  { keys: ['Space', 'K'], description: 'Play / pause' },
+  { keys: ['J'], description: `Back ${SKIP_SECONDS} seconds` },
+  { keys: ['L'], description: `Forward ${SKIP_SECONDS} seconds` },
+  { keys: ['←', '→'], description: `Back / forward ${ARROW_SKIP_SECONDS} seconds` },
+  { keys: ['↑', '↓'], description: 'Volume up / down' },
+  { keys: ['M'], description: 'Mute / unmute' },
+  { keys: ['C'], description: 'Captions on / off' },
+  { keys: ['<', '>'], description: 'Slower / faster' },
+  { keys: ['?'], description: 'Show / hide this help' },
+];
+
+// Don't hijack keys while the student is typing (notes, transcript search, quiz answers)
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * VideoControls Component - Accessible control bar for LessonPlayer
+ * Features: Play/pause, ±10s skip, scrubber, playback rate (0.5x-2x), captions toggle,
+ * volume capped by lowAudio (via maxVolume), keyboard shortcuts with a help overlay
+ */
+const VideoControls = ({
+  playing,
+  currentTime,
+  duration,
+  playbackRate,
+  volume,
+  maxVolume = 1,
+  muted,
+  captionsOn,
+  hasCaptions,
+  disabled = false,
+  shortcutsEnabled = true,
+  onTogglePlay,
+  onSeek,
+  onSkip,
+  onPlaybackRateChange,
+  onVolumeChange,
+  onToggleMute,
+  onToggleCaptions,
+}) => {
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  const effectiveVolume = muted ? 0 : Math.min(volume, maxVolume);
+  const seekMax = Math.max(duration || 0, currentTime || 0);
+
+  // Global keyboard shortcuts
+  useEffect(() => {
+    if (!shortcutsEnabled) return;
+
+    const stepRate = (direction) => {
+      const index = PLAYBACK_RATES.indexOf(playbackRate);
+      const next = PLAYBACK_RATES[(index < 0 ? PLAYBACK_RATES.indexOf(1) : index) + direction];
+      if (next) onPlaybackRateChange(next);
+    };
+
+    const actions = {
+      ' ': onTogglePlay,
+      k: onTogglePlay,
+      j: () => onSkip(-SKIP_SECONDS),
+      l: () => onSkip(SKIP_SECONDS),
+      ArrowLeft: () => onSkip(-ARROW_SKIP_SECONDS),
+      ArrowRight: () => onSkip(ARROW_SKIP_SECONDS),
+      ArrowUp: () => onVolumeChange(Math.min(Math.min(volume, maxVolume) + VOLUME_STEP, maxVolume)),
+      ArrowDown: () => onVolumeChange(Math.max(Math.min(volume, maxVolume) - VOLUME_STEP, 0)),
+      m: onToggleMute,
+      c: hasCaptions ? onToggleCaptions : null,
+      '<': () => stepRate(-1),
+      '>': () => stepRate(1),
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+
+      if (e.key === '?') {
+        e.preventDefault();
+        setShowShortcuts(prev => !prev);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setShowShortcuts(false);
+        return;
+      }
+      // Space on a focused button should press that button, not toggle playback
+      if (e.key === ' ' && e.target instanceof Element && e.target.closest('button, a')) return;
+      if (disabled) return;
+
+      const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (action) {
+        e.preventDefault();
+        action();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [
+    shortcutsEnabled, disabled, playbackRate, volume, maxVolume, hasCaptions,
+    onTogglePlay, onSkip, onPlaybackRateChange, onVolumeChange, onToggleMute, onToggleCaptions,
+  ]);
+
+  const iconButtonClass = 'p-2 rounded-lg text-white hover:bg-gray-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="space-y-2">
+      {/* Scrubber */}
+      <div className="flex items-center gap-3">
+        <span className="text-xs font-mono text-gray-300 min-w-[40px]">{formatTime(currentTime)}</span>
+        <input
+          type="range"
+          min={0}
+          max={seekMax}
+          step={1}
+          value={Math.min(currentTime || 0, seekMax)}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          disabled={disabled || !seekMax}
+          aria-label="Seek"
+          aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
+          className="flex-1 accent-blue-500 cursor-pointer disabled:cursor-not-allowed"
+        />
+        <span className="text-xs font-mono text-gray-300 min-w-[40px] text-right">{formatTime(duration)}</span>
+      </div>
+
+      <div className="flex items-center gap-1 flex-wrap">
+        <button
+          onClick={() => onSkip(-SKIP_SECONDS)}
+          disabled={disabled}
+          aria-label={`Back ${SKIP_SECONDS} seconds`}
+          title={`Back ${SKIP_SECONDS} seconds (J)`}
+          className={iconButtonClass}
+        >
+          <RotateCcw size={18} />
+        </button>
+        <button
+          onClick={onTogglePlay}
+          disabled={disabled}
+          aria-label={playing ? 'Pause' : 'Play'}
+          title={`${playing ? 'Pause' : 'Play'} (K)`}
+          className="p-2 rounded-full bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          {playing ? <Pause size={20} /> : <Play size={20} />}
+        </button>
+        <button
+          onClick={() => onSkip(SKIP_SECONDS)}
+          disabled={disabled}
+          aria-label={`Forward ${SKIP_SECONDS} seconds`}
+          title={`Forward ${SKIP_SECONDS} seconds (L)`}
+          className={iconButtonClass}
+        >
+          <RotateCw size={18} />
+        </button>
+
+        {/* Volume */}
+        <button
+          onClick={onToggleMute}
+          disabled={disabled}
+          aria-label={muted ? 'Unmute' : 'Mute'}
+          aria-pressed={muted}
+          title={`${muted ? 'Unmute' : 'Mute'} (M)`}
+          className={`${iconButtonClass} ml-2`}
+        >
+          {muted || effectiveVolume === 0 ? <VolumeX size={18} /> : <Volume2 size={18} />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={maxVolume}
+          step={0.05}
+          value={effectiveVolume}
+          onChange={(e) => onVolumeChange(Number(e.target.value))}
+          disabled={disabled}
+          aria-label="Volume"
+          aria-valuetext={`${Math.round(effectiveVolume * 100)}%`}
+          className="w-24 accent-blue-500 cursor-pointer disabled:cursor-not-allowed"
+        />
+        {maxVolume < 1 && (
+          <span className="text-xs text-gray-400 ml-1" title="Volume is capped by your Low Audio preference">
+            Low audio
+          </span>
+        )}
+
+        <div className="ml-auto flex items-center gap-1">
+          <label htmlFor="playback-rate" className="sr-only">Playback speed</label>
+          <select
+            id="playback-rate"
+            value={playbackRate}
+            onChange={(e) => onPlaybackRateChange(Number(e.target.value))}
+            disabled={disabled}
+            title="Playback speed (< / >)"
+            className="bg-gray-700 text-white text-sm rounded-lg px-2 py-1.5 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-400 disabled:opacity-40"
+          >
+            {PLAYBACK_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}x</option>
+            ))}
+          </select>
+          <button
+            onClick={onToggleCaptions}
+            disabled={!hasCaptions}
+            aria-label="Captions"
+            aria-pressed={captionsOn}
+            title={hasCaptions ? `Captions ${captionsOn ? 'on' : 'off'} (C)` : 'No captions for this lesson'}
+            className={`${iconButtonClass} ${captionsOn ? 'bg-gray-700' : ''}`}
+          >
+            {captionsOn ? <Captions size={18} /> : <CaptionsOff size={18} />}
+          </button>
+          <button
+            onClick={() => setShowShortcuts(true)}
+            aria-label="Keyboard shortcuts"
+            title="Keyboard shortcuts (?)"
+            className={iconButtonClass}
+          >
+            <Keyboard size={18} />
+          </button>
+        </div>
+      </div>
+
+      {/* Shortcut Help Overlay */}
+      {showShortcuts && (
+        <div
+          className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-75"
+          onClick={() => setShowShortcuts(false)}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="shortcut-help-title"
+            onClick={(e) => e.stopPropagation()}
+            className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-xl max-w-md w-full"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 id="shortcut-help-title" className="text-xl font-bold text-gray-800 dark:text-gray-100">
+                Keyboard shortcuts
+              </h3>
+              <button
+                onClick={() => setShowShortcuts(false)}
+                aria-label="Close keyboard shortcuts"
+                autoFocus
+                className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+              >
+                <X size={18} />
+              </button>
+            </div>
+            <dl className="space-y-2">
+              {SHORTCUTS.map(shortcut => (
+                <div key={shortcut.description} className="flex items-center justify-between gap-4">
+                  <dt className="flex gap-1">
+                    {shortcut.keys.map(key => (
+                      <kbd
+                        key={key}
+                        className="min-w-[2rem] text-center px-2 py-0.5 text-xs font-mono rounded border border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+                      >
+                        {key}
+                      </kbd>
+                    ))}
+                  </dt>
+                  <dd className="text-sm text-gray-700 dark:text-gray-300">{shortcut.description}</dd>
+                </div>
+              ))}
+            </dl>
+            <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+              Shortcuts pause while you type in notes, search or quiz answers.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoControls;
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import api from '../api';
 import toast from 'react-hot-toast';
+import { TAB_MESSAGES, broadcastToTabs, subscribeToTabs } from '../sync/tabSync';
 
 const SensoryContext = createContext(null);
 
@@ -23,6 +24,9 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
   const [bionicReading, setBionicReading] = useState(false);
   const [fontSize, setFontSize] = useState('medium'); // 'small' | 'medium' | 'large'
   
+  // Gamification: hide XP/badge toasts and other celebration effects
+  const [hideCelebrations, setHideCelebrations] = useState(false);
+  
   // Saving status for user feedback
   const [savingStatus, setSavingStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
   
@@ -44,6 +48,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
     dyslexic_font: false,
     bionic_reading: false,
     font_size: 'medium',
+    hide_celebrations: false,
   });
   
   // Smart Tag function for Bionic Reading
@@ -170,6 +175,18 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
     };
   }, [lowAudio]);
 
+  // Set every preference from a snake_case snapshot (no backend save)
+  const applyPreferences = useCallback((newPrefs) => {
+    setDarkMode(newPrefs.dark_mode);
+    setLowAudio(newPrefs.low_audio);
+    setReduceAnimations(newPrefs.reduce_animations);
+    setDyslexicFont(newPrefs.dyslexic_font);
+    setBionicReading(newPrefs.bionic_reading);
+    setFontSize(newPrefs.font_size);
+    setHideCelebrations(newPrefs.hide_celebrations);
+    preferencesRef.current = { ...newPrefs };
+  }, []);
+
   // Initialize sensory preferences when user data is loaded
   // Only update if the preferences have actually changed to avoid overwriting optimistic updates
   useEffect(() => {
@@ -182,6 +199,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
         dyslexic_font: prefs.dyslexic_font || false,
         bionic_reading: prefs.bionic_reading || false,
         font_size: prefs.font_size || 'medium',
+        hide_celebrations: prefs.hide_celebrations || false,
       };
       
       // Only update state if the backend preferences differ from our current ref
@@ -192,7 +210,8 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
         preferencesRef.current.reduce_animations !== newPrefs.reduce_animations ||
         preferencesRef.current.dyslexic_font !== newPrefs.dyslexic_font ||
         preferencesRef.current.bionic_reading !== newPrefs.bionic_reading ||
-        preferencesRef.current.font_size !== newPrefs.font_size
+        preferencesRef.current.font_size !== newPrefs.font_size ||
+        preferencesRef.current.hide_celebrations !== newPrefs.hide_celebrations
       );
       
       console.log('🔍 User preferences effect triggered:', {
@@ -206,16 +225,19 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
       // Only update if there are no pending requests AND preferences actually changed
       if (pendingRequestsRef.current === 0 && prefsChanged) {
         console.log('📥 Initializing preferences from user data:', newPrefs);
-        setDarkMode(newPrefs.dark_mode);
-        setLowAudio(newPrefs.low_audio);
-        setReduceAnimations(newPrefs.reduce_animations);
-        setDyslexicFont(newPrefs.dyslexic_font);
-        setBionicReading(newPrefs.bionic_reading);
-        setFontSize(newPrefs.font_size);
-        preferencesRef.current = newPrefs;
+        applyPreferences(newPrefs);
       }
     }
-  }, [user]);
+  }, [user, applyPreferences]);
+
+  // Preferences saved in another tab - mirror them here (they're already on the backend)
+  useEffect(() => {
+    if (!user) return undefined;
+    return subscribeToTabs(TAB_MESSAGES.preferences, (prefs) => {
+      console.log('📥 Preferences changed in another tab:', prefs);
+      applyPreferences({ ...preferencesRef.current, ...prefs });
+    });
+  }, [user, applyPreferences]);
 
   // Reset preferences on logout (when user becomes null)
   useEffect(() => {
@@ -227,6 +249,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
       setDyslexicFont(false);
       setBionicReading(false);
       setFontSize('medium');
+      setHideCelebrations(false);
       preferencesRef.current = {
         dark_mode: false,
         low_audio: false,
@@ -234,6 +257,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
         dyslexic_font: false,
         bionic_reading: false,
         font_size: 'medium',
+        hide_celebrations: false,
       };
       setSavingStatus('idle');
       
@@ -309,6 +333,12 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
         console.log(`🔄 Setting fontSize state to: ${value}`);
         setFontSize(value);
         break;
+      case 'hide_celebrations':
+        previousValue = preferencesRef.current.hide_celebrations;
+        preferencesRef.current.hide_celebrations = value;
+        console.log(`🔄 Setting hideCelebrations state to: ${value}`);
+        setHideCelebrations(value);
+        break;
       default:
         console.warn(`Unknown preference: ${preference}`);
         setSavingStatus('idle');
@@ -327,6 +357,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
       await api.patchUserProfile({ preferences: currentPreferences });
 
       console.log(`✓ Saved ${preference} = ${value}`);
+      broadcastToTabs(TAB_MESSAGES.preferences, currentPreferences);
       
       // Decrement pending requests counter (guarded to prevent negative values)
       if (pendingRequestsRef.current > 0) {
@@ -369,6 +400,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
         
         // Show error toast
         toast.error('Session expired. Please login again.', {
+          id: 'session-expired', // Same toast App shows for the session-expired event
           duration: 4000,
           position: 'top-center',
         });
@@ -411,6 +443,9 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
           case 'font_size':
             setFontSize(previousValue);
             break;
+          case 'hide_celebrations':
+            setHideCelebrations(previousValue);
+            break;
         }
         
         // Show error feedback
@@ -460,6 +495,9 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
     // Add reduce-motion class to document root
     document.documentElement.classList.add('reduce-motion');
 
+    // Calm every open tab straight away, not just once the save succeeds
+    broadcastToTabs(TAB_MESSAGES.preferences, { ...preferencesRef.current });
+
     try {
       // Send single API call with all preferences
       await api.patchUserProfile({
@@ -493,6 +531,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
       setLowAudio(false);
       setReduceAnimations(false);
       document.documentElement.classList.remove('reduce-motion');
+      broadcastToTabs(TAB_MESSAGES.preferences, { ...preferencesRef.current });
       
       toast.error(err.message || 'Failed to activate safety mode', { 
         duration: 3000, 
@@ -512,6 +551,7 @@ export const SensoryProvider = ({ children, user, onAuthFailure }) => {
     dyslexicFont,
     bionicReading,
     fontSize,
+    hideCelebrations,
     savingStatus,
     updatePreference,
     smartTag,
@@ -0,0 +1,27 @@
+// Demo course catalog - only served when VITE_USE_DEMO_DATA=true
+// Keep ids in sync with src/fixtures/lessons.js
+export const DEMO_COURSES = [
+  {
+    id: 1,
+    title: 'Introduction to Python',
+    description: 'Learn Python programming fundamentals including variables, functions, and control flow.',
+    tags: ['python', 'programming'],
+    difficulty: 'beginner',
+  },
+  {
+    id: 2,
+    title: 'Web Development Basics',
+    description: 'Master the fundamentals of HTML, CSS, and JavaScript for web development.',
+    tags: ['html', 'css', 'javascript', 'web'],
+    difficulty: 'beginner',
+  },
+  {
+    id: 3,
+    title: 'Data Structures & Algorithms',
+    description: 'Explore fundamental data structures and algorithms with Big O notation analysis.',
+    tags: ['algorithms', 'computer science'],
+    difficulty: 'intermediate',
+  },
+];
+
+export default DEMO_COURSES;
@@ -0,0 +1,410 @@
+// Demo lesson table - only served when VITE_USE_DEMO_DATA=true
+// Keyed by course id (see src/fixtures/courses.js), in syllabus order.
+// Lesson id format: "lesson-{courseId}-{n}"
+export const DEMO_LESSONS = {
+  '1': [
+    {
+      id: 'lesson-1-1',
+      title: 'Introduction to Python',
+      videoUrl: 'https://www.youtube.com/watch?v=rfscVS0vtbw',
+      videoId: 'rfscVS0vtbw',
+      transcript: [
+        { time: 0, text: 'Welcome to this lesson on Python programming fundamentals.' },
+        { time: 5, text: 'Today we will explore variables, functions, and control flow in Python.' },
+        { time: 12, text: 'Let\'s start with variables. In Python, you can create variables simply by assigning values.' },
+        { time: 20, text: 'Python uses dynamic typing, so you don\'t need to declare variable types.' },
+        { time: 30, text: 'Functions in Python are defined using the def keyword.' },
+        { time: 38, text: 'Control flow in Python uses indentation instead of braces.' },
+        { time: 48, text: 'Practice is key to mastering Python. Try writing code every day!' },
+      ],
+      content: `
+# Introduction to Python
+
+## What are Variables?
+
+Variables in Python are dynamically typed. You can assign any value to a variable without declaring its type.
+
+### Key Concepts:
+- **Dynamic Typing**: No type declarations needed
+- **Assignment**: Use = to assign values
+- **Scope**: Variables are scoped to functions or modules
+
+## Functions
+
+Python functions are defined with the \`def\` keyword.
+
+### Benefits:
+- Code reusability
+- Better organization
+- Easier debugging
+
+## Practice Exercise
+
+Try creating a simple Python program that uses variables and functions to calculate the area of a rectangle.
+      `.trim(),
+      duration: 60,
+      questions: [
+        {
+          question: 'How do you create a variable in Python?',
+          options: [
+            'You must declare the type first (e.g., int x = 5)',
+            'Simply assign a value (e.g., x = 5)',
+            'Use the var keyword (e.g., var x = 5)',
+            'Variables are created automatically'
+          ],
+          correctAnswer: 1,
+          successMessage: 'Correct! Python uses dynamic typing - just assign a value!',
+          hint: 'In Python, you don\'t need to declare variable types. Just use the assignment operator =.'
+        },
+        {
+          question: 'What keyword is used to define a function in Python?',
+          options: [
+            'function',
+            'def',
+            'func',
+            'define'
+          ],
+          correctAnswer: 1,
+          successMessage: 'Great! The def keyword is used to define functions in Python.',
+          hint: 'Think about the keyword that comes before the function name in Python.'
+        },
+        {
+          question: 'How does Python indicate code blocks?',
+          options: [
+            'Using curly braces { }',
+            'Using square brackets [ ]',
+            'Using indentation',
+            'Using parentheses ( )'
+          ],
+          correctAnswer: 2,
+          successMessage: 'Exactly! Python uses indentation to define code blocks, which makes code more readable.',
+          hint: 'Python is known for its use of whitespace to structure code.'
+        }
+      ],
+    },
+    {
+      id: 'lesson-1-2',
+      title: 'Python Functions in Practice',
+      videoUrl: 'https://www.youtube.com/watch?v=rfscVS0vtbw',
+      videoId: 'rfscVS0vtbw',
+      // Inline WebVTT captions - parsed into the transcript by api.getLesson
+      captions: `WEBVTT
+
+00:00.000 --> 00:06.000
+In this lesson we put functions to work.
+
+00:06.000 --> 00:14.000
+A function takes inputs, called parameters,
+and can return a value.
+
+00:14.000 --> 00:22.000
+Use return to send a result back to the caller.
+
+00:22.000 --> 00:30.000
+Small functions that do one thing are easier to test and reuse.
+`,
+      content: `
+# Python Functions in Practice
+
+## Parameters and Return Values
+
+Functions receive **parameters** and send results back with \`return\`.
+
+### Tips:
+- Keep functions small
+- Give them descriptive names
+- Return values instead of printing them
+      `.trim(),
+      duration: 30,
+      questions: [
+        {
+          question: 'Which keyword sends a value back from a function?',
+          options: [
+            'yield',
+            'send',
+            'return',
+            'output'
+          ],
+          correctAnswer: 2,
+          successMessage: 'Correct! return hands the result back to the caller.',
+          hint: 'It is the same word used for "give back".'
+        },
+        {
+          type: 'multiple',
+          question: 'Which of these make a function easier to reuse?',
+          options: [
+            'Doing one thing',
+            'A descriptive name',
+            'Printing instead of returning',
+            'Returning a value'
+          ],
+          correctAnswers: [0, 1, 3],
+          successMessage: 'Exactly! Small, well-named functions that return values are easy to reuse.',
+          hint: 'Look back at the Tips list - there are three.'
+        },
+        {
+          type: 'true_false',
+          question: 'A function can only ever return a value once per call.',
+          correctAnswer: true,
+          successMessage: 'Right! The first return ends the call.',
+          hint: 'What happens to the rest of the function after return runs?'
+        },
+        {
+          type: 'short_answer',
+          question: 'Which keyword starts a function definition in Python?',
+          acceptedAnswers: ['def'],
+          successMessage: 'Correct! def starts every function definition.',
+          hint: 'It is short for "define".'
+        },
+        {
+          type: 'ordering',
+          question: 'Put the parts of calling a function in order.',
+          items: [
+            'Define the function with def',
+            'Call it with arguments',
+            'The body runs with those parameters',
+            'return sends the result back'
+          ],
+          successMessage: 'Nice sequencing!',
+          hint: 'A function has to exist before you can call it.'
+        },
+        {
+          type: 'fill_blank',
+          question: 'Complete the function so it returns the sum.',
+          code: '___ add(a, b):\n    ___ a + b',
+          blanks: ['def', 'return'],
+          successMessage: 'Perfect - that is a complete function.',
+          hint: 'One keyword defines the function, the other gives back the result.'
+        },
+        {
+          type: 'matching',
+          question: 'Match each term with what it means.',
+          pairs: [
+            { left: 'Parameter', right: 'A name for a value the function receives' },
+            { left: 'Argument', right: 'The value passed in when calling' },
+            { left: 'Return value', right: 'The result handed back to the caller' }
+          ],
+          successMessage: 'All matched!',
+          hint: 'Parameters live in the definition; arguments live in the call.'
+        }
+      ],
+    },
+  ],
+  '2': [
+    {
+      id: 'lesson-2-1',
+      title: 'Web Development Basics',
+      videoUrl: 'https://www.youtube.com/watch?v=kUMe1FH4CHE',
+      videoId: 'kUMe1FH4CHE',
+      transcript: [
+        { time: 0, text: 'Welcome to web development basics.' },
+        { time: 5, text: 'Today we\'ll learn about HTML, CSS, and JavaScript.' },
+        { time: 12, text: 'HTML provides the structure of a webpage.' },
+        { time: 20, text: 'CSS is used to style and layout web pages.' },
+        { time: 30, text: 'JavaScript adds interactivity to your websites.' },
+        { time: 38, text: 'Together, these three technologies form the foundation of web development.' },
+        { time: 48, text: 'Let\'s start building your first webpage!' },
+      ],
+      content: `
+# Web Development Basics
+
+## HTML - Structure
+
+HTML (HyperText Markup Language) provides the structure of your webpage.
+
+### Key Concepts:
+- **Tags**: HTML elements are created with tags
+- **Attributes**: Tags can have attributes
+- **Semantic HTML**: Use meaningful tags
+
+## CSS - Styling
+
+CSS (Cascading Style Sheets) controls the appearance of your webpage.
+
+### Benefits:
+- Separation of concerns
+- Consistent styling
+- Responsive design
+
+## JavaScript - Interactivity
+
+JavaScript makes your webpage interactive and dynamic.
+      `.trim(),
+      duration: 60,
+      questions: [
+        {
+          question: 'What does HTML stand for?',
+          options: [
+            'HyperText Markup Language',
+            'High Tech Modern Language',
+            'Home Tool Markup Language',
+            'Hyperlink Text Markup Language'
+          ],
+          correctAnswer: 0,
+          successMessage: 'Correct! HTML stands for HyperText Markup Language.',
+          hint: 'HTML is the standard markup language for creating web pages.'
+        },
+        {
+          question: 'What is the primary purpose of CSS?',
+          options: [
+            'To add interactivity to web pages',
+            'To structure web page content',
+            'To style and layout web pages',
+            'To store data on the server'
+          ],
+          correctAnswer: 2,
+          successMessage: 'Right! CSS is used to style and control the layout of web pages.',
+          hint: 'CSS controls how HTML elements are displayed on screen.'
+        }
+      ],
+    },
+    {
+      id: 'lesson-2-2',
+      title: 'Styling Your First Page',
+      videoUrl: 'https://www.youtube.com/watch?v=kUMe1FH4CHE',
+      videoId: 'kUMe1FH4CHE',
+      transcript: [
+        { time: 0, text: 'Now that we have structure, let\'s add some style.' },
+        { time: 6, text: 'CSS selectors choose which elements a rule applies to.' },
+        { time: 14, text: 'Properties like color and margin change how elements look.' },
+      ],
+      content: `
+# Styling Your First Page
+
+## Selectors
+
+A **selector** picks the elements a rule applies to, like \`p\` or \`.card\`.
+
+## Properties
+
+Properties such as \`color\` and \`margin\` control appearance and spacing.
+      `.trim(),
+      duration: 30,
+      questions: [
+        {
+          question: 'What does a CSS selector do?',
+          options: [
+            'Chooses which elements a rule applies to',
+            'Runs JavaScript on the page',
+            'Adds new HTML elements',
+            'Loads fonts from the server'
+          ],
+          correctAnswer: 0,
+          successMessage: 'Right! Selectors target the elements a rule styles.',
+          hint: 'Think about how CSS knows which elements to style.'
+        }
+      ],
+    },
+  ],
+  '3': [
+    {
+      id: 'lesson-3-1',
+      title: 'Data Structures & Algorithms',
+      videoUrl: 'https://www.youtube.com/watch?v=RBSGKlAvoiM',
+      videoId: 'RBSGKlAvoiM',
+      transcript: [
+        { time: 0, text: 'Welcome to data structures and algorithms.' },
+        { time: 5, text: 'Today we\'ll explore fundamental data structures like arrays and linked lists.' },
+        { time: 12, text: 'Data structures are ways of organizing and storing data.' },
+        { time: 20, text: 'Algorithms are step-by-step procedures for solving problems.' },
+        { time: 30, text: 'Understanding time and space complexity is crucial.' },
+        { time: 38, text: 'We\'ll learn about Big O notation to analyze algorithm efficiency.' },
+        { time: 48, text: 'Let\'s dive into arrays and their operations!' },
+      ],
+      content: `
+# Data Structures & Algorithms
+
+## What are Data Structures?
+
+Data structures are ways of organizing and storing data in computer memory.
+
+### Key Concepts:
+- **Arrays**: Ordered collections of elements
+- **Linked Lists**: Dynamic data structures
+- **Trees**: Hierarchical data organization
+
+## Algorithms
+
+Algorithms are step-by-step procedures for solving problems.
+
+### Benefits:
+- Problem-solving skills
+- Efficient code
+- Better understanding of computer science
+
+## Big O Notation
+
+Big O notation describes the time and space complexity of algorithms.
+      `.trim(),
+      duration: 60,
+      questions: [
+        {
+          question: 'What is a data structure?',
+          options: [
+            'A programming language',
+            'A way of organizing and storing data',
+            'A type of algorithm',
+            'A computer hardware component'
+          ],
+          correctAnswer: 1,
+          successMessage: 'Correct! Data structures are ways of organizing and storing data in computer memory.',
+          hint: 'Data structures help organize information efficiently.'
+        },
+        {
+          question: 'What does Big O notation describe?',
+          options: [
+            'The size of data structures',
+            'The time and space complexity of algorithms',
+            'The number of variables in a program',
+            'The speed of a computer processor'
+          ],
+          correctAnswer: 1,
+          successMessage: 'Exactly! Big O notation describes how algorithm performance scales with input size.',
+          hint: 'Big O notation helps analyze algorithm efficiency.'
+        }
+      ],
+    },
+    {
+      id: 'lesson-3-2',
+      title: 'Arrays and Linked Lists',
+      videoUrl: 'https://www.youtube.com/watch?v=RBSGKlAvoiM',
+      videoId: 'RBSGKlAvoiM',
+      transcript: [
+        { time: 0, text: 'Let\'s compare arrays and linked lists.' },
+        { time: 6, text: 'Arrays store elements next to each other in memory.' },
+        { time: 14, text: 'Linked lists connect elements with pointers.' },
+        { time: 22, text: 'Arrays are fast to index, linked lists are fast to insert.' },
+      ],
+      content: `
+# Arrays and Linked Lists
+
+## Arrays
+
+- **Indexing**: O(1)
+- **Insertion in the middle**: O(n)
+
+## Linked Lists
+
+- **Indexing**: O(n)
+- **Insertion at a known node**: O(1)
+      `.trim(),
+      duration: 30,
+      questions: [
+        {
+          question: 'Which structure gives O(1) access by index?',
+          options: [
+            'Linked list',
+            'Array',
+            'Both',
+            'Neither'
+          ],
+          correctAnswer: 1,
+          successMessage: 'Exactly! Arrays store elements contiguously, so indexing is constant time.',
+          hint: 'Think about which structure stores elements next to each other.'
+        }
+      ],
+    },
+  ],
+};
+
+export default DEMO_LESSONS;
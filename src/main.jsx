@@ -3,6 +3,9 @@ import { createRoot } from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './sync/serviceWorker'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
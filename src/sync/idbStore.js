@@ -0,0 +1,64 @@
+// Tiny promise wrapper around IndexedDB, used for data that has to survive reloads
+// and can outgrow localStorage (queued progress updates, the offline read cache and
+// queued mutations). One database, one object store per kind of record, keyed by string ids.
+
+const DB_NAME = 'nvlp';
+const DB_VERSION = 2;
+const STORES = ['progressQueue', 'offlineCache', 'mutationQueue'];
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach(store => {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store);
+          }
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version open in another tab; the next call here reopens
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a later call to try again (e.g. after private browsing restrictions lift)
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request inside a transaction and resolve with its result
+const run = async (store, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(store, mode).objectStore(store));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const idbGetAll = (store) => run(store, 'readonly', s => s.getAll());
+
+export const idbGet = (store, key) => run(store, 'readonly', s => s.get(key));
+
+export const idbSet = (store, key, value) => run(store, 'readwrite', s => s.put(value, key));
+
+export const idbDelete = (store, key) => run(store, 'readwrite', s => s.delete(key));
+
+export const idbClear = (store) => run(store, 'readwrite', s => s.clear());
@@ -0,0 +1,228 @@
+// Mutation queue - writes made while offline (task and timer changes), kept in IndexedDB
+// and replayed in order once the connection is back. api.js decides what gets queued and
+// provides the function that sends an entry (see configureMutationQueue).
+// Records created offline get `local-` ids. Once their create request has been replayed,
+// later queued requests are rewritten to use the ids the backend assigned.
+//
+// Entry: { id, seq, method, url, data, localIds: { [localId]: 'path.to.id' }, queuedAt }
+
+import { idbClear, idbDelete, idbGetAll, idbSet } from './idbStore';
+
+const STORE = 'mutationQueue';
+
+// Retry this often while the backend stays unreachable (the online event may never fire)
+const RETRY_MS = 30000;
+
+// Queue size or sync state changed - detail: { pending, syncing }
+export const MUTATION_QUEUE_EVENT = 'nvlp:mutation-queue';
+// A replay finished - detail: { sent, dropped }
+export const MUTATIONS_SYNCED_EVENT = 'nvlp:mutations-synced';
+
+let queue = [];
+let lastSeq = 0;
+let syncing = false;
+let inFlightId = null;
+let send = null;
+let retryTimer = null;
+let initPromise = null;
+// local id -> backend id, for requests queued with an id that has since been synced
+const resolvedIds = new Map();
+
+export const createLocalId = (kind) => `local-${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith('local-');
+
+export const getMutationQueueStatus = () => ({ pending: queue.length, syncing });
+
+const notify = () => {
+  window.dispatchEvent(new CustomEvent(MUTATION_QUEUE_EVENT, { detail: getMutationQueueStatus() }));
+};
+
+// Increasing across reloads, so restored and new entries keep their order
+const nextSeq = () => {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  return lastSeq;
+};
+
+const persist = (entry) => {
+  idbSet(STORE, entry.id, entry).catch(error => {
+    console.warn('Mutation queue: could not persist change, keeping it in memory only', error);
+  });
+};
+
+const forget = (entry) => {
+  idbDelete(STORE, entry.id).catch(() => {});
+};
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+// Swap an id everywhere it appears in an entry's url and body
+const replaceId = (entry, localId, realId) => {
+  if (!entry.url.includes(localId) && !JSON.stringify(entry.data ?? null).includes(`"${localId}"`)) {
+    return entry;
+  }
+  return {
+    ...entry,
+    url: entry.url.split(localId).join(String(realId)),
+    data: entry.data === undefined
+      ? undefined
+      : JSON.parse(JSON.stringify(entry.data).split(`"${localId}"`).join(JSON.stringify(realId))),
+  };
+};
+
+const load = () => {
+  if (!initPromise) {
+    initPromise = (async () => {
+      try {
+        const saved = await idbGetAll(STORE);
+        // Keep anything queued while we were reading
+        queue = [...saved, ...queue.filter(entry => !saved.some(s => s.id === entry.id))]
+          .sort((a, b) => a.seq - b.seq);
+        lastSeq = Math.max(lastSeq, ...queue.map(entry => entry.seq));
+      } catch (error) {
+        console.warn('Mutation queue: IndexedDB unavailable, offline changes will not survive a reload', error);
+      }
+      notify();
+    })();
+  }
+  return initPromise;
+};
+
+const scheduleRetry = () => {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    replayMutations();
+  }, RETRY_MS);
+};
+
+/**
+ * Hook the queue up to the backend: send(entry) performs the request and resolves with
+ * the response body. Replays whatever is left from a previous visit and again whenever
+ * the browser comes back online.
+ */
+export const configureMutationQueue = (sender) => {
+  send = sender;
+  window.addEventListener('online', () => replayMutations());
+  load().then(() => {
+    if (navigator.onLine) replayMutations();
+  });
+};
+
+/**
+ * Queue a request for later. mutation shape: { method, url, data?, localIds? } where
+ * localIds maps ids created offline (in this request) to where the real id will be found
+ * in the response, e.g. { 'local-task-1': 'id', 'local-step-1': 'steps.0.id' }.
+ */
+export const queueMutation = async (mutation) => {
+  await load();
+
+  let entry = { ...mutation };
+  resolvedIds.forEach((realId, localId) => {
+    entry = replaceId(entry, localId, realId);
+  });
+
+  // Consecutive PATCHes to the same record collapse into one request
+  const last = queue[queue.length - 1];
+  if (entry.method === 'patch' && last?.method === 'patch' && last.url === entry.url && last.id !== inFlightId) {
+    const merged = { ...last, data: { ...last.data, ...entry.data } };
+    queue = [...queue.slice(0, -1), merged];
+    persist(merged);
+  } else {
+    const queued = { ...entry, id: createLocalId('mutation'), seq: nextSeq(), queuedAt: new Date().toISOString() };
+    queue = [...queue, queued];
+    persist(queued);
+  }
+  notify();
+};
+
+// Drop every queued request about a record that only ever existed offline (e.g. it was deleted)
+export const discardQueuedMutations = async (localId) => {
+  await load();
+  const [dropped, kept] = queue.reduce(([d, k], entry) => (
+    entry.url.includes(localId) || entry.localIds?.[localId] ? [[...d, entry], k] : [d, [...k, entry]]
+  ), [[], []]);
+
+  if (dropped.length === 0) return;
+  queue = kept;
+  dropped.forEach(forget);
+  notify();
+};
+
+// Send queued requests oldest first. Stops (keeping the rest) when we're offline again
+// or signed out; requests the backend rejects are dropped.
+export const replayMutations = async () => {
+  await load();
+  if (syncing || !send || queue.length === 0) return;
+
+  syncing = true;
+  notify();
+  let sent = 0;
+  let dropped = 0;
+
+  try {
+    while (queue.length > 0) {
+      const entry = queue[0];
+      inFlightId = entry.id;
+
+      try {
+        const data = await send(entry);
+        sent += 1;
+
+        // Point later requests at the ids the backend just assigned
+        Object.entries(entry.localIds || {}).forEach(([localId, path]) => {
+          const realId = getPath(data, path);
+          if (realId == null) return;
+          resolvedIds.set(localId, realId);
+          queue = queue.map(other => {
+            if (other === entry) return other;
+            const updated = replaceId(other, localId, realId);
+            if (updated !== other) persist(updated);
+            return updated;
+          });
+        });
+      } catch (error) {
+        if (error.status === 0) {
+          console.warn(`Mutation queue: still offline, retrying in ${RETRY_MS / 1000}s`);
+          scheduleRetry();
+          return;
+        }
+        if (error.status === 401) {
+          console.warn('Mutation queue: not signed in, keeping changes for later');
+          return;
+        }
+        // A 404 on an update/delete means the record is already gone - nothing lost
+        if (!(error.status === 404 && entry.method !== 'post')) {
+          console.error('Mutation queue: dropping change the server rejected:', error, entry);
+          dropped += 1;
+        }
+      } finally {
+        inFlightId = null;
+      }
+
+      queue = queue.filter(other => other.id !== entry.id);
+      forget(entry);
+      notify();
+    }
+  } finally {
+    syncing = false;
+    notify();
+    if (sent > 0 || dropped > 0) {
+      window.dispatchEvent(new CustomEvent(MUTATIONS_SYNCED_EVENT, { detail: { sent, dropped } }));
+    }
+  }
+};
+
+// Forget every queued change (logout - they belong to the previous account)
+export const clearMutationQueue = async () => {
+  await load();
+  if (queue.length > 0) {
+    console.warn(`Mutation queue: discarding ${queue.length} unsynced change(s) on logout`);
+  }
+  queue = [];
+  resolvedIds.clear();
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  await idbClear(STORE).catch(() => {});
+  notify();
+};
@@ -0,0 +1,55 @@
+// Offline read cache - the last good copy of backend data (profile, courses, lessons,
+// tasks, timer, progress) kept in IndexedDB. Reads go to the network first; when that
+// fails with a network error (status 0) the cached copy is served instead, so the app
+// stays usable on a flaky connection. Cleared on logout.
+
+import { idbClear, idbGet, idbSet } from './idbStore';
+
+const STORE = 'offlineCache';
+
+export const readOfflineCache = async (key) => {
+  try {
+    return await idbGet(STORE, key);
+  } catch {
+    return undefined;
+  }
+};
+
+export const writeOfflineCache = async (key, value) => {
+  try {
+    await idbSet(STORE, key, value);
+  } catch (error) {
+    console.warn('Offline cache: could not save', key, error);
+  }
+};
+
+// Apply update(cached) to a cached entry (skipped when nothing is cached yet)
+export const updateOfflineCache = async (key, update) => {
+  const cached = await readOfflineCache(key);
+  if (cached === undefined) return undefined;
+  const next = update(cached);
+  await writeOfflineCache(key, next);
+  return next;
+};
+
+export const clearOfflineCache = () => idbClear(STORE).catch(() => {});
+
+/**
+ * Run a read against the backend and cache the result under key. When the request
+ * fails because we're offline, resolve with the cached copy instead (or rethrow the
+ * network error if there isn't one). Other errors are always rethrown.
+ */
+export const withOfflineCache = async (key, fetcher) => {
+  try {
+    const data = await fetcher();
+    writeOfflineCache(key, data);
+    return data;
+  } catch (error) {
+    if (error.status !== 0) throw error;
+
+    const cached = await readOfflineCache(key);
+    if (cached === undefined) throw error;
+    console.warn(`⚠️ Offline - serving cached ${key}`);
+    return cached;
+  }
+};
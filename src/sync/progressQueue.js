@@ -0,0 +1,179 @@
+// Progress sync queue - the only way LessonPlayer writes course progress.
+// Updates for the same course are merged and sent together after a short delay,
+// upserting the existing progress record (PATCH) instead of POSTing a new one.
+// Failed sends are retried with exponential backoff, unsent updates are kept in
+// IndexedDB across reloads, and whatever is left goes out in keepalive requests on pagehide.
+
+import api from '../api';
+import { idbClear, idbDelete, idbGetAll, idbSet } from './idbStore';
+
+const STORE = 'progressQueue';
+
+// Wait this long after an update so bursts (position + coverage + engagement) go together
+const BATCH_DELAY_MS = 5000;
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+// courseId -> { courseId, fields, queuedAt }
+const pending = new Map();
+// courseId -> progress record id, so repeat flushes can PATCH without looking it up
+const progressIds = new Map();
+// Entries already sent on pagehide (sent again only if they change)
+const sentOnExit = new WeakSet();
+
+let flushTimer = null;
+let retryDelay = 0;
+let flushing = null;
+let initPromise = null;
+// Bumped by clearProgressQueue so a flush already in flight stops sending
+let generation = 0;
+
+// Offline, timeouts, rate limits and server errors are worth retrying; other 4xx are not
+const isRetryable = (error) =>
+  error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
+
+const scheduleFlush = (delay) => {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushProgressQueue();
+  }, delay);
+};
+
+const persist = (entry) => {
+  idbSet(STORE, entry.courseId, entry).catch(error => {
+    console.warn('Progress queue: could not persist update, keeping it in memory only', error);
+  });
+};
+
+const forget = (courseId) => {
+  idbDelete(STORE, courseId).catch(() => {});
+};
+
+// Restore updates left over from a previous visit and hook up online/pagehide (once)
+const init = () => {
+  if (!initPromise) {
+    initPromise = (async () => {
+      try {
+        const saved = await idbGetAll(STORE);
+        saved.forEach(entry => {
+          const current = pending.get(entry.courseId);
+          // Anything queued while we were reading is newer than the stored copy
+          pending.set(entry.courseId, current
+            ? { ...current, fields: { ...entry.fields, ...current.fields } }
+            : entry);
+        });
+      } catch (error) {
+        console.warn('Progress queue: IndexedDB unavailable, updates will not survive a reload', error);
+      }
+
+      window.addEventListener('online', () => flushProgressQueue());
+      window.addEventListener('pagehide', flushProgressQueueOnExit);
+      if (pending.size > 0) scheduleFlush(0);
+    })();
+  }
+  return initPromise;
+};
+
+/**
+ * Queue fields for a course's progress record (completion_rate, engagement_time,
+ * last_lesson, last_position, ...). Later fields overwrite earlier ones for the same course.
+ */
+export const queueProgressUpdate = (courseId, fields) => {
+  if (courseId == null) return;
+  const key = String(courseId);
+  const current = pending.get(key);
+  const entry = {
+    courseId: key,
+    fields: { ...current?.fields, ...fields },
+    queuedAt: current?.queuedAt ?? Date.now(),
+  };
+
+  pending.set(key, entry);
+  persist(entry);
+  init();
+
+  // While backing off, the retry timer already covers this update
+  if (!retryDelay) scheduleFlush(BATCH_DELAY_MS);
+};
+
+// Send everything that's queued now. Stops at the first retryable failure and backs off.
+export const flushProgressQueue = async () => {
+  await init();
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    const flushGeneration = generation;
+    for (const [key, entry] of [...pending]) {
+      if (generation !== flushGeneration) return;
+      try {
+        const record = await api.upsertProgress(key, entry.fields, progressIds.get(key));
+        if (generation !== flushGeneration) return;
+        if (record?.id != null) progressIds.set(key, record.id);
+        retryDelay = 0;
+
+        // Newer fields may have been queued while this request was in flight
+        if (pending.get(key) === entry) {
+          pending.delete(key);
+          forget(key);
+        }
+      } catch (error) {
+        if (error.status === 404 && progressIds.has(key)) {
+          // The record we remembered is gone - look it up (or create it) next time
+          progressIds.delete(key);
+        } else if (error.status === 401) {
+          // Session is over: whoever signs in next mustn't inherit this student's progress
+          console.warn('Progress queue: not signed in, dropping queued updates');
+          clearProgressQueue();
+          return;
+        } else if (!isRetryable(error)) {
+          console.error('Progress queue: dropping update the server rejected:', error);
+          if (pending.get(key) === entry) {
+            pending.delete(key);
+            forget(key);
+          }
+          continue;
+        }
+
+        retryDelay = Math.min(retryDelay ? retryDelay * 2 : BASE_RETRY_MS, MAX_RETRY_MS);
+        console.warn(`Progress queue: sync failed, retrying in ${retryDelay / 1000}s`);
+        scheduleFlush(retryDelay);
+        return;
+      }
+    }
+  })();
+
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+// Forget every queued update and remembered record id (logout - they belong to that account)
+export const clearProgressQueue = () => {
+  generation++;
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  retryDelay = 0;
+  pending.clear();
+  progressIds.clear();
+  idbClear(STORE).catch(error => {
+    console.warn('Progress queue: could not clear stored updates', error);
+  });
+};
+
+/**
+ * Last-chance flush while the page is going away (pagehide), using keepalive
+ * requests that outlive the page. Only records whose id is already known can go -
+ * there's no time to look one up, and creating it blind could duplicate it. Entries
+ * stay queued (and in IndexedDB) until a normal flush confirms them; replaying the
+ * same update later is harmless.
+ */
+export const flushProgressQueueOnExit = () => {
+  pending.forEach((entry, key) => {
+    const progressId = progressIds.get(key);
+    if (progressId == null || sentOnExit.has(entry)) return;
+    if (api.patchProgressKeepalive(progressId, entry.fields)) sentOnExit.add(entry);
+  });
+};
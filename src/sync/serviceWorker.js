@@ -0,0 +1,12 @@
+// Registers public/sw.js, which caches the app shell and lesson assets for offline use.
+// Only in production builds: in dev it would serve stale modules over Vite's HMR.
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed - offline mode unavailable:', error);
+    });
+  });
+};
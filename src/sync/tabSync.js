@@ -0,0 +1,79 @@
+// Cross-tab sync - tells the student's other open tabs about changes they can't see
+// for themselves: logout/session expiry, saved sensory preferences and the FocusEngine
+// timer. Uses BroadcastChannel, falling back to storage events where it's missing.
+// A tab never receives its own messages.
+// (Plain localStorage keys such as nvlp_companion don't need this - the browser fires
+// `storage` events for those in other tabs already.)
+
+const CHANNEL_NAME = 'nvlp-tabs';
+// Fallback: each message is written to this key and removed straight away
+const STORAGE_KEY = 'nvlp_tab_message';
+
+export const TAB_MESSAGES = {
+  // { reason: 'logout' | 'expired' }
+  sessionEnded: 'session_ended',
+  // Snake_case preference snapshot, as sent to the backend
+  preferences: 'preferences',
+  // FocusEngine timer snapshot (see FocusEngine)
+  focusTimer: 'focus_timer',
+  // FocusEngine routine: { routineId, routineSettings }
+  focusRoutine: 'focus_routine',
+};
+
+// type -> Set of handlers
+const listeners = new Map();
+// BroadcastChannel, null when using the storage fallback, undefined until first use
+let channel;
+
+const deliver = (message) => {
+  listeners.get(message?.type)?.forEach(handler => {
+    try {
+      handler(message.payload);
+    } catch (error) {
+      console.error(`Tab sync: ${message.type} handler failed`, error);
+    }
+  });
+};
+
+const connect = () => {
+  if (channel !== undefined) return;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+  } else {
+    channel = null;
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY || !event.newValue) return;
+      try {
+        deliver(JSON.parse(event.newValue));
+      } catch {
+        // Not one of our messages
+      }
+    });
+  }
+};
+
+export const broadcastToTabs = (type, payload = null) => {
+  connect();
+  const message = { type, payload };
+
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Tab sync: could not notify other tabs', error);
+  }
+};
+
+// Listen for one type of message from other tabs. Returns the unsubscribe function.
+export const subscribeToTabs = (type, handler) => {
+  connect();
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  return () => listeners.get(type)?.delete(handler);
+};
@@ -0,0 +1,48 @@
+// Helpers shared by the auth screens (login, signup, verification, password reset)
+// and the route guards in components/ProtectedRoute.
+
+export const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+// Screens a student should never be sent "back" to after logging in
+const AUTH_PATHS = ['/login', '/signup', '/verify-email', '/forgot-password', '/reset-password'];
+
+/**
+ * Where to go after logging in: the page ProtectedRoute bounced the student from
+ * (kept in location state as `from`), or the dashboard.
+ */
+export const getRedirectPath = (state) => {
+  const from = state?.from;
+  if (!from?.pathname || AUTH_PATHS.includes(from.pathname)) return '/';
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+};
+
+// First message from a DRF field error (a string or a list of strings)
+const firstMessage = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Split a backend validation error into per-field messages (for react-hook-form's
+ * setError) and one general message for a toast (null when the field errors cover it).
+ * Returns { fieldErrors: { [field]: message }, message }.
+ */
+export const getServerErrors = (error, fields, fallback) => {
+  const fieldErrors = {};
+  if (error?.status === 400 && error.data && typeof error.data === 'object') {
+    fields.forEach(field => {
+      if (error.data[field]) fieldErrors[field] = firstMessage(error.data[field]);
+    });
+  }
+
+  let message = null;
+  if (error?.status === 0) {
+    message = 'You appear to be offline. Please check your connection and try again.';
+  } else if (error?.status === 429) {
+    message = 'Too many attempts. Please wait a moment and try again.';
+  } else if (error?.data?.non_field_errors) {
+    message = firstMessage(error.data.non_field_errors);
+  } else if (Object.keys(fieldErrors).length === 0) {
+    // Field errors speak for themselves; anything else needs a general message
+    message = error?.data?.detail || error?.data?.message || fallback;
+  }
+
+  return { fieldErrors, message };
+};
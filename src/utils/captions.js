@@ -0,0 +1,162 @@
+// Caption helpers - convert lesson transcripts ({ time, end?, text }) to
+// plain text, SubRip (SRT) and WebVTT.
+
+import { formatTime } from './time';
+
+// Fallback length for the last cue when the lesson duration is unknown
+const DEFAULT_CUE_SECONDS = 5;
+
+// Format seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+export const formatCueTimestamp = (seconds, separator = '.') => {
+  const totalMs = Math.max(0, Math.round(Number(seconds) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const mins = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+};
+
+// End time of a cue: explicit end, else the next cue's start, else the lesson end
+export const getCueEnd = (cues, index, duration) => {
+  const cue = cues[index];
+  if (Number.isFinite(cue.end) && cue.end > cue.time) return cue.end;
+
+  const next = cues[index + 1];
+  if (next) return next.time;
+
+  return Number.isFinite(duration) && duration > cue.time ? duration : cue.time + DEFAULT_CUE_SECONDS;
+};
+
+export const transcriptToText = (cues = []) =>
+  cues.map(cue => `[${formatTime(cue.time)}] ${cue.text}`).join('\n') + '\n';
+
+export const transcriptToSRT = (cues = [], duration) =>
+  cues
+    .map((cue, index) => [
+      String(index + 1),
+      `${formatCueTimestamp(cue.time, ',')} --> ${formatCueTimestamp(getCueEnd(cues, index, duration), ',')}`,
+      cue.text,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+
+export const transcriptToWebVTT = (cues = [], duration) =>
+  ['WEBVTT', '']
+    .concat(cues.map((cue, index) => [
+      `${formatCueTimestamp(cue.time)} --> ${formatCueTimestamp(getCueEnd(cues, index, duration))}`,
+      cue.text,
+      '',
+    ].join('\n')))
+    .join('\n');
+
+// --- Parsing -----------------------------------------------------------------
+
+// Matches "01:02:03.456", "02:03.456" and SRT's "01:02:03,456"
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/;
+const TIMING_LINE_PATTERN = /^(\S+)\s+-->\s+(\S+)(?:\s+.*)?$/;
+
+const parseCueTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', mins, secs, ms] = match;
+  return Number(hours) * 3600 + Number(mins) * 60 + Number(secs) + Number(ms.padEnd(3, '0')) / 1000;
+};
+
+// Strip WebVTT/SRT markup (<v Speaker>, <i>, <c.class>, {\an8}) and decode common entities
+const cleanCueText = (text) =>
+  text
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+
+export const detectCaptionFormat = (text) => {
+  const body = String(text || '').replace(/^\uFEFF/, '').trimStart();
+  if (body.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\r?\n\s*[\d:]+,\d{1,3}\s+-->/.test(body)) return 'srt';
+  return null;
+};
+
+/**
+ * Parse WebVTT or SRT caption text into transcript cues: [{ time, end, text }].
+ * Multi-line cues keep their line breaks. Throws
+ * { message, code: 'INVALID_CAPTIONS', details } when the file can't be read, so
+ * callers can surface the problem instead of showing an empty transcript.
+ */
+export const parseCaptions = (text) => {
+  const format = detectCaptionFormat(text);
+  if (!format) {
+    throw {
+      message: 'Captions are not valid WebVTT or SRT.',
+      code: 'INVALID_CAPTIONS',
+      details: ['expected a "WEBVTT" header or a numbered SRT cue'],
+    };
+  }
+
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const cues = [];
+  const errors = [];
+  let index = 0;
+
+  // Skip the WebVTT header block (everything up to the first blank line)
+  if (format === 'vtt') {
+    while (index < lines.length && lines[index].trim() !== '') index++;
+  }
+
+  while (index < lines.length) {
+    // Collect the next block of non-blank lines
+    while (index < lines.length && lines[index].trim() === '') index++;
+    if (index >= lines.length) break;
+
+    const blockStart = index + 1; // 1-based line number for error messages
+    const block = [];
+    while (index < lines.length && lines[index].trim() !== '') {
+      block.push(lines[index]);
+      index++;
+    }
+
+    // WebVTT comment/style/region blocks carry no cues
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(block[0])) continue;
+
+    // Optional cue identifier (always present in SRT) precedes the timing line
+    const timingOffset = block[0].includes('-->') ? 0 : 1;
+    const timingMatch = TIMING_LINE_PATTERN.exec((block[timingOffset] || '').trim());
+    if (!timingMatch) {
+      errors.push(`line ${blockStart + timingOffset}: missing "start --> end" timing`);
+      continue;
+    }
+
+    const start = parseCueTimestamp(timingMatch[1]);
+    const end = parseCueTimestamp(timingMatch[2]);
+    if (start == null || end == null) {
+      errors.push(`line ${blockStart + timingOffset}: unreadable timestamp`);
+      continue;
+    }
+    if (end <= start) {
+      errors.push(`line ${blockStart + timingOffset}: cue ends before it starts`);
+      continue;
+    }
+
+    const cueText = block
+      .slice(timingOffset + 1)
+      .map(cleanCueText)
+      .filter(Boolean)
+      .join('\n');
+    if (cueText) {
+      cues.push({ time: start, end, text: cueText });
+    }
+  }
+
+  if (errors.length > 0 || cues.length === 0) {
+    const details = errors.length > 0 ? errors : ['no cues found'];
+    throw {
+      message: `Captions could not be read (${details[0]}${details.length > 1 ? `, +${details.length - 1} more` : ''}).`,
+      code: 'INVALID_CAPTIONS',
+      details,
+    };
+  }
+
+  return cues.sort((a, b) => a.time - b.time);
+};
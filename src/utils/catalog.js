@@ -0,0 +1,45 @@
+// Course catalog helpers shared by api.getCourses and the dashboard filters
+
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Normalize a backend course record so the UI can rely on `tags` and `difficulty`
+// Tags may arrive as strings or as { name } objects from Django serializers
+export const normalizeCourse = (course) => {
+  const rawTags = Array.isArray(course?.tags) ? course.tags : [];
+  const tags = rawTags
+    .map(tag => (typeof tag === 'string' ? tag : tag?.name))
+    .filter(Boolean)
+    .map(tag => tag.trim().toLowerCase());
+
+  return {
+    ...course,
+    tags,
+    difficulty: course?.difficulty ? String(course.difficulty).toLowerCase() : null,
+  };
+};
+
+// Filter courses by free-text search, tag and difficulty (all optional)
+export const filterCourses = (courses = [], { search = '', tag = '', difficulty = '' } = {}) => {
+  const query = search.trim().toLowerCase();
+  const tagFilter = tag.trim().toLowerCase();
+  const difficultyFilter = difficulty.trim().toLowerCase();
+
+  return courses.filter(course => {
+    if (tagFilter && !course.tags?.includes(tagFilter)) return false;
+    if (difficultyFilter && course.difficulty !== difficultyFilter) return false;
+    if (!query) return true;
+
+    const haystack = [course.title, course.description, ...(course.tags || [])]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(query);
+  });
+};
+
+// Collect the unique tags across a catalog, sorted alphabetically
+export const getCatalogTags = (courses = []) => {
+  const tags = new Set();
+  courses.forEach(course => course.tags?.forEach(tag => tags.add(tag)));
+  return [...tags].sort();
+};
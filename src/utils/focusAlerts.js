@@ -0,0 +1,130 @@
+// Alerts for FocusEngine transitions: synthesized chimes (no audio files to load),
+// vibration and opt-in system notifications for when the app is in a background tab.
+import { capVolume } from '../video/providerUtils';
+
+// Each note: frequency (Hz), start offset and length (seconds)
+export const CHIMES = {
+  soft_bell: {
+    label: 'Soft bell',
+    wave: 'sine',
+    notes: [{ frequency: 880, at: 0, length: 1.4 }, { frequency: 1320, at: 0, length: 0.8 }],
+  },
+  rising: {
+    label: 'Rising notes',
+    wave: 'sine',
+    notes: [
+      { frequency: 523.25, at: 0, length: 0.5 },
+      { frequency: 659.25, at: 0.2, length: 0.5 },
+      { frequency: 783.99, at: 0.4, length: 0.8 },
+    ],
+  },
+  wood_block: {
+    label: 'Wood block',
+    wave: 'triangle',
+    notes: [{ frequency: 440, at: 0, length: 0.15 }, { frequency: 440, at: 0.3, length: 0.15 }],
+  },
+  classic: {
+    label: 'Classic beep',
+    wave: 'sine',
+    notes: [{ frequency: 800, at: 0, length: 0.5 }],
+  },
+  none: {
+    label: 'No sound',
+    wave: 'sine',
+    notes: [],
+  },
+};
+
+export const DEFAULT_CHIME = 'soft_bell';
+
+// Loudest a chime gets (0-1) before the lowAudio cap is applied
+const CHIME_GAIN = 0.3;
+
+let audioContext = null;
+
+/**
+ * Play a chime from CHIMES. `volume` (0-1) scales it, e.g. for the quieter
+ * two-minute warning; lowAudio caps it the same way lesson audio is capped.
+ */
+export const playChime = (chimeId, { lowAudio = false, volume = 1 } = {}) => {
+  const chime = CHIMES[chimeId] || CHIMES[DEFAULT_CHIME];
+  if (chime.notes.length === 0) return;
+
+  try {
+    if (!audioContext) {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    // Browsers suspend audio contexts created before the page had a user gesture
+    if (audioContext.state === 'suspended') audioContext.resume();
+
+    const peak = CHIME_GAIN * capVolume(volume, lowAudio);
+    const start = audioContext.currentTime;
+
+    chime.notes.forEach(({ frequency, at, length }) => {
+      const oscillator = audioContext.createOscillator();
+      const gainNode = audioContext.createGain();
+      oscillator.connect(gainNode);
+      gainNode.connect(audioContext.destination);
+
+      oscillator.type = chime.wave;
+      oscillator.frequency.value = frequency;
+
+      // Short fade in and a long fade out, so notes don't click
+      gainNode.gain.setValueAtTime(0.0001, start + at);
+      gainNode.gain.exponentialRampToValueAtTime(peak, start + at + 0.02);
+      gainNode.gain.exponentialRampToValueAtTime(0.0001, start + at + length);
+
+      oscillator.start(start + at);
+      oscillator.stop(start + at + length);
+    });
+  } catch (error) {
+    console.error('Failed to play chime:', error);
+  }
+};
+
+// Vibrate on devices that support it (mostly mobile); pattern in ms
+export const vibrate = (pattern) => {
+  try {
+    navigator.vibrate?.(pattern);
+  } catch {
+    // Not allowed here (e.g. no user interaction with the page yet)
+  }
+};
+
+// 'granted' | 'denied' | 'default', or 'unsupported' where there's no Notification API
+export const getNotificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+// Ask for permission to show notifications - must be called from a user action
+export const requestNotificationPermission = async () => {
+  const permission = getNotificationPermission();
+  if (permission === 'unsupported' || permission === 'granted') return permission;
+
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Notification permission request failed:', error);
+    return 'denied';
+  }
+};
+
+/**
+ * Show a system notification if permission was given. Notifications with the
+ * same tag replace each other, so several open tabs never stack duplicates.
+ * Clicking one brings the app back to the front.
+ */
+export const showSystemNotification = (title, { body, tag } = {}) => {
+  if (getNotificationPermission() !== 'granted') return;
+
+  try {
+    const notification = new Notification(title, { body, tag, icon: '/vite.svg' });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Could not show notification:', error);
+  }
+};
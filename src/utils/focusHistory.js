@@ -0,0 +1,98 @@
+// Focus session history (api.getFocusSessions) - totals, streaks and the per-day and
+// per-task breakdowns shown by ProgressInsights. Only work sessions count as focus time.
+
+export const FOCUS_OUTCOMES = {
+  completed: 'completed',
+  interrupted: 'interrupted',
+};
+
+// Sessions list from a plain array or a DRF page, newest first
+export const normalizeFocusSessions = (data) => {
+  const sessions = Array.isArray(data) ? data : (data?.results || []);
+  return [...sessions].sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+};
+
+const isWorkSession = (session) => session.mode === 'work';
+
+const toMinutes = (seconds) => Math.round((Number(seconds) || 0) / 60);
+
+// Local calendar day of a session, as a Date.toDateString() key
+const getDayKey = (session) => new Date(session.started_at).toDateString();
+
+// Total focused minutes across work sessions, interrupted ones included
+export const getFocusedMinutes = (sessions) => toMinutes(
+  sessions.filter(isWorkSession).reduce((total, session) => total + (Number(session.focused_seconds) || 0), 0)
+);
+
+// Consecutive days, ending today, with at least one date in `dates` (date strings)
+export const calculateStreak = (dates, now = new Date()) => {
+  const days = new Set(dates.map(date => new Date(date).toDateString()));
+  const check = new Date(now);
+  let streak = 0;
+
+  while (days.has(check.toDateString())) {
+    streak++;
+    check.setDate(check.getDate() - 1);
+  }
+  return streak;
+};
+
+// Streak of days with a completed work session
+export const getFocusStreak = (sessions, now = new Date()) => calculateStreak(
+  sessions
+    .filter(session => isWorkSession(session) && session.outcome === FOCUS_OUTCOMES.completed)
+    .map(session => session.started_at),
+  now
+);
+
+/**
+ * Focus time per day for the last `dayCount` days, oldest first:
+ * [{ date, minutes, completed, interrupted }]
+ */
+export const summarizeByDay = (sessions, dayCount = 7, now = new Date()) => {
+  const days = [];
+  for (let offset = dayCount - 1; offset >= 0; offset--) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - offset);
+    days.push({ date, seconds: 0, completed: 0, interrupted: 0 });
+  }
+  const byKey = new Map(days.map(day => [day.date.toDateString(), day]));
+
+  sessions.filter(isWorkSession).forEach(session => {
+    const day = byKey.get(getDayKey(session));
+    if (!day) return;
+    day.seconds += Number(session.focused_seconds) || 0;
+    if (session.outcome === FOCUS_OUTCOMES.completed) day.completed++;
+    else day.interrupted++;
+  });
+
+  return days.map(({ seconds, ...day }) => ({ ...day, minutes: toMinutes(seconds) }));
+};
+
+/**
+ * Focus time per pinned task, most time first. Sessions without a pinned task
+ * are grouped under taskId null.
+ * [{ taskId, title, minutes, sessions, completed }]
+ */
+export const summarizeByTask = (sessions) => {
+  const byTask = new Map();
+
+  sessions.filter(isWorkSession).forEach(session => {
+    const taskId = session.task ?? null;
+    const key = taskId === null ? null : String(taskId);
+    if (!byTask.has(key)) {
+      byTask.set(key, { taskId, title: session.task_title || null, seconds: 0, sessions: 0, completed: 0 });
+    }
+    const entry = byTask.get(key);
+    entry.seconds += Number(session.focused_seconds) || 0;
+    entry.sessions++;
+    if (session.outcome === FOCUS_OUTCOMES.completed) entry.completed++;
+    // Newest sessions come first, so the first title seen is the task's current one
+    if (!entry.title && session.task_title) entry.title = session.task_title;
+  });
+
+  return [...byTask.values()]
+    .map(({ seconds, ...entry }) => ({ ...entry, minutes: toMinutes(seconds) }))
+    .sort((a, b) => b.minutes - a.minutes);
+};
@@ -0,0 +1,126 @@
+// Focus routines - the sequence of focus and break phases FocusEngine cycles through.
+// The selected routine and each routine's settings are saved with the backend timer
+// (api.updateTimer): `routine` is a ROUTINES id and `routine_settings` maps routine ids
+// to { adaptive, adaptive_scale, adaptive_evaluated_at, phases } (phases only for the
+// custom routine).
+import { FOCUS_OUTCOMES } from './focusHistory';
+
+export const DEFAULT_ROUTINE = 'pomodoro';
+
+export const PHASE_MODES = ['work', 'break', 'longBreak'];
+
+// The classic Pomodoro routine is built from the timer's four duration settings
+export const ROUTINES = {
+  pomodoro: {
+    label: 'Classic Pomodoro',
+    description: 'Focus blocks with short breaks and a long break every few rounds.',
+  },
+  fifty_two_seventeen: {
+    label: '52 / 17',
+    description: '52 minutes of focus, then a proper 17 minute break.',
+    phases: [{ mode: 'work', minutes: 52 }, { mode: 'break', minutes: 17 }],
+  },
+  deep_work: {
+    label: '90-minute deep work',
+    description: 'One long block for big tasks, then a long rest.',
+    phases: [{ mode: 'work', minutes: 90 }, { mode: 'longBreak', minutes: 20 }],
+  },
+  tiny_starts: {
+    label: 'Tiny 10-minute starts',
+    description: 'Short, easy-to-start sessions for when getting going is the hard part.',
+    phases: [{ mode: 'work', minutes: 10 }, { mode: 'break', minutes: 3 }],
+  },
+  custom: {
+    label: 'Custom',
+    description: 'Your own sequence of focus and break phases.',
+    phases: [{ mode: 'work', minutes: 25 }, { mode: 'break', minutes: 5 }],
+  },
+};
+
+export const MAX_PHASE_MINUTES = 180;
+export const MAX_CUSTOM_PHASES = 12;
+
+// Adaptive mode: looks at this many recent focus sessions of the routine...
+const ADAPTIVE_WINDOW = 5;
+// ...once there are at least this many
+const ADAPTIVE_MIN_SESSIONS = 3;
+// Focus phases never go below half or above double their normal length
+const ADAPTIVE_MIN_SCALE = 0.5;
+const ADAPTIVE_MAX_SCALE = 2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Custom phases as saved, dropping anything malformed
+export const sanitizePhases = (phases) => (Array.isArray(phases) ? phases : [])
+  .filter(phase => PHASE_MODES.includes(phase?.mode) && Number(phase.minutes) > 0)
+  .slice(0, MAX_CUSTOM_PHASES)
+  .map(phase => ({ mode: phase.mode, minutes: clamp(Math.round(Number(phase.minutes)), 1, MAX_PHASE_MINUTES) }));
+
+export const getRoutineId = (routineId) => (ROUTINES[routineId] ? routineId : DEFAULT_ROUTINE);
+
+/**
+ * The phases of a routine, [{ mode, minutes }], with adaptive scaling applied to
+ * focus phases. `durations` are the timer's Pomodoro settings:
+ * { workDuration, breakDuration, longBreakDuration, cyclesToLongBreak }.
+ */
+export const getRoutinePhases = (routineId, routineSettings, durations) => {
+  const id = getRoutineId(routineId);
+  const settings = routineSettings?.[id] || {};
+  let phases;
+
+  if (id === 'pomodoro') {
+    phases = [];
+    const rounds = Math.max(1, durations.cyclesToLongBreak);
+    for (let round = 1; round <= rounds; round++) {
+      phases.push({ mode: 'work', minutes: durations.workDuration });
+      phases.push(round === rounds
+        ? { mode: 'longBreak', minutes: durations.longBreakDuration }
+        : { mode: 'break', minutes: durations.breakDuration });
+    }
+  } else if (id === 'custom') {
+    const custom = sanitizePhases(settings.phases);
+    phases = custom.some(phase => phase.mode === 'work') ? custom : ROUTINES.custom.phases;
+  } else {
+    phases = ROUTINES[id].phases;
+  }
+
+  const scale = settings.adaptive ? (settings.adaptive_scale || 1) : 1;
+  return phases.map(phase => (
+    phase.mode === 'work' && scale !== 1
+      ? { ...phase, minutes: Math.max(1, Math.round(phase.minutes * scale)) }
+      : { ...phase }
+  ));
+};
+
+// Share of a routine's recent focus sessions that were completed (null until there are enough)
+export const getCompletionRate = (sessions, routineId) => {
+  const recent = sessions
+    .filter(session => session.mode === 'work' && getRoutineId(session.routine) === getRoutineId(routineId))
+    .slice(0, ADAPTIVE_WINDOW);
+  if (recent.length < ADAPTIVE_MIN_SESSIONS) return null;
+  return recent.filter(session => session.outcome === FOCUS_OUTCOMES.completed).length / recent.length;
+};
+
+/**
+ * Adaptive settings update for a routine from its focus sessions (newest first):
+ * mostly completed -> focus phases grow by 10%, mostly ended early -> they shrink
+ * by 15%. Only sessions started after the last adjustment (`adaptive_evaluated_at`)
+ * count, so the same sessions never adjust the scale twice. Returns
+ * { adaptive_scale, adaptive_evaluated_at }, or null when nothing changes.
+ */
+export const getAdaptiveScale = (settings, sessions, routineId) => {
+  const evaluatedAt = settings.adaptive_evaluated_at ? new Date(settings.adaptive_evaluated_at) : null;
+  const unseen = evaluatedAt
+    ? sessions.filter(session => new Date(session.started_at) > evaluatedAt)
+    : sessions;
+  const rate = getCompletionRate(unseen, routineId);
+  if (rate === null || (rate >= 0.5 && rate < 0.8)) return null;
+
+  const currentScale = settings.adaptive_scale || 1;
+  const scaled = currentScale * (rate >= 0.8 ? 1.1 : 0.85);
+  const scale = Math.round(clamp(scaled, ADAPTIVE_MIN_SCALE, ADAPTIVE_MAX_SCALE) * 100) / 100;
+  if (scale === currentScale) return null;
+
+  const newest = unseen.find(session => session.mode === 'work' && getRoutineId(session.routine) === getRoutineId(routineId));
+  return { adaptive_scale: scale, adaptive_evaluated_at: newest.started_at };
+};
@@ -0,0 +1,194 @@
+// Gamification - XP ledger, levels and badges.
+// Quizzes, completed TaskBreaker steps and FocusEngine sessions all award XP through
+// awardXp(), which appends to a per-user ledger in localStorage. Levels and badges are
+// derived from the ledger, so they can always be recomputed. Listeners (the dashboard
+// badge shelf) hear about new XP through the XP_EVENT window event.
+//
+// Ledger entry: { id, source, amount, refId, label, at }
+
+import toast from 'react-hot-toast';
+
+const storageKey = (userId) => `nvlp_xp_ledger_${userId ?? 'anon'}`;
+
+export const XP_EVENT = 'nvlp:xp';
+
+export const XP_SOURCES = {
+  quiz: 'quiz',
+  taskStep: 'task_step',
+  taskComplete: 'task_complete',
+  focusSession: 'focus_session',
+};
+
+export const XP_PER_CORRECT_ANSWER = 10;
+export const XP_PER_TASK_STEP = 5;
+export const XP_PER_TASK_COMPLETE = 20;
+export const XP_PER_FOCUS_MINUTE = 1;
+
+// Total XP needed to reach each level (level 1 starts at 0)
+const LEVEL_THRESHOLDS = [0, 100, 250, 500, 900, 1400, 2000, 2800, 3800, 5000];
+// Past the table, every level costs the same
+const XP_PER_LEVEL_AFTER_TABLE = 1500;
+
+const thresholdFor = (level) => {
+  if (level <= LEVEL_THRESHOLDS.length) return LEVEL_THRESHOLDS[level - 1];
+  return LEVEL_THRESHOLDS[LEVEL_THRESHOLDS.length - 1] +
+    (level - LEVEL_THRESHOLDS.length) * XP_PER_LEVEL_AFTER_TABLE;
+};
+
+/**
+ * Level for a total XP amount.
+ * Returns { level, xpIntoLevel, xpForNextLevel, progress (0-1) }.
+ */
+export const getLevel = (totalXp) => {
+  let level = 1;
+  while (totalXp >= thresholdFor(level + 1)) level += 1;
+
+  const start = thresholdFor(level);
+  const next = thresholdFor(level + 1);
+  return {
+    level,
+    xpIntoLevel: totalXp - start,
+    xpForNextLevel: next - start,
+    progress: (totalXp - start) / (next - start),
+  };
+};
+
+export const readLedger = (userId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLedger = (userId, ledger) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(ledger));
+  } catch (error) {
+    console.warn('Failed to save XP ledger:', error);
+  }
+};
+
+export const getTotalXp = (ledger) => ledger.reduce((sum, entry) => sum + entry.amount, 0);
+
+const dayKey = (iso) => new Date(iso).toDateString();
+
+// Consecutive days with a focus session, ending today (or yesterday)
+const currentFocusStreak = (ledger, now = new Date()) => {
+  const days = new Set(ledger.filter(e => e.source === XP_SOURCES.focusSession).map(e => dayKey(e.at)));
+  const check = new Date(now);
+  if (!days.has(check.toDateString())) check.setDate(check.getDate() - 1);
+
+  let streak = 0;
+  while (days.has(check.toDateString())) {
+    streak += 1;
+    check.setDate(check.getDate() - 1);
+  }
+  return streak;
+};
+
+// Counters the badge rules read
+export const getLedgerStats = (ledger) => {
+  const bySource = (source) => ledger.filter(entry => entry.source === source);
+  const quizzes = bySource(XP_SOURCES.quiz);
+
+  return {
+    totalXp: getTotalXp(ledger),
+    level: getLevel(getTotalXp(ledger)).level,
+    quizzesCompleted: quizzes.length,
+    perfectQuizzes: quizzes.filter(entry => entry.perfect).length,
+    stepsCompleted: bySource(XP_SOURCES.taskStep).length,
+    tasksCompleted: bySource(XP_SOURCES.taskComplete).length,
+    focusSessions: bySource(XP_SOURCES.focusSession).length,
+    focusStreak: currentFocusStreak(ledger),
+  };
+};
+
+export const BADGES = [
+  { id: 'first_quiz', name: 'First Checkpoint', icon: '🎓', description: 'Finish your first lesson quiz', earned: s => s.quizzesCompleted >= 1 },
+  { id: 'perfect_quiz', name: 'Perfect Score', icon: '💯', description: 'Get every question right first time', earned: s => s.perfectQuizzes >= 1 },
+  { id: 'quiz_5', name: 'Curious Mind', icon: '🧠', description: 'Finish 5 lesson quizzes', earned: s => s.quizzesCompleted >= 5 },
+  { id: 'first_step', name: 'First Step', icon: '👣', description: 'Complete a task step', earned: s => s.stepsCompleted >= 1 },
+  { id: 'steps_25', name: 'Step Smasher', icon: '🔨', description: 'Complete 25 task steps', earned: s => s.stepsCompleted >= 25 },
+  { id: 'task_complete', name: 'Task Finisher', icon: '✅', description: 'Finish every step of a task', earned: s => s.tasksCompleted >= 1 },
+  { id: 'first_focus', name: 'In the Zone', icon: '🎯', description: 'Complete a focus session', earned: s => s.focusSessions >= 1 },
+  { id: 'focus_10', name: 'Deep Worker', icon: '⏱️', description: 'Complete 10 focus sessions', earned: s => s.focusSessions >= 10 },
+  { id: 'streak_3', name: 'On a Roll', icon: '🔥', description: 'Focus 3 days in a row', earned: s => s.focusStreak >= 3 },
+  { id: 'level_5', name: 'Rising Star', icon: '⭐', description: 'Reach level 5', earned: s => s.level >= 5 },
+];
+
+export const getEarnedBadges = (ledger) => {
+  const stats = getLedgerStats(ledger);
+  return BADGES.filter(badge => badge.earned(stats));
+};
+
+// XP still available for a quiz: a retake only earns XP for beating the previous best
+export const getQuizXp = (ledger, lessonId, score) => {
+  const earned = ledger
+    .filter(entry => entry.source === XP_SOURCES.quiz && entry.refId === String(lessonId))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  return Math.max(0, score * XP_PER_CORRECT_ANSWER - earned);
+};
+
+const celebrate = ({ entry, levelUp, newBadges }) => {
+  if (entry.amount > 0) {
+    toast.success(`+${entry.amount} XP - ${entry.label}`, { duration: 2000, position: 'bottom-right', icon: '⭐' });
+  }
+  if (levelUp) {
+    toast.success(`Level up! You're now level ${levelUp}.`, { duration: 4000, position: 'top-center', icon: '🚀' });
+  }
+  newBadges.forEach(badge => {
+    toast.success(`Badge unlocked: ${badge.name}`, { duration: 4000, position: 'top-center', icon: badge.icon });
+  });
+};
+
+/**
+ * Record XP for an activity. Entries with a refId are only awarded once per source
+ * (so un-ticking and re-ticking a step doesn't farm XP); quiz entries are exempt
+ * because getQuizXp already limits them. Set celebrate: false to skip the toasts
+ * (the hideCelebrations sensory preference).
+ *
+ * Returns { entry, levelUp (new level or null), newBadges } or null when nothing was awarded.
+ */
+export const awardXp = (userId, { source, amount, refId = null, label, ...details }, { celebrate: shouldCelebrate = true } = {}) => {
+  const ledger = readLedger(userId);
+  const ref = refId == null ? null : String(refId);
+
+  if (ref !== null && source !== XP_SOURCES.quiz &&
+      ledger.some(entry => entry.source === source && entry.refId === ref)) {
+    return null;
+  }
+  if (amount <= 0 && source !== XP_SOURCES.quiz) return null;
+
+  const entry = {
+    id: `xp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    source,
+    amount: Math.max(0, Math.round(amount)),
+    refId: ref,
+    label,
+    at: new Date().toISOString(),
+    ...details,
+  };
+  const nextLedger = [...ledger, entry];
+  writeLedger(userId, nextLedger);
+
+  const levelBefore = getLevel(getTotalXp(ledger)).level;
+  const levelAfter = getLevel(getTotalXp(nextLedger)).level;
+  const earnedBefore = new Set(getEarnedBadges(ledger).map(badge => badge.id));
+  const result = {
+    entry,
+    levelUp: levelAfter > levelBefore ? levelAfter : null,
+    newBadges: getEarnedBadges(nextLedger).filter(badge => !earnedBefore.has(badge.id)),
+  };
+
+  if (shouldCelebrate) celebrate(result);
+  window.dispatchEvent(new CustomEvent(XP_EVENT, { detail: result }));
+  return result;
+};
+
+// Completed TaskBreaker steps across a task list
+export const countCompletedSteps = (tasks = []) =>
+  tasks.reduce((count, task) => (
+    count + (Array.isArray(task.steps) ? task.steps.filter(step => step.is_step_complete).length : 0)
+  ), 0);
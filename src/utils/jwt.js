@@ -0,0 +1,25 @@
+// Reading (not verifying) the JWTs issued by the backend (Django Simple JWT).
+// Only used to tell when a token expires, so it can be refreshed ahead of time.
+
+// Payload of a JWT, or null if the token can't be decoded
+export const decodeJwtPayload = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+    return JSON.parse(atob(base64));
+  } catch {
+    return null;
+  }
+};
+
+// Expiry time (ms since epoch) from the `exp` claim, or null when there isn't one
+export const getTokenExpiry = (token) => {
+  const exp = token ? decodeJwtPayload(token)?.exp : null;
+  return Number.isFinite(exp) ? exp * 1000 : null;
+};
+
+// Whether the token expires within marginMs (tokens without an exp never count as expiring)
+export const isTokenExpiring = (token, marginMs = 0, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - marginMs <= now;
+};
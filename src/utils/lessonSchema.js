@@ -0,0 +1,202 @@
+// Lesson payload validation - turns backend (snake_case) or fixture (camelCase)
+// lesson records into the shape LessonPlayer expects, or throws with details.
+
+import { QUESTION_TYPES, countBlanks } from './quizQuestions';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Extract a YouTube video id from a watch/short URL (null for non-YouTube media)
+export const getYouTubeId = (url) => {
+  if (!isNonEmptyString(url)) return null;
+  if (url.includes('youtube.com/watch?v=')) return url.split('v=')[1]?.split('&')[0] || null;
+  if (url.includes('youtu.be/')) return url.split('youtu.be/')[1]?.split('?')[0] || null;
+  if (url.includes('youtube.com/embed/')) return url.split('embed/')[1]?.split('?')[0] || null;
+  return null;
+};
+
+const validateTranscript = (transcript, errors) => {
+  if (transcript == null) return [];
+  if (!Array.isArray(transcript)) {
+    errors.push('transcript must be an array');
+    return [];
+  }
+
+  return transcript
+    .map((cue, index) => {
+      const time = Number(cue?.time);
+      if (!Number.isFinite(time) || time < 0) {
+        errors.push(`transcript[${index}].time must be a non-negative number`);
+        return null;
+      }
+      if (typeof cue?.text !== 'string') {
+        errors.push(`transcript[${index}].text must be a string`);
+        return null;
+      }
+      // `end` is optional (caption imports provide it); drop it if unusable
+      const end = Number(cue.end);
+      return { ...cue, time, end: Number.isFinite(end) && end > time ? end : undefined, text: cue.text };
+    })
+    .filter(Boolean);
+};
+
+const hasOptions = (q) => Array.isArray(q.options) && q.options.length >= 2;
+
+const isStringList = (value, minLength = 1) =>
+  Array.isArray(value) && value.length >= minLength && value.every(isNonEmptyString);
+
+// Type-specific checks; each returns an error message or null
+const QUESTION_VALIDATORS = {
+  single: (q) => {
+    if (!hasOptions(q)) return 'options must list at least two answers';
+    if (!Number.isInteger(q.correctAnswer) || q.correctAnswer < 0 || q.correctAnswer >= q.options.length) {
+      return 'correctAnswer must index into options';
+    }
+    return null;
+  },
+  multiple: (q) => {
+    if (!hasOptions(q)) return 'options must list at least two answers';
+    if (!Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0 ||
+        !q.correctAnswers.every(i => Number.isInteger(i) && i >= 0 && i < q.options.length)) {
+      return 'correctAnswers must list option indexes';
+    }
+    return null;
+  },
+  true_false: (q) => (typeof q.correctAnswer === 'boolean' ? null : 'correctAnswer must be true or false'),
+  short_answer: (q) => (isStringList(q.acceptedAnswers) ? null : 'acceptedAnswers must list at least one answer'),
+  ordering: (q) => (isStringList(q.items, 2) ? null : 'items must list at least two entries in the correct order'),
+  fill_blank: (q) => {
+    if (!isNonEmptyString(q.code)) return 'code must be a non-empty string';
+    const blankCount = countBlanks(q.code);
+    if (blankCount === 0) return 'code must contain at least one ___ blank';
+    if (!Array.isArray(q.blanks) || q.blanks.length !== blankCount || !q.blanks.every(accepted => isStringList(accepted))) {
+      return `blanks must list accepted answers for each of the ${blankCount} blanks`;
+    }
+    return null;
+  },
+  matching: (q) => (
+    Array.isArray(q.pairs) && q.pairs.length >= 2 &&
+    q.pairs.every(pair => isNonEmptyString(pair?.left) && isNonEmptyString(pair?.right))
+      ? null
+      : 'pairs must list at least two { left, right } entries'
+  ),
+};
+
+// Accept snake_case backend fields and shorthand (a single accepted string) for every question type
+const normalizeQuestion = (raw) => {
+  const type = raw?.type ?? raw?.question_type ?? 'single';
+  const question = {
+    ...raw,
+    type,
+    correctAnswer: raw?.correctAnswer ?? raw?.correct_answer,
+    successMessage: raw?.successMessage ?? raw?.success_message ?? '',
+    hint: raw?.hint ?? '',
+  };
+
+  if (type === 'multiple') {
+    question.correctAnswers = raw.correctAnswers ?? raw.correct_answers;
+  } else if (type === 'true_false') {
+    question.options = ['True', 'False'];
+  } else if (type === 'short_answer') {
+    question.acceptedAnswers = raw.acceptedAnswers ?? raw.accepted_answers;
+    question.caseSensitive = Boolean(raw.caseSensitive ?? raw.case_sensitive ?? false);
+  } else if (type === 'fill_blank') {
+    question.blanks = (raw.blanks || []).map(accepted => (typeof accepted === 'string' ? [accepted] : accepted));
+    // Code is case-sensitive unless the educator says otherwise
+    question.caseSensitive = Boolean(raw.caseSensitive ?? raw.case_sensitive ?? true);
+  }
+
+  return question;
+};
+
+const validateQuestions = (questions, errors) => {
+  if (questions == null) return [];
+  if (!Array.isArray(questions)) {
+    errors.push('questions must be an array');
+    return [];
+  }
+
+  return questions
+    .map((raw, index) => {
+      const question = normalizeQuestion(raw);
+
+      if (!isNonEmptyString(question.question)) {
+        errors.push(`questions[${index}].question must be a non-empty string`);
+        return null;
+      }
+      if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`questions[${index}].type must be one of ${QUESTION_TYPES.join(', ')}`);
+        return null;
+      }
+
+      const problem = QUESTION_VALIDATORS[question.type](question);
+      if (problem) {
+        errors.push(`questions[${index}].${problem}`);
+        return null;
+      }
+      return question;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Validate and normalize a lesson payload.
+ * Throws { message, code: 'INVALID_LESSON', details, data } when required fields are
+ * missing or malformed, so the player can show a real error instead of an empty lesson.
+ */
+export const parseLesson = (raw) => {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw {
+      message: 'Lesson data is malformed.',
+      code: 'INVALID_LESSON',
+      details: ['lesson payload must be an object'],
+      data: raw,
+    };
+  }
+
+  if (raw.id == null) errors.push('id is required');
+  if (!isNonEmptyString(raw.title)) errors.push('title must be a non-empty string');
+
+  const videoUrl = raw.videoUrl ?? raw.video_url ?? null;
+  if (videoUrl != null && typeof videoUrl !== 'string') errors.push('videoUrl must be a string');
+
+  const content = raw.content ?? '';
+  if (typeof content !== 'string') errors.push('content must be a markdown string');
+
+  const duration = raw.duration != null ? Number(raw.duration) : null;
+  if (duration != null && !Number.isFinite(duration)) errors.push('duration must be a number of seconds');
+
+  const transcript = validateTranscript(raw.transcript, errors);
+  const questions = validateQuestions(raw.questions, errors);
+
+  if (errors.length > 0) {
+    console.error('❌ Invalid lesson payload:', errors, raw);
+    throw {
+      message: `Lesson data is malformed (${errors[0]}${errors.length > 1 ? `, +${errors.length - 1} more` : ''}).`,
+      code: 'INVALID_LESSON',
+      details: errors,
+      data: raw,
+    };
+  }
+
+  return {
+    ...raw,
+    title: raw.title.trim(),
+    videoUrl,
+    videoId: raw.videoId ?? raw.video_id ?? getYouTubeId(videoUrl),
+    transcript,
+    transcriptError: raw.transcriptError ?? null,
+    content,
+    duration,
+    questions,
+  };
+};
+
+// Normalize a syllabus entry from /courses/:id/lessons/
+export const parseLessonSummary = (raw, index) => ({
+  id: raw.id,
+  title: raw.title,
+  duration: raw.duration ?? null,
+  order: raw.order ?? index + 1,
+});
@@ -0,0 +1,44 @@
+// Local cache for student lesson notes, keyed by user and lesson.
+// Keeps notes readable offline and holds edits that haven't reached the backend yet.
+// Cached notes carry `pending: true` until synced, and `deleted: true` for queued deletes.
+
+const cacheKey = (userId, lessonId) => `nvlp_notes_${userId ?? 'anon'}_${lessonId}`;
+
+export const isLocalNoteId = (id) => typeof id === 'string' && id.startsWith('local-');
+
+export const createLocalNoteId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Read every cached note, including queued deletes
+export const readNotesCache = (userId, lessonId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(cacheKey(userId, lessonId)));
+    return Array.isArray(cached) ? cached : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeNotesCache = (userId, lessonId, notes) => {
+  try {
+    localStorage.setItem(cacheKey(userId, lessonId), JSON.stringify(notes));
+  } catch (error) {
+    console.warn('Failed to cache lesson notes:', error);
+  }
+};
+
+// Insert or replace a note by id (optionally replacing a different previous id)
+export const upsertCachedNote = (userId, lessonId, note, previousId = note.id) => {
+  const notes = readNotesCache(userId, lessonId).filter(n => n.id !== previousId && n.id !== note.id);
+  writeNotesCache(userId, lessonId, [...notes, note]);
+};
+
+export const removeCachedNote = (userId, lessonId, noteId) => {
+  writeNotesCache(userId, lessonId, readNotesCache(userId, lessonId).filter(n => n.id !== noteId));
+};
+
+// Notes to show in the UI (queued deletes hidden), ordered by video timestamp
+export const visibleNotes = (notes) =>
+  notes
+    .filter(note => !note.deleted)
+    .sort((a, b) => (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity) ||
+      new Date(a.created_at) - new Date(b.created_at));
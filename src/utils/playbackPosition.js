@@ -0,0 +1,108 @@
+// Resume positions - the last playback position per user and lesson.
+// Cached in localStorage so "Resume from 4:32?" works offline and before the
+// progress API answers; the progress record holds the same data server-side
+// (last_lesson, last_position, last_position_at).
+
+const storageKey = (userId) => `nvlp_positions_${userId ?? 'anon'}`;
+
+// Don't offer to resume the first few seconds...
+const MIN_RESUME_SECONDS = 10;
+// ...or the very end of a video (treat it as finished)
+const FINISHED_MARGIN_SECONDS = 15;
+
+export const isResumablePosition = (position, duration) =>
+  Number.isFinite(position) &&
+  position >= MIN_RESUME_SECONDS &&
+  (!duration || position < duration - FINISHED_MARGIN_SECONDS);
+
+// All saved positions for a user: { [lessonId]: { courseId, lessonId, position, duration, updatedAt } }
+export const readPositions = (userId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+const writePositions = (userId, positions) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(positions));
+  } catch (error) {
+    console.warn('Failed to save playback position:', error);
+  }
+};
+
+export const getSavedPosition = (userId, lessonId) => readPositions(userId)[lessonId] ?? null;
+
+/**
+ * Remember where the student is in a lesson. Positions that aren't worth resuming
+ * (barely started or finished) clear the entry instead. Returns the saved entry or null.
+ */
+export const savePosition = (userId, { courseId, lessonId, position, duration }) => {
+  const positions = readPositions(userId);
+
+  if (!isResumablePosition(position, duration)) {
+    if (positions[lessonId]) {
+      delete positions[lessonId];
+      writePositions(userId, positions);
+    }
+    return null;
+  }
+
+  const entry = {
+    courseId: String(courseId),
+    lessonId: String(lessonId),
+    position: Math.floor(position),
+    duration: duration || null,
+    updatedAt: Date.now(),
+  };
+  writePositions(userId, { ...positions, [lessonId]: entry });
+  return entry;
+};
+
+export const clearPosition = (userId, lessonId) => {
+  const positions = readPositions(userId);
+  if (!positions[lessonId]) return;
+  delete positions[lessonId];
+  writePositions(userId, positions);
+};
+
+// Read the resume fields of a /progress/ record (null when there's nothing to resume)
+export const parseProgressPosition = (record) => {
+  const courseId = record?.course_detail?.id ?? record?.course;
+  const position = Number(record?.last_position);
+  if (courseId == null || record?.last_lesson == null || !isResumablePosition(position)) return null;
+
+  return {
+    courseId: String(courseId),
+    lessonId: String(record.last_lesson),
+    position,
+    duration: null,
+    updatedAt: Date.parse(record.last_position_at) || 0,
+  };
+};
+
+// Pick whichever of two saved positions was updated most recently
+export const newestPosition = (a, b) => {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return b.updatedAt > a.updatedAt ? b : a;
+};
+
+/**
+ * Latest resume point per course, merging local positions with progress records.
+ * Returns { [courseId]: { courseId, lessonId, position, ... } }.
+ */
+export const getCourseResumePoints = (userId, progressRecords = []) => {
+  const points = {};
+  const entries = [
+    ...Object.values(readPositions(userId)),
+    ...progressRecords.map(parseProgressPosition).filter(Boolean),
+  ];
+
+  entries.forEach(entry => {
+    points[entry.courseId] = newestPosition(points[entry.courseId], entry);
+  });
+  return points;
+};
@@ -0,0 +1,46 @@
+// Local cache for quiz attempts, keyed by user and lesson.
+// Keeps attempt history readable offline and holds attempts that haven't reached
+// the backend yet (`pending: true`, with a local- id).
+
+const cacheKey = (userId, lessonId) => `nvlp_quiz_attempts_${userId ?? 'anon'}_${lessonId}`;
+
+export const createLocalAttemptId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const readAttemptsCache = (userId, lessonId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(cacheKey(userId, lessonId)));
+    return Array.isArray(cached) ? cached : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeAttemptsCache = (userId, lessonId, attempts) => {
+  try {
+    localStorage.setItem(cacheKey(userId, lessonId), JSON.stringify(attempts));
+  } catch (error) {
+    console.warn('Failed to cache quiz attempts:', error);
+  }
+};
+
+// Insert or replace an attempt by id (optionally replacing a different previous id)
+export const upsertCachedAttempt = (userId, lessonId, attempt, previousId = attempt.id) => {
+  const attempts = readAttemptsCache(userId, lessonId).filter(a => a.id !== previousId && a.id !== attempt.id);
+  writeAttemptsCache(userId, lessonId, [...attempts, attempt]);
+};
+
+// Fraction of questions answered correctly (0-1)
+export const attemptRatio = (attempt) => (attempt?.total > 0 ? attempt.score / attempt.total : 0);
+
+// Newest attempt first
+export const sortAttempts = (attempts) =>
+  [...attempts].sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at));
+
+// Highest-scoring attempt (earliest wins a tie), or null when there are none
+export const getBestAttempt = (attempts = []) =>
+  attempts.reduce((best, attempt) => {
+    if (!best) return attempt;
+    const diff = attemptRatio(attempt) - attemptRatio(best);
+    if (diff !== 0) return diff > 0 ? attempt : best;
+    return new Date(attempt.completed_at) < new Date(best.completed_at) ? attempt : best;
+  }, null);
@@ -0,0 +1,133 @@
+// Quiz question types - answer shapes, grading and display helpers shared by
+// QuizSystem (UI) and lessonSchema (validation).
+//
+// Answer shape per type:
+//   single       option index
+//   multiple     array of option indexes
+//   true_false   boolean
+//   short_answer string
+//   ordering     array of item indexes in the student's order
+//   fill_blank   array of strings, one per blank
+//   matching     array where answer[leftIndex] = rightIndex (null while unmatched)
+
+export const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'short_answer', 'ordering', 'fill_blank', 'matching'];
+
+// Blanks in fill_blank code snippets are written as three or more underscores
+export const BLANK_PATTERN = /_{3,}/g;
+
+export const countBlanks = (code) => (String(code).match(BLANK_PATTERN) || []).length;
+
+// Split a code snippet into the text around its blanks (length = blanks + 1)
+export const splitCodeBlanks = (code) => String(code).split(BLANK_PATTERN);
+
+// Collapse whitespace (and case, unless the question says otherwise) before comparing text
+export const normalizeAnswerText = (text, caseSensitive = false) => {
+  const collapsed = String(text ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const matchesAccepted = (text, accepted, caseSensitive) =>
+  accepted.some(candidate => normalizeAnswerText(candidate, caseSensitive) === normalizeAnswerText(text, caseSensitive));
+
+// Simple string hash, used to seed shuffles so they stay stable across renders
+const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Deterministic shuffle of [0..length-1] seeded by `seed` (e.g. the question text).
+ * Never returns the original order for two or more items, so ordering and matching
+ * questions don't start out already solved.
+ */
+export const shuffledIndexes = (length, seed) => {
+  const indexes = Array.from({ length }, (_, i) => i);
+  let state = hashString(String(seed)) || 1;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+
+  for (let i = indexes.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+
+  if (length > 1 && indexes.every((value, i) => value === i)) {
+    indexes.push(indexes.shift());
+  }
+  return indexes;
+};
+
+// Starting answer for a question (ordering starts shuffled, the rest start empty)
+export const getInitialAnswer = (question) => {
+  switch (question.type) {
+    case 'multiple':
+      return [];
+    case 'short_answer':
+      return '';
+    case 'ordering':
+      return shuffledIndexes(question.items.length, question.question);
+    case 'fill_blank':
+      return question.blanks.map(() => '');
+    case 'matching':
+      return question.pairs.map(() => null);
+    default:
+      return null;
+  }
+};
+
+// Whether the student has answered enough to check the question
+export const isAnswerComplete = (question, answer) => {
+  switch (question.type) {
+    case 'multiple':
+      return Array.isArray(answer) && answer.length > 0;
+    case 'short_answer':
+      return normalizeAnswerText(answer) !== '';
+    case 'ordering':
+      return Array.isArray(answer) && answer.length === question.items.length;
+    case 'fill_blank':
+      return Array.isArray(answer) && answer.every(value => normalizeAnswerText(value) !== '');
+    case 'matching':
+      return Array.isArray(answer) && answer.every(value => value != null);
+    default:
+      return answer !== null && answer !== undefined;
+  }
+};
+
+// Per-part correctness for multi-part questions (blanks, ordering slots, matching rows)
+export const getPartResults = (question, answer) => {
+  switch (question.type) {
+    case 'ordering':
+      return answer.map((itemIndex, position) => itemIndex === position);
+    case 'fill_blank':
+      return question.blanks.map((accepted, i) => matchesAccepted(answer[i], accepted, question.caseSensitive));
+    case 'matching':
+      return answer.map((rightIndex, leftIndex) => rightIndex === leftIndex);
+    default:
+      return [];
+  }
+};
+
+export const isAnswerCorrect = (question, answer) => {
+  if (!isAnswerComplete(question, answer)) return false;
+
+  switch (question.type) {
+    case 'multiple': {
+      const expected = [...question.correctAnswers].sort((a, b) => a - b);
+      const given = [...new Set(answer)].sort((a, b) => a - b);
+      return expected.length === given.length && expected.every((value, i) => value === given[i]);
+    }
+    case 'short_answer':
+      return matchesAccepted(answer, question.acceptedAnswers, question.caseSensitive);
+    case 'ordering':
+    case 'fill_blank':
+    case 'matching':
+      return getPartResults(question, answer).every(Boolean);
+    default:
+      return answer === question.correctAnswer;
+  }
+};
@@ -0,0 +1,136 @@
+// Spaced-repetition review deck - every quiz question a student has answered becomes
+// a card, scheduled with the SM-2 algorithm. Cards keep a snapshot of the question so
+// reviews work across lessons (and offline) without refetching them.
+//
+// Card: { id, courseId, lessonId, lessonTitle, questionIndex, question,
+//         easiness, interval, repetitions, dueAt, lastReviewedAt }
+
+const storageKey = (userId) => `nvlp_review_deck_${userId ?? 'anon'}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+// SM-2 grades run 0-5; anything below 3 counts as a lapse
+const PASSING_QUALITY = 3;
+
+export const getCardId = (lessonId, questionIndex) => `${lessonId}:${questionIndex}`;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+// All cards for a user: { [cardId]: card }
+export const readDeck = (userId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeDeck = (userId, deck) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(deck));
+  } catch (error) {
+    console.warn('Failed to save review deck:', error);
+  }
+};
+
+/**
+ * Apply one SM-2 review to a card and return the updated copy.
+ * quality: 5 perfect, 3 correct with a hint, 0-2 missed (see getAnswerQuality).
+ */
+export const scheduleReview = (card, quality, now = new Date()) => {
+  const easiness = Math.max(
+    MIN_EASINESS,
+    (card.easiness ?? DEFAULT_EASINESS) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions = card.repetitions ?? 0;
+  let interval;
+  if (quality < PASSING_QUALITY) {
+    // Lapse: start over and see it again tomorrow
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((card.interval || 1) * easiness);
+  }
+
+  return {
+    ...card,
+    easiness: Math.round(easiness * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: startOfDay(now) + interval * DAY_MS,
+    lastReviewedAt: now.toISOString(),
+  };
+};
+
+/**
+ * SM-2 grade for one question from a quiz attempt's answers (see QuizSystem):
+ * right first time without a hint is perfect, a hint or a retry lowers the grade.
+ */
+export const getAnswerQuality = (answers) => {
+  if (!answers.length) return null;
+  const [first] = answers;
+  if (first.correct) return first.hint_viewed ? 3 : 5;
+  return answers.some(answer => answer.correct) ? 2 : 1;
+};
+
+/**
+ * Add (or reschedule) a card for every question in a finished quiz.
+ * Cards that aren't due yet only change on a miss, so retaking a quiz
+ * doesn't push reviews further out.
+ */
+export const addQuizToDeck = (userId, { courseId, lessonId, lessonTitle, questions = [], answers = [] }, now = new Date()) => {
+  const deck = readDeck(userId);
+
+  questions.forEach((question, questionIndex) => {
+    const quality = getAnswerQuality(answers.filter(answer => answer.question_index === questionIndex));
+    if (quality === null) return;
+
+    const id = getCardId(lessonId, questionIndex);
+    const existing = deck[id];
+    const card = {
+      ...existing,
+      id,
+      courseId: String(courseId),
+      lessonId: String(lessonId),
+      lessonTitle: lessonTitle || '',
+      questionIndex,
+      question,
+    };
+
+    if (existing && existing.dueAt > now.getTime() && quality >= PASSING_QUALITY) {
+      deck[id] = card;
+    } else {
+      deck[id] = scheduleReview(card, quality, now);
+    }
+  });
+
+  writeDeck(userId, deck);
+};
+
+// Cards due by the end of today, most overdue first
+export const getDueCards = (userId, now = new Date()) => {
+  const endOfToday = startOfDay(now) + DAY_MS;
+  return Object.values(readDeck(userId))
+    .filter(card => card.question && card.dueAt < endOfToday)
+    .sort((a, b) => a.dueAt - b.dueAt);
+};
+
+// Record a review from the review session; returns the updated card (or null if it's gone)
+export const reviewCard = (userId, cardId, quality, now = new Date()) => {
+  const deck = readDeck(userId);
+  if (!deck[cardId]) return null;
+
+  deck[cardId] = scheduleReview(deck[cardId], quality, now);
+  writeDeck(userId, deck);
+  return deck[cardId];
+};
@@ -0,0 +1,23 @@
+// Time formatting helpers shared by the lesson player components
+
+// Format seconds as m:ss (or h:mm:ss for long media)
+export const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+  return `${mins}:${String(secs).padStart(2, '0')}`;
+};
+
+// Format seconds as HH:MM:SS for Django DurationField values (engagement_time)
+export const formatDurationField = (seconds) => {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return [hours, mins, secs].map(part => String(part).padStart(2, '0')).join(':');
+};
@@ -0,0 +1,97 @@
+// Watched segments - the parts of a lesson video the student actually played,
+// kept as merged [start, end] ranges in seconds. Lesson completion is based on how
+// much of the video these ranges cover, so scrubbing to the end doesn't count.
+// Cached per user and lesson so coverage builds up across visits.
+
+const storageKey = (userId, lessonId) => `nvlp_watched_${userId ?? 'anon'}_${lessonId}`;
+// Coverage of each lesson in a course, { [lessonId]: percent }
+const coverageKey = (userId, courseId) => `nvlp_coverage_${userId ?? 'anon'}_${courseId}`;
+
+// Ranges closer than this are treated as continuous (sampling jitter)
+const MERGE_TOLERANCE_SECONDS = 1;
+
+// Coverage (percent) at which a lesson video counts as watched
+export const COMPLETION_COVERAGE = 90;
+
+// Sort and merge overlapping or touching ranges
+export const mergeSegments = (segments) => {
+  const sorted = segments
+    .filter(([start, end]) => Number.isFinite(start) && Number.isFinite(end) && end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  return sorted.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + MERGE_TOLERANCE_SECONDS) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+};
+
+export const addSegment = (segments, start, end) => mergeSegments([...segments.map(s => [...s]), [start, end]]);
+
+// Seconds of the video covered by the ranges (clamped to the duration when known)
+export const getWatchedSeconds = (segments, duration = 0) =>
+  segments.reduce((total, [start, end]) => {
+    const clampedEnd = duration > 0 ? Math.min(end, duration) : end;
+    return total + Math.max(0, clampedEnd - Math.max(0, start));
+  }, 0);
+
+// Percentage (0-100) of the video covered
+export const getCoverage = (segments, duration) => {
+  if (!duration || duration <= 0) return 0;
+  return Math.min(100, (getWatchedSeconds(segments, duration) / duration) * 100);
+};
+
+export const readWatchedSegments = (userId, lessonId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId, lessonId)));
+    return Array.isArray(saved) ? mergeSegments(saved) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveWatchedSegments = (userId, lessonId, segments) => {
+  try {
+    localStorage.setItem(storageKey(userId, lessonId), JSON.stringify(segments));
+  } catch (error) {
+    console.warn('Failed to save watched segments:', error);
+  }
+};
+
+const readCourseCoverage = (userId, courseId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(coverageKey(userId, courseId)));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+// Remember a lesson's coverage (percent) so the course total can be worked out later
+export const saveLessonCoverage = (userId, courseId, lessonId, coverage) => {
+  try {
+    const saved = readCourseCoverage(userId, courseId);
+    saved[lessonId] = Math.round(coverage * 10) / 10;
+    localStorage.setItem(coverageKey(userId, courseId), JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to save lesson coverage:', error);
+  }
+};
+
+/**
+ * Course completion (0-100): the average coverage of the lessons in `syllabus`
+ * ({ id, duration } summaries). Lessons without a saved coverage fall back to
+ * their watched segments and summary duration, and count as 0 when neither is known.
+ */
+export const getCourseCoverage = (userId, courseId, syllabus) => {
+  if (syllabus.length === 0) return 0;
+  const saved = readCourseCoverage(userId, courseId);
+  const total = syllabus.reduce((sum, item) => sum + (
+    saved[item.id] ?? getCoverage(readWatchedSegments(userId, item.id), Number(item.duration) || 0)
+  ), 0);
+  return Math.min(100, total / syllabus.length);
+};
@@ -0,0 +1,103 @@
+import { createEmitter } from './providerUtils';
+
+const HLS_MIME = 'application/vnd.apple.mpegurl';
+
+const MEDIA_ERRORS = {
+  1: 'Video loading was aborted.',
+  2: 'A network error stopped the video from loading.',
+  3: 'The video file is damaged or uses an unsupported format.',
+  4: 'This video format isn\'t supported by your browser.',
+};
+
+export const isHlsUrl = (url) => /\.m3u8(\?|#|$)/i.test(url || '');
+
+/**
+ * HTML5 provider - self-hosted MP4/WebM through a native <video> element.
+ * HLS (.m3u8) streams play natively in Safari; other browsers load hls.js on demand.
+ */
+export const createHtml5Provider = (container, { url, title, startAt = 0, controls = true }) => {
+  const emitter = createEmitter();
+  const video = document.createElement('video');
+  video.controls = controls;
+  video.playsInline = true;
+  video.preload = 'metadata';
+  video.setAttribute('aria-label', title || 'Lesson video');
+  video.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;background:#000;object-fit:contain;';
+  container.appendChild(video);
+
+  let hls = null;
+  let destroyed = false;
+
+  const listeners = {
+    loadedmetadata: () => {
+      if (startAt > 0) video.currentTime = startAt;
+      emitter.emit('ready', { duration: Number.isFinite(video.duration) ? video.duration : null });
+    },
+    play: () => emitter.emit('play'),
+    pause: () => emitter.emit('pause'),
+    ended: () => emitter.emit('ended'),
+    waiting: () => emitter.emit('waiting'),
+    ratechange: () => emitter.emit('ratechange', video.playbackRate),
+    error: () => {
+      const code = video.error?.code;
+      emitter.emit('error', { message: MEDIA_ERRORS[code] || 'The video could not be played.', code });
+    },
+  };
+  Object.entries(listeners).forEach(([event, handler]) => video.addEventListener(event, handler));
+
+  if (isHlsUrl(url) && !video.canPlayType(HLS_MIME)) {
+    import('hls.js')
+      .then(({ default: Hls }) => {
+        if (destroyed) return;
+        if (!Hls.isSupported()) {
+          emitter.emit('error', { message: 'This browser can\'t play streaming video.' });
+          return;
+        }
+        hls = new Hls();
+        hls.on(Hls.Events.ERROR, (_event, data) => {
+          if (data.fatal) {
+            emitter.emit('error', { message: 'The video stream could not be loaded.', code: data.type });
+          }
+        });
+        hls.loadSource(url);
+        hls.attachMedia(video);
+      })
+      .catch((err) => {
+        console.error('Failed to load hls.js:', err);
+        if (!destroyed) emitter.emit('error', { message: 'The video stream could not be loaded.' });
+      });
+  } else {
+    video.src = url;
+  }
+
+  return {
+    name: 'html5',
+    on: emitter.on,
+    play: () => video.play()?.catch((err) => console.warn('Playback was blocked:', err)),
+    pause: () => video.pause(),
+    seek: (seconds) => {
+      video.currentTime = seconds;
+    },
+    getCurrentTime: () => video.currentTime || 0,
+    getDuration: () => (Number.isFinite(video.duration) ? video.duration : 0),
+    setVolume: (volume) => {
+      video.volume = volume;
+    },
+    setMuted: (muted) => {
+      video.muted = muted;
+    },
+    setPlaybackRate: (rate) => {
+      video.playbackRate = rate;
+    },
+    destroy: () => {
+      destroyed = true;
+      emitter.clear();
+      Object.entries(listeners).forEach(([event, handler]) => video.removeEventListener(event, handler));
+      hls?.destroy();
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      video.remove();
+    },
+  };
+};
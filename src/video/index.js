@@ -0,0 +1,79 @@
+// Video providers - one interface over YouTube, Vimeo and self-hosted <video> media.
+//
+// createVideoPlayer(container, source, { controls, startAt }) mounts a player into
+// `container` (`controls: false` hides the provider's built-in controls) and returns:
+//   on(event, handler) -> unsubscribe
+//     events: 'ready' ({ duration, limited? }), 'play', 'pause', 'ended', 'waiting',
+//             'ratechange' (rate), 'error' ({ message, code? })
+//   play(), pause(), seek(seconds)
+//   getCurrentTime(), getDuration()        -> seconds (0 when unknown)
+//   setVolume(0-1), setMuted(bool), setPlaybackRate(rate)
+//   destroy()
+//
+// `limited: true` on ready means the provider's JS API failed to load and only its
+// built-in controls work (they come back even when `controls: false` was asked for).
+// Volume is never capped here - callers pass it through capVolume() so the lowAudio
+// preference applies the same way to every provider.
+
+import { getYouTubeId } from '../utils/lessonSchema';
+import { createYouTubeProvider } from './youtubeProvider';
+import { createVimeoProvider } from './vimeoProvider';
+import { createHtml5Provider } from './html5Provider';
+
+export { capVolume, LOW_AUDIO_MAX_VOLUME } from './providerUtils';
+
+const PROVIDERS = {
+  youtube: createYouTubeProvider,
+  vimeo: createVimeoProvider,
+  html5: createHtml5Provider,
+};
+
+// Extract { id, hash } from vimeo.com/ID, vimeo.com/ID/HASH or player.vimeo.com/video/ID?h=HASH
+export const getVimeoSource = (url) => {
+  const match = /vimeo\.com\/(?:video\/)?(\d+)(?:\/([0-9a-f]+))?/i.exec(url || '');
+  if (!match) return null;
+
+  let hash = match[2] || null;
+  try {
+    hash = hash || new URL(url).searchParams.get('h');
+  } catch {
+    // Not an absolute URL - no private hash to read
+  }
+  return { id: match[1], hash };
+};
+
+/**
+ * Work out which provider plays a lesson's video.
+ * Honours an explicit `videoProvider` / `video_provider` field, otherwise sniffs the URL.
+ * Returns null when the lesson has no playable video.
+ */
+export const resolveVideoSource = (lesson) => {
+  if (!lesson) return null;
+  const url = lesson.videoUrl || null;
+  const explicit = lesson.videoProvider ?? lesson.video_provider ?? null;
+  const title = lesson.title;
+
+  const youtubeId = lesson.videoId || getYouTubeId(url);
+  if ((explicit === 'youtube' || !explicit) && youtubeId) {
+    return { provider: 'youtube', id: youtubeId, url, title };
+  }
+
+  const vimeo = getVimeoSource(url);
+  if ((explicit === 'vimeo' || !explicit) && vimeo) {
+    return { provider: 'vimeo', ...vimeo, url, title };
+  }
+
+  if (url && (explicit === 'html5' || !explicit)) {
+    return { provider: 'html5', url, title };
+  }
+
+  return null;
+};
+
+export const createVideoPlayer = (container, source, options = {}) => {
+  const createProvider = PROVIDERS[source?.provider];
+  if (!createProvider) {
+    throw new Error(`Unknown video provider: ${source?.provider}`);
+  }
+  return createProvider(container, { ...source, ...options });
+};
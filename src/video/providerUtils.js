@@ -0,0 +1,66 @@
+// Shared helpers for video providers (see ./index.js for the provider interface)
+
+// Loudest volume (0-1) any provider may play at while lowAudio is on
+export const LOW_AUDIO_MAX_VOLUME = 0.3;
+
+// Clamp a 0-1 volume, capping it when the lowAudio preference is enabled
+export const capVolume = (volume, lowAudio) => {
+  const value = Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : 1;
+  return lowAudio ? Math.min(value, LOW_AUDIO_MAX_VOLUME) : value;
+};
+
+// Minimal event emitter - on() returns an unsubscribe function
+export const createEmitter = () => {
+  const listeners = new Map();
+
+  return {
+    on: (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event)?.delete(handler);
+    },
+    emit: (event, payload) => {
+      listeners.get(event)?.forEach(handler => {
+        try {
+          handler(payload);
+        } catch (err) {
+          console.error(`Video "${event}" handler failed:`, err);
+        }
+      });
+    },
+    clear: () => listeners.clear(),
+  };
+};
+
+const scriptPromises = new Map();
+
+// Inject a third-party script once; later callers share the same promise
+export const loadScript = (src) => {
+  if (!scriptPromises.has(src)) {
+    const promise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scriptPromises.delete(src); // allow a retry on the next lesson
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+    scriptPromises.set(src, promise);
+  }
+  return scriptPromises.get(src);
+};
+
+// Create an embed iframe that fills its container
+export const createEmbedFrame = (src, title) => {
+  const iframe = document.createElement('iframe');
+  iframe.src = src;
+  iframe.title = title || 'Lesson video';
+  iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; fullscreen';
+  iframe.allowFullscreen = true;
+  iframe.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;border:0;';
+  return iframe;
+};
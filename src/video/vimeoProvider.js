@@ -0,0 +1,86 @@
+import { createEmitter, createEmbedFrame, loadScript } from './providerUtils';
+
+const API_SRC = 'https://player.vimeo.com/api/player.js';
+
+const buildEmbedUrl = (videoId, hash, startAt, controls = true) => {
+  const query = new URLSearchParams({ dnt: '1', playsinline: '1', title: '0', byline: '0' });
+  if (!controls) query.set('controls', '0');
+  if (hash) query.set('h', hash);
+  return `https://player.vimeo.com/video/${videoId}?${query}${startAt > 0 ? `#t=${Math.floor(startAt)}s` : ''}`;
+};
+
+/**
+ * Vimeo provider - wraps an embed iframe with the Vimeo Player API.
+ * The Vimeo API is promise-based, so the current time is cached from
+ * timeupdate events to keep getCurrentTime() synchronous like the other providers.
+ */
+export const createVimeoProvider = (container, { id, hash, title, startAt = 0, controls = true }) => {
+  const emitter = createEmitter();
+  const iframe = createEmbedFrame(buildEmbedUrl(id, hash, startAt, controls), title);
+  container.appendChild(iframe);
+
+  let player = null;
+  let destroyed = false;
+  let currentTime = startAt;
+  let duration = 0;
+
+  // Vimeo methods return promises; log rejections instead of surfacing unhandled ones
+  const call = (method, ...args) => {
+    if (!player) return undefined;
+    return player[method](...args).catch((err) => console.warn(`Vimeo ${method} failed:`, err));
+  };
+
+  loadScript(API_SRC)
+    .then(() => {
+      if (destroyed) return;
+      player = new window.Vimeo.Player(iframe);
+
+      player.on('play', () => emitter.emit('play'));
+      player.on('pause', () => emitter.emit('pause'));
+      player.on('ended', () => emitter.emit('ended'));
+      player.on('bufferstart', () => emitter.emit('waiting'));
+      player.on('playbackratechange', ({ playbackRate }) => emitter.emit('ratechange', playbackRate));
+      player.on('timeupdate', ({ seconds, duration: total }) => {
+        currentTime = seconds;
+        duration = total || duration;
+      });
+      player.on('error', ({ message }) => emitter.emit('error', { message: message || 'The Vimeo player hit an error.' }));
+
+      return player.ready()
+        .then(() => player.getDuration())
+        .then((total) => {
+          if (destroyed) return;
+          duration = total || 0;
+          emitter.emit('ready', { duration: duration || null });
+        });
+    })
+    .catch((err) => {
+      if (destroyed) return;
+      console.warn('⚠️ Vimeo Player API unavailable, using plain embed:', err);
+      if (!controls) iframe.src = buildEmbedUrl(id, hash, startAt);
+      emitter.emit('ready', { duration: null, limited: true });
+    });
+
+  return {
+    name: 'vimeo',
+    on: emitter.on,
+    play: () => call('play'),
+    pause: () => call('pause'),
+    seek: (seconds) => {
+      currentTime = seconds;
+      return call('setCurrentTime', seconds);
+    },
+    getCurrentTime: () => currentTime,
+    getDuration: () => duration,
+    setVolume: (volume) => call('setVolume', volume),
+    setMuted: (muted) => call('setMuted', muted),
+    // Playback rate is only available on some Vimeo plans; failures are logged by call()
+    setPlaybackRate: (rate) => call('setPlaybackRate', rate),
+    destroy: () => {
+      destroyed = true;
+      emitter.clear();
+      player?.destroy().catch(() => {});
+      iframe.remove();
+    },
+  };
+};
@@ -0,0 +1,231 @@
+import { createEmitter, createEmbedFrame, loadScript } from './providerUtils';
+
+const API_SRC = 'https://www.youtube.com/iframe_api';
+const EMBED_ORIGIN = 'https://www.youtube.com';
+// Provider events for the YT.PlayerState values the embed itself reports when the API
+// isn't loaded (5 = cued: reloaded at a time but not playing, e.g. autoplay was blocked)
+const PLAYING_STATE = 1;
+const EMBED_STATE_EVENTS = { 0: 'ended', 1: 'play', 2: 'pause', 3: 'waiting', 5: 'pause' };
+// Give up on the IFrame API after this long and keep the plain embed working
+const API_TIMEOUT_MS = 10000;
+
+const ERROR_MESSAGES = {
+  2: 'This video link is invalid.',
+  5: 'This video can\'t be played in the browser.',
+  100: 'This video was removed or made private.',
+  101: 'The owner doesn\'t allow this video to be embedded.',
+  150: 'The owner doesn\'t allow this video to be embedded.',
+};
+
+let apiPromise = null;
+
+// Resolves with window.YT once the IFrame API has called onYouTubeIframeAPIReady
+const loadYouTubeApi = () => {
+  if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+
+  if (!apiPromise) {
+    apiPromise = new Promise((resolve, reject) => {
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      const timeout = setTimeout(() => reject(new Error('YouTube IFrame API timed out')), API_TIMEOUT_MS);
+
+      window.onYouTubeIframeAPIReady = () => {
+        clearTimeout(timeout);
+        previousCallback?.();
+        resolve(window.YT);
+      };
+
+      loadScript(API_SRC).catch((err) => {
+        clearTimeout(timeout);
+        reject(err);
+      });
+    }).catch((err) => {
+      apiPromise = null;
+      throw err;
+    });
+  }
+  return apiPromise;
+};
+
+const buildEmbedUrl = (videoId, params = {}) => {
+  const query = new URLSearchParams({
+    enablejsapi: '1',
+    origin: window.location.origin,
+    controls: '1',
+    modestbranding: '1',
+    rel: '0',
+    playsinline: '1',
+    ...params,
+  });
+  return `https://www.youtube.com/embed/${videoId}?${query}`;
+};
+
+/**
+ * YouTube provider - wraps an embed iframe with the IFrame API.
+ * If the API can't load, the embed keeps working with YouTube's own controls and
+ * seeking falls back to reloading the embed at the requested time.
+ */
+export const createYouTubeProvider = (container, { id, title, startAt = 0, controls = true }) => {
+  const emitter = createEmitter();
+  const iframe = createEmbedFrame(
+    buildEmbedUrl(id, {
+      controls: controls ? '1' : '0',
+      ...(startAt > 0 ? { start: String(Math.floor(startAt)) } : {}),
+    }),
+    title
+  );
+  container.appendChild(iframe);
+
+  let player = null;
+  let apiReady = false;
+  let destroyed = false;
+  // Volume (0-100) and mute last asked for, re-applied to the embed in limited mode
+  let embedVolume = null;
+  let embedMuted = null;
+  // Estimated position when running without the API: { time, at, playing }, set by
+  // fallback seeks and by what the embed reports. Only advances while playing.
+  let fallbackClock = null;
+  // Last play-state event emitted in limited mode, so repeated reports don't re-emit it
+  let embedStateEvent = null;
+
+  const emitEmbedState = (eventName) => {
+    if (!eventName || eventName === embedStateEvent) return;
+    embedStateEvent = eventName;
+    emitter.emit(eventName);
+  };
+
+  const readFallbackClock = () => {
+    if (!fallbackClock) return 0;
+    if (!fallbackClock.playing) return fallbackClock.time;
+    return fallbackClock.time + (Date.now() - fallbackClock.at) / 1000;
+  };
+
+  const setFallbackClock = ({ time = readFallbackClock(), playing = fallbackClock?.playing ?? false }) => {
+    fallbackClock = { time, playing, at: Date.now() };
+  };
+
+  // Without the API, the embed still takes player commands over postMessage
+  const postCommand = (func, args = []) => {
+    iframe.contentWindow?.postMessage(JSON.stringify({ event: 'command', func, args, id, channel: 'widget' }), EMBED_ORIGIN);
+  };
+
+  const applyEmbedAudio = () => {
+    if (embedVolume !== null) postCommand('setVolume', [embedVolume]);
+    if (embedMuted !== null) postCommand(embedMuted ? 'mute' : 'unMute');
+  };
+
+  // Without the API, the embed still posts its state and time to the page once we
+  // say we're listening (the same messages the IFrame API reads)
+  const handleEmbedMessage = (event) => {
+    if (apiReady || event.source !== iframe.contentWindow || event.origin !== EMBED_ORIGIN) return;
+    let message;
+    try {
+      message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+    } catch {
+      return;
+    }
+    // YouTube's own controls are back in limited mode - keep the volume within the cap
+    if (message?.event === 'onReady') applyEmbedAudio();
+    const reportedVolume = message?.info?.volume;
+    if (embedVolume !== null && typeof reportedVolume === 'number' && reportedVolume > embedVolume) {
+      postCommand('setVolume', [embedVolume]);
+    }
+
+    const state = message?.event === 'onStateChange' ? message.info : message?.info?.playerState;
+    const time = message?.info?.currentTime;
+    if (typeof state !== 'number' && typeof time !== 'number') return;
+    if (typeof state === 'number') emitEmbedState(EMBED_STATE_EVENTS[state]);
+    setFallbackClock({
+      ...(typeof time === 'number' ? { time } : {}),
+      ...(typeof state === 'number' ? { playing: state === PLAYING_STATE } : {}),
+    });
+  };
+
+  // Runs again after every reload of the embed (fallback seeks reload it)
+  const listenToEmbed = () => {
+    iframe.contentWindow?.postMessage(JSON.stringify({ event: 'listening', id, channel: 'widget' }), EMBED_ORIGIN);
+    applyEmbedAudio();
+  };
+
+  loadYouTubeApi()
+    .then((YT) => {
+      if (destroyed) return;
+      player = new YT.Player(iframe, {
+        events: {
+          onReady: () => {
+            if (destroyed) return;
+            apiReady = true;
+            emitter.emit('ready', { duration: player.getDuration() || null });
+          },
+          onStateChange: ({ data }) => {
+            if (data === YT.PlayerState.PLAYING) emitter.emit('play');
+            else if (data === YT.PlayerState.PAUSED) emitter.emit('pause');
+            else if (data === YT.PlayerState.ENDED) emitter.emit('ended');
+            else if (data === YT.PlayerState.BUFFERING) emitter.emit('waiting');
+          },
+          onPlaybackRateChange: ({ data }) => emitter.emit('ratechange', data),
+          onError: ({ data }) => {
+            emitter.emit('error', { message: ERROR_MESSAGES[data] || 'The YouTube player hit an error.', code: data });
+          },
+        },
+      });
+    })
+    .catch((err) => {
+      if (destroyed) return;
+      console.warn('⚠️ YouTube IFrame API unavailable, using plain embed:', err);
+      // Custom controls can't drive the embed without the API, so bring YouTube's back
+      if (!controls) iframe.src = buildEmbedUrl(id);
+      window.addEventListener('message', handleEmbedMessage);
+      iframe.addEventListener('load', listenToEmbed);
+      listenToEmbed();
+      emitter.emit('ready', { duration: null, limited: true });
+    });
+
+  // Call a YT.Player method once the API is ready (no-op before then)
+  const call = (method, ...args) => (apiReady && player?.[method] ? player[method](...args) : undefined);
+
+  return {
+    name: 'youtube',
+    on: emitter.on,
+    play: () => call('playVideo'),
+    pause: () => call('pauseVideo'),
+    seek: (seconds) => {
+      if (apiReady) {
+        player.seekTo(seconds, true);
+        return;
+      }
+      // Without the API the only way to seek is to reload the embed (shows the thumbnail briefly)
+      iframe.src = buildEmbedUrl(id, { start: String(Math.floor(seconds)), autoplay: '1' });
+      // It autoplays from there; the embed corrects this if autoplay is blocked
+      setFallbackClock({ time: seconds, playing: true });
+      embedStateEvent = null;
+      emitEmbedState('play');
+    },
+    getCurrentTime: () => {
+      if (apiReady) return player.getCurrentTime() || 0;
+      return readFallbackClock();
+    },
+    getDuration: () => call('getDuration') || 0,
+    setVolume: (volume) => {
+      embedVolume = Math.round(volume * 100);
+      if (apiReady) player.setVolume(embedVolume);
+      else postCommand('setVolume', [embedVolume]);
+    },
+    setMuted: (muted) => {
+      embedMuted = muted;
+      if (apiReady) call(muted ? 'mute' : 'unMute');
+      else postCommand(muted ? 'mute' : 'unMute');
+    },
+    setPlaybackRate: (rate) => call('setPlaybackRate', rate),
+    destroy: () => {
+      destroyed = true;
+      emitter.clear();
+      window.removeEventListener('message', handleEmbedMessage);
+      try {
+        player?.destroy?.();
+      } catch (err) {
+        console.warn('Could not destroy YouTube player:', err);
+      }
+      iframe.remove();
+    },
+  };
+};